@@ -0,0 +1,331 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/*
+ * A minimal in-memory S3 server for trying out the 's3' adapter
+ * without MinIO or an AWS account. Requests must be signed (SigV4).
+ *
+ * Usage: node scripts/s3-standin.js [port] [bucket] [accessKeyId:secretAccessKey]
+ *
+ * Then add a mountpoint to the client configuration:
+ *
+ *   {
+ *     name: 's3',
+ *     label: 'Storage',
+ *     adapter: 's3',
+ *     connection: {
+ *       endpoint: 'http://localhost:9000',
+ *       bucket: 'osjs',
+ *       accessKeyId: 'minioadmin',
+ *       secretAccessKey: 'minioadmin'
+ *     }
+ *   }
+ *
+ * Supports path-style ListObjectsV2, HEAD, GET with ranges, PUT,
+ * copies, DELETE, multipart uploads and presigned URLs.
+ * Everything is lost when the server stops.
+ */
+const http = require('http');
+const crypto = require('crypto');
+const {URL} = require('url');
+
+const port = parseInt(process.argv[2] || '9000', 10);
+const bucket = process.argv[3] || 'osjs';
+const [accessKeyId, secretAccessKey] = (process.argv[4] || 'minioadmin:minioadmin').split(':');
+
+const objects = {};
+const uploads = {};
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const hash = data => crypto.createHash('sha256').update(data).digest('hex');
+const md5 = data => '"' + crypto.createHash('md5').update(data).digest('hex') + '"';
+const encode = str => encodeURIComponent(str)
+  .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+const escape = str => str.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+const error = code => `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code></Error>`;
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, HEAD, PUT, POST, DELETE, OPTIONS',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Range, X-Amz-Date, X-Amz-Content-Sha256, ' +
+    'X-Amz-Security-Token, X-Amz-Copy-Source, X-Amz-Metadata-Directive',
+  'Access-Control-Expose-Headers': 'Content-Type, Content-Length, Content-Range, ETag, Last-Modified'
+};
+
+// Checks the signature of a request, either in the headers or a presigned URL
+const verify = (req, url, body) => {
+  const query = url.searchParams;
+  const presigned = query.has('X-Amz-Signature');
+  let credential, signedHeaders, signature, amzDate, payloadHash;
+
+  if (presigned) {
+    credential = query.get('X-Amz-Credential');
+    signedHeaders = query.get('X-Amz-SignedHeaders');
+    signature = query.get('X-Amz-Signature');
+    amzDate = query.get('X-Amz-Date');
+    payloadHash = 'UNSIGNED-PAYLOAD';
+  } else {
+    const match = (req.headers.authorization || '')
+      .match(/Credential=([^,]+), SignedHeaders=([^,]+), Signature=(\w+)/);
+
+    if (!match) {
+      return false;
+    }
+
+    [credential, signedHeaders, signature] = match.slice(1);
+    amzDate = req.headers['x-amz-date'];
+    payloadHash = req.headers['x-amz-content-sha256'];
+
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== hash(body)) {
+      return false;
+    }
+  }
+
+  const [key, ...scope] = credential.split('/');
+  if (key !== accessKeyId) {
+    return false;
+  }
+
+  const params = Array.from(query.entries())
+    .filter(([k]) => k !== 'X-Amz-Signature')
+    .map(([k, v]) => `${encode(k)}=${encode(v)}`)
+    .sort();
+
+  const canonical = [
+    req.method,
+    req.url.split('?')[0],
+    params.join('&'),
+    signedHeaders.split(';').map(h => `${h}:${String(req.headers[h]).trim()}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  const [date, region, service] = scope;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope.join('/'), hash(canonical)].join('\n');
+  const signingKey = hmac(hmac(hmac(hmac('AWS4' + secretAccessKey, date), region), service), 'aws4_request');
+
+  return hmac(signingKey, stringToSign).toString('hex') === signature;
+};
+
+const list = (query, respond) => {
+  const prefix = query.get('prefix') || '';
+  const delimiter = query.get('delimiter');
+  const maxKeys = parseInt(query.get('max-keys') || '1000', 10);
+  const start = parseInt(query.get('continuation-token') || '0', 10);
+
+  const prefixes = [];
+  const items = Object.keys(objects).sort()
+    .filter(k => k.indexOf(prefix) === 0)
+    .reduce((result, k) => {
+      const index = delimiter ? k.indexOf(delimiter, prefix.length) : -1;
+      const common = index !== -1 ? k.substr(0, index + 1) : null;
+
+      if (!common) {
+        result.push({key: k});
+      } else if (prefixes.indexOf(common) === -1) {
+        prefixes.push(common);
+        result.push({prefix: common});
+      }
+
+      return result;
+    }, []);
+
+  const page = items.slice(start, start + maxKeys);
+  const truncated = start + maxKeys < items.length;
+
+  const xml = '<?xml version="1.0" encoding="UTF-8"?>' +
+    '<ListBucketResult xmlns="http://s3.amazonaws.com/doc/2006-03-01/">' +
+    `<IsTruncated>${truncated}</IsTruncated>` +
+    (truncated ? `<NextContinuationToken>${start + maxKeys}</NextContinuationToken>` : '') +
+    page.map(item => item.prefix
+      ? `<CommonPrefixes><Prefix>${escape(item.prefix)}</Prefix></CommonPrefixes>`
+      : `<Contents><Key>${escape(item.key)}</Key><Size>${objects[item.key].data.length}</Size>` +
+        `<LastModified>${objects[item.key].mtime.toISOString()}</LastModified></Contents>`).join('') +
+    '</ListBucketResult>';
+
+  return respond(200, xml, {'Content-Type': 'application/xml'});
+};
+
+const handle = (req, url, body, respond) => {
+  const query = url.searchParams;
+  const [name, ...rest] = url.pathname.substr(1).split('/');
+  const key = decodeURIComponent(rest.join('/'));
+  const object = objects[key];
+
+  if (name !== bucket) {
+    return respond(404, error('NoSuchBucket'));
+  } else if (!key) {
+    return req.method === 'GET' ? list(query, respond) : respond(405);
+  }
+
+  switch (req.method) {
+  case 'HEAD':
+    return object
+      ? respond(200, undefined, {
+        'Content-Type': object.type,
+        'Content-Length': object.data.length,
+        'Last-Modified': object.mtime.toUTCString(),
+        ETag: md5(object.data)
+      })
+      : respond(404);
+
+  case 'GET': {
+    if (!object) {
+      return respond(404, error('NoSuchKey'));
+    }
+
+    const disposition = query.get('response-content-disposition');
+    const headers = Object.assign({
+      'Content-Type': object.type,
+      'Last-Modified': object.mtime.toUTCString()
+    }, disposition ? {'Content-Disposition': disposition} : {});
+
+    const range = (req.headers.range || '').match(/bytes=(\d+)-(\d*)/);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? Math.min(parseInt(range[2], 10), object.data.length - 1) : object.data.length - 1;
+
+      return respond(206, object.data.slice(start, end + 1), Object.assign(headers, {
+        'Content-Range': `bytes ${start}-${end}/${object.data.length}`
+      }));
+    }
+
+    return respond(200, object.data, headers);
+  }
+
+  case 'PUT': {
+    const source = req.headers['x-amz-copy-source'];
+
+    if (source) {
+      const from = decodeURIComponent(source).split('/').slice(2).join('/');
+      if (!objects[from]) {
+        return respond(404, error('NoSuchKey'));
+      }
+
+      const type = req.headers['x-amz-metadata-directive'] === 'REPLACE'
+        ? req.headers['content-type']
+        : objects[from].type;
+
+      objects[key] = {data: objects[from].data, type, mtime: new Date()};
+      return respond(200, '<CopyObjectResult/>', {'Content-Type': 'application/xml'});
+    } else if (query.has('uploadId')) {
+      const upload = uploads[query.get('uploadId')];
+      if (!upload) {
+        return respond(404, error('NoSuchUpload'));
+      }
+
+      const etag = md5(body);
+      upload.parts[query.get('partNumber')] = {etag, data: body};
+      return respond(200, undefined, {ETag: etag});
+    }
+
+    objects[key] = {
+      data: body,
+      type: req.headers['content-type'] || 'binary/octet-stream',
+      mtime: new Date()
+    };
+
+    return respond(200, undefined, {ETag: md5(body)});
+  }
+
+  case 'POST':
+    if (query.has('uploads')) {
+      const uploadId = crypto.randomBytes(16).toString('hex');
+      uploads[uploadId] = {parts: {}, type: req.headers['content-type'] || 'binary/octet-stream'};
+
+      return respond(200, '<InitiateMultipartUploadResult>' +
+        `<Bucket>${bucket}</Bucket><Key>${escape(key)}</Key><UploadId>${uploadId}</UploadId>` +
+        '</InitiateMultipartUploadResult>', {'Content-Type': 'application/xml'});
+    } else if (query.has('uploadId')) {
+      const upload = uploads[query.get('uploadId')];
+      if (!upload) {
+        return respond(404, error('NoSuchUpload'));
+      }
+
+      const parts = [];
+      const re = /<PartNumber>(\d+)<\/PartNumber>\s*<ETag>([^<]+)<\/ETag>/g;
+      let match;
+      while ((match = re.exec(body.toString())) !== null) {
+        parts.push({partNumber: match[1], etag: match[2].replace(/&quot;/g, '"')});
+      }
+
+      if (!parts.length || parts.some(p => !upload.parts[p.partNumber] || upload.parts[p.partNumber].etag !== p.etag)) {
+        return respond(400, error('InvalidPart'));
+      }
+
+      objects[key] = {
+        data: Buffer.concat(parts.map(p => upload.parts[p.partNumber].data)),
+        type: upload.type,
+        mtime: new Date()
+      };
+
+      delete uploads[query.get('uploadId')];
+      return respond(200, '<CompleteMultipartUploadResult/>', {'Content-Type': 'application/xml'});
+    }
+
+    return respond(400, error('InvalidRequest'));
+
+  case 'DELETE':
+    if (query.has('uploadId')) {
+      delete uploads[query.get('uploadId')];
+    } else {
+      delete objects[key];
+    }
+
+    return respond(204);
+
+  default:
+    return respond(405);
+  }
+};
+
+http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const url = new URL(req.url, 'http://localhost');
+    const body = Buffer.concat(chunks);
+    const respond = (status, data, headers = {}) => {
+      res.writeHead(status, Object.assign({}, cors, headers));
+      res.end(data);
+    };
+
+    console.log(req.method, req.url.split('?')[0]);
+
+    if (req.method === 'OPTIONS') {
+      respond(204);
+    } else if (!verify(req, url, body)) {
+      respond(403, error('SignatureDoesNotMatch'));
+    } else {
+      handle(req, url, body, respond);
+    }
+  });
+}).listen(port, () => console.log(`S3 stand-in listening on http://localhost:${port} (bucket '${bucket}')`));
@@ -0,0 +1,215 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/*
+ * A minimal in-memory WebDAV server for trying out the 'webdav' adapter.
+ *
+ * Usage: node scripts/webdav-standin.js [port] [username:password]
+ *
+ * Then add a mountpoint to the client configuration:
+ *
+ *   {
+ *     name: 'dav',
+ *     label: 'WebDAV',
+ *     adapter: 'webdav',
+ *     connection: {url: 'http://localhost:8090/dav/', username: 'demo', password: 'demo'}
+ *   }
+ *
+ * Supports PROPFIND (depth 0 and 1), GET with ranges, PUT, MKCOL,
+ * COPY, MOVE and DELETE. Everything is lost when the server stops.
+ */
+const http = require('http');
+const {URL} = require('url');
+
+const PREFIX = '/dav';
+const port = parseInt(process.argv[2] || '8090', 10);
+const auth = process.argv[3]
+  ? 'Basic ' + Buffer.from(process.argv[3]).toString('base64')
+  : null;
+
+const files = {'/': {isDirectory: true, mtime: new Date()}};
+
+const normalize = path => decodeURIComponent(path).replace(/\/+$/, '') || '/';
+const parent = path => path.replace(/\/[^/]*$/, '') || '/';
+const isWithin = (root, path) => path === root || path.indexOf(root === '/' ? '/' : `${root}/`) === 0;
+const encode = path => path.split('/').map(encodeURIComponent).join('/');
+const escape = str => str.replace(/&/g, '&amp;').replace(/</g, '&lt;');
+
+const cors = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS, PROPFIND, MKCOL, COPY, MOVE',
+  'Access-Control-Allow-Headers': 'Authorization, Content-Type, Depth, Destination, Overwrite, Range',
+  'Access-Control-Expose-Headers': 'Content-Type, Content-Length, Content-Range'
+};
+
+const propstat = (path, entry) => {
+  const href = PREFIX + encode(path) + (entry.isDirectory && path !== '/' ? '/' : '');
+  const props = entry.isDirectory
+    ? '<d:resourcetype><d:collection/></d:resourcetype>'
+    : '<d:resourcetype/>' +
+      `<d:getcontentlength>${entry.data.length}</d:getcontentlength>` +
+      `<d:getcontenttype>${escape(entry.type)}</d:getcontenttype>`;
+
+  return `<d:response><d:href>${escape(href)}</d:href><d:propstat><d:prop>${props}` +
+    `<d:getlastmodified>${entry.mtime.toUTCString()}</d:getlastmodified></d:prop>` +
+    '<d:status>HTTP/1.1 200 OK</d:status></d:propstat></d:response>';
+};
+
+const handle = (req, body, respond) => {
+  const url = new URL(req.url, 'http://localhost');
+  if (url.pathname.indexOf(PREFIX) !== 0) {
+    return respond(404);
+  }
+
+  const path = normalize(url.pathname.substr(PREFIX.length));
+  const entry = files[path];
+  const target = () => normalize(new URL(req.headers.destination).pathname.substr(PREFIX.length));
+
+  switch (req.method) {
+  case 'PROPFIND': {
+    if (!entry) {
+      return respond(404);
+    }
+
+    const children = req.headers.depth === '1' && entry.isDirectory
+      ? Object.keys(files).filter(k => k !== path && parent(k) === path)
+      : [];
+
+    const xml = '<?xml version="1.0" encoding="utf-8"?><d:multistatus xmlns:d="DAV:">' +
+      [path].concat(children).map(k => propstat(k, files[k])).join('') +
+      '</d:multistatus>';
+
+    return respond(207, xml, {'Content-Type': 'application/xml; charset=utf-8'});
+  }
+
+  case 'GET': {
+    if (!entry || entry.isDirectory) {
+      return respond(404);
+    }
+
+    const range = (req.headers.range || '').match(/bytes=(\d+)-(\d*)/);
+    if (range) {
+      const start = parseInt(range[1], 10);
+      const end = range[2] ? Math.min(parseInt(range[2], 10), entry.data.length - 1) : entry.data.length - 1;
+
+      return respond(206, entry.data.slice(start, end + 1), {
+        'Content-Type': entry.type,
+        'Content-Range': `bytes ${start}-${end}/${entry.data.length}`
+      });
+    }
+
+    return respond(200, entry.data, {'Content-Type': entry.type});
+  }
+
+  case 'PUT':
+    if (!files[parent(path)]) {
+      return respond(409);
+    } else if (entry && entry.isDirectory) {
+      return respond(405);
+    }
+
+    files[path] = {
+      data: body,
+      type: req.headers['content-type'] || 'application/octet-stream',
+      mtime: new Date()
+    };
+
+    return respond(entry ? 204 : 201);
+
+  case 'MKCOL':
+    if (entry) {
+      return respond(405);
+    } else if (!files[parent(path)]) {
+      return respond(409);
+    }
+
+    files[path] = {isDirectory: true, mtime: new Date()};
+    return respond(201);
+
+  case 'DELETE':
+    if (!entry || path === '/') {
+      return respond(path === '/' ? 403 : 404);
+    }
+
+    Object.keys(files).filter(k => isWithin(path, k)).forEach(k => delete files[k]);
+    return respond(204);
+
+  case 'COPY':
+  case 'MOVE': {
+    if (!entry) {
+      return respond(404);
+    }
+
+    const destination = target();
+    const existed = !!files[destination];
+
+    if (existed && req.headers.overwrite === 'F') {
+      return respond(412);
+    } else if (!files[parent(destination)] || isWithin(path, destination)) {
+      return respond(409);
+    }
+
+    Object.keys(files).filter(k => isWithin(destination, k)).forEach(k => delete files[k]);
+    Object.keys(files).filter(k => isWithin(path, k)).forEach(k => {
+      files[destination + k.substr(path.length)] = Object.assign({}, files[k], {mtime: new Date()});
+      if (req.method === 'MOVE') {
+        delete files[k];
+      }
+    });
+
+    return respond(existed ? 204 : 201);
+  }
+
+  default:
+    return respond(405);
+  }
+};
+
+http.createServer((req, res) => {
+  const chunks = [];
+
+  req.on('data', chunk => chunks.push(chunk));
+  req.on('end', () => {
+    const respond = (status, data, headers = {}) => {
+      res.writeHead(status, Object.assign({}, cors, headers));
+      res.end(data);
+    };
+
+    console.log(req.method, req.url);
+
+    if (req.method === 'OPTIONS') {
+      respond(204, undefined, {DAV: '1'});
+    } else if (auth && req.headers.authorization !== auth) {
+      respond(401, undefined, {'WWW-Authenticate': 'Basic realm="OS.js"'});
+    } else {
+      handle(req, Buffer.concat(chunks), respond);
+    }
+  });
+}).listen(port, () => console.log(`WebDAV stand-in listening on http://localhost:${port}${PREFIX}/`));
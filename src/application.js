@@ -29,6 +29,7 @@
  */
 import {EventEmitter} from '@osjs/event-emitter';
 import Websocket from './websocket';
+import RPC from './rpc';
 import Window from './window';
 import {fetch} from './utils/fetch';
 
@@ -232,18 +233,29 @@ export default class Application extends EventEmitter {
 
   /**
    * Creates a new Websocket
+   *
+   * @desc The socket has a `rpc` property for making remote calls.
    * @param {String} [path=/socket] Append this to endpoint
    * @param {Object} [options] Connection options
+   * @param {Object} [options.socket] Websocket options
+   * @param {Object} [options.rpc] RPC options
+   * @see Websocket
+   * @see RPC
    * @return {Websocket}
    */
   socket(path = '/socket', options = {}) {
     options = Object.assign({}, {
-      socket: {}
+      socket: {},
+      rpc: {}
     }, options);
 
     const uri = this.resource(path, {type: 'websocket'});
     const ws = new Websocket(this.metadata.name, uri, options.socket);
 
+    ws.rpc = new RPC(ws, Object.assign({
+      translate: this.core.make('osjs/locale').translate
+    }, options.rpc));
+
     this.sockets.push(ws);
 
     return ws;
@@ -298,6 +310,10 @@ export default class Application extends EventEmitter {
         instance.setPosition(restore.position, true);
         instance.setDimension(restore.dimension);
 
+        if (typeof restore.workspace === 'number') {
+          instance.setWorkspace(restore.workspace);
+        }
+
         this.options.restore.windows.splice(found, 1);
         restored = true;
       }
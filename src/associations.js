@@ -0,0 +1,221 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import {h, app} from 'hyperapp';
+
+const SETTINGS_NS = 'osjs/associations';
+
+/*
+ * Creates the view of the chooser
+ */
+const chooserView = (core, file, packages) => (state, actions) => {
+  const _ = core.make('osjs/locale').translate;
+  const {translatableFlat} = core.make('osjs/locale');
+  const {icon} = core.make('osjs/theme');
+
+  return h('div', {class: 'osjs-open-with'}, [
+    h('div', {class: 'osjs-open-with-message'}, _('LBL_LAUNCH_SELECT_MESSAGE', file.filename || file.path)),
+    h('ul', {class: 'osjs-open-with-list'}, packages.map(meta => h('li', {
+      class: state.selected === meta.name ? 'osjs__active' : '',
+      onclick: () => actions.select(meta.name),
+      ondblclick: () => actions.open(meta.name)
+    }, [
+      h('img', {src: meta.icon ? core.url(meta.icon, {}, meta) : icon('application-x-executable.png')}),
+      h('span', {}, translatableFlat(meta.title) || meta.name)
+    ]))),
+    h('label', {class: 'osjs-open-with-always'}, [
+      h('input', {
+        type: 'checkbox',
+        checked: state.always,
+        onchange: ev => actions.setAlways(ev.target.checked)
+      }),
+      h('span', {}, _('LBL_OPEN_WITH_ALWAYS', file.mime))
+    ]),
+    h('div', {class: 'osjs-open-with-buttons'}, [
+      h('button', {onclick: () => actions.cancel()}, _('LBL_CANCEL')),
+      h('button', {
+        disabled: !state.selected,
+        onclick: () => actions.open(state.selected)
+      }, _('LBL_OPEN'))
+    ])
+  ]);
+};
+
+/**
+ * Application Associations
+ *
+ * @desc Keeps track of what application to open files with for each MIME
+ * type, and provides the "Open with" chooser. The defaults are stored in
+ * the settings.
+ */
+export default class Associations {
+
+  /**
+   * Create associations
+   * @param {Core} core Core reference
+   */
+  constructor(core) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+  }
+
+  /**
+   * Gets all default applications
+   * @return {Map<String, String>} Package names by MIME type
+   */
+  getDefaults() {
+    const defaults = this.core.make('osjs/settings')
+      .get(SETTINGS_NS, 'defaults', {});
+
+    return Object.assign({}, defaults);
+  }
+
+  /**
+   * Gets the default application for a MIME type
+   * @desc Only returns applications that are installed and support the MIME type
+   * @param {String} mime MIME type
+   * @return {String} Package name or `null`
+   */
+  getDefault(mime) {
+    const name = this.getDefaults()[mime];
+    const found = name && this.getHandlers(mime)
+      .find(meta => meta.name === name);
+
+    return found ? name : null;
+  }
+
+  /**
+   * Sets the default application for a MIME type
+   * @param {String} mime MIME type
+   * @param {String} name Package name
+   * @return {Promise<Boolean, Error>}
+   */
+  setDefault(mime, name) {
+    return this._save(Object.assign(this.getDefaults(), {[mime]: name}));
+  }
+
+  /**
+   * Removes the default application for a MIME type
+   * @param {String} mime MIME type
+   * @return {Promise<Boolean, Error>}
+   */
+  removeDefault(mime) {
+    const defaults = this.getDefaults();
+    delete defaults[mime];
+
+    return this._save(defaults);
+  }
+
+  /**
+   * Gets the applications that can open a MIME type
+   * @param {String} mime MIME type
+   * @return {PackageMetadata[]}
+   */
+  getHandlers(mime) {
+    return this.core.make('osjs/packages')
+      .getCompatiblePackages(mime);
+  }
+
+  /**
+   * Saves the defaults
+   */
+  _save(defaults) {
+    // Settings keys are paths split on dots, so MIME types like
+    // 'application/vnd.ms-excel' are only safe as keys inside an object.
+    // Setting a key also merges objects, which would bring back removed
+    // defaults, so the whole namespace is replaced.
+    const settings = this.core.make('osjs/settings');
+    const promise = settings
+      .set(SETTINGS_NS, null, Object.assign(settings.get(SETTINGS_NS), {defaults}))
+      .save();
+
+    this.core.emit('osjs/associations:change', defaults);
+
+    return promise;
+  }
+
+  /**
+   * Shows the "Open with" chooser for a file
+   * @param {Object} file The file
+   * @return {Promise<String, Error>} Name of the chosen package, or `null` if cancelled
+   */
+  choose(file) {
+    const _ = this.core.make('osjs/locale').translate;
+    const packages = this.getHandlers(file.mime);
+
+    if (packages.length === 0) {
+      return Promise.resolve(null);
+    }
+
+    return new Promise(resolve => {
+      let result = null;
+
+      const win = this.core.make('osjs/window', {
+        id: 'OpenWithChooser',
+        title: _('LBL_LAUNCH_SELECT'),
+        position: 'center',
+        dimension: {width: 400, height: 300},
+        attributes: {
+          classNames: ['Window_OpenWithChooser'],
+          visibility: 'restricted',
+          minimizable: false,
+          maximizable: false
+        }
+      });
+
+      win.on('destroy', () => resolve(result));
+
+      win.render($content => app({
+        selected: this.getDefault(file.mime) || packages[0].name,
+        always: false
+      }, {
+        select: selected => () => ({selected}),
+        setAlways: always => () => ({always}),
+        open: name => state => {
+          result = name;
+
+          if (state.always) {
+            this.setDefault(file.mime, name)
+              .catch(error => console.warn('Failed to save default application', error));
+          }
+
+          win.destroy();
+        },
+        cancel: () => () => {
+          win.destroy();
+        }
+      }, chooserView(this.core, file, packages), $content));
+
+      win.focus();
+    });
+  }
+}
@@ -164,6 +164,7 @@ export class BasicApplication extends EventEmitter {
     this.emit('open-file', item);
 
     this.updateWindowTitle();
+    this.addRecentFile(item);
   }
 
   /**
@@ -177,6 +178,50 @@ export class BasicApplication extends EventEmitter {
     this.emit('save-file', item);
 
     this.updateWindowTitle();
+    this.addRecentFile(item);
+  }
+
+  /**
+   * Adds a file to the recent files of this application
+   * @param {Object} file A file object
+   */
+  addRecentFile(file) {
+    if (this.core.has('osjs/recent')) {
+      this.core.make('osjs/recent')
+        .addFile(file, this.proc.metadata.name);
+    }
+  }
+
+  /**
+   * Gets the files recently opened in this application
+   * @param {Number} [limit=10] Maximum number of files
+   * @return {RecentFile[]}
+   */
+  getRecentFiles(limit = 10) {
+    return this.core.has('osjs/recent')
+      ? this.core.make('osjs/recent').getFiles({
+        application: this.proc.metadata.name,
+        mime: this.options.mimeTypes.length ? this.options.mimeTypes : undefined,
+        limit
+      })
+      : [];
+  }
+
+  /**
+   * Creates menu entries for files recently opened in this application
+   * @desc Opens the file in this application when clicked.
+   * @param {Number} [limit=10] Maximum number of files
+   * @return {Object[]}
+   */
+  createRecentMenu(limit = 10) {
+    return this.core.has('osjs/recent')
+      ? this.core.make('osjs/recent').createMenu({
+        application: this.proc.metadata.name,
+        mime: this.options.mimeTypes.length ? this.options.mimeTypes : undefined,
+        onclick: file => this.open(file),
+        limit
+      })
+      : [];
   }
 
   /**
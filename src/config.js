@@ -111,7 +111,14 @@ export const defaultConfiguration = {
   },
 
   search: {
-    enabled: true
+    enabled: true,
+    delay: 300 // Milliseconds after typing before searching
+  },
+
+  recent: {
+    enabled: true,
+    maxFiles: 50,
+    maxApplications: 20
   },
 
   notifications: {
@@ -141,7 +148,14 @@ export const defaultConfiguration = {
         ]
       }],
       widgets: [],
-      keybindings: [],
+      workspaces: 1,
+      keybindings: [
+        {combo: 'f3', action: 'search'},
+        {combo: 'shift+alt+w', action: 'close'},
+        {combo: 'shift+alt+h', action: 'minimize'},
+        {combo: 'shift+alt+m', action: 'maximize'},
+        {combo: 'shift+alt+n', action: 'cycle'}
+      ],
       background: {
         src: require('./styles/wallpaper.png'),
         color: '#572a79',
@@ -164,7 +178,19 @@ export const defaultConfiguration = {
     protocol: protocol === 'https:' ? 'wss' : 'ws',
     port,
     hostname,
-    path
+    path,
+    timeout: 30000, // RPC call timeout
+    reconnect: {
+      enabled: true,
+      interval: 1000,
+      maxInterval: 30000,
+      jitter: 0.25
+    },
+    heartbeat: {
+      enabled: false, // Requires server to reply 'osjs/core:pong'
+      interval: 30000,
+      timeout: 10000
+    }
   },
 
   locale: {
@@ -180,13 +206,63 @@ export const defaultConfiguration = {
   },
 
   windows: {
-    template: null // A string. See 'window.js' for example
+    template: null, // A string. See 'window.js' for example
+    snap: {
+      enabled: true,
+      distance: 10 // Pixels from the desktop edge
+    }
   },
 
   vfs: {
     defaultPath: 'osjs:/',
     defaultAdapter: 'system',
+    standaloneAdapter: 'indexeddb',
     adapters: {},
+    upload: {
+      chunkSize: 0, // Bytes per chunk, 0 = disabled. Requires server support
+      retries: 5,
+      retryDelay: 1000
+    },
+    offline: {
+      enabled: false,
+      adapters: ['system'],
+      maxFileSize: 1024 * 1024 * 10
+    },
+    watch: {
+      interval: 5000,
+      timeout: 5000 // Wait this long for server push before polling
+    },
+    cache: {
+      enabled: false,
+      ttl: 10000,
+      maxEntries: 1000,
+      methods: ['readdir', 'stat', 'exists']
+    },
+    trash: {
+      enabled: false,
+      maxAge: 1000 * 60 * 60 * 24 * 30,
+      maxItems: 1000,
+      mountpoint: {
+        name: 'trash',
+        label: 'Trash',
+        adapter: 'indexeddb',
+        icon: {name: 'user-trash'},
+        attributes: {
+          searchable: false
+        }
+      }
+    },
+    search: {
+      timeout: 10000
+    },
+    index: {
+      enabled: false,
+      mimeTypes: ['^text/', '^application/(json|javascript|xml)'],
+      maxFileSize: 1024 * 1024,
+      maxContentLength: 16384,
+      maxFiles: 10000,
+      delay: 1000
+    },
     mountpoints: [{
       name: 'apps',
       label: 'Applications',
@@ -194,7 +270,9 @@ export const defaultConfiguration = {
       icon: require('./styles/logo-blue-32x32.png'),
       attributes: {
         visibility: 'restricted',
-        readOnly: true
+        readOnly: true,
+        cache: false,
+        index: false
       }
     }, {
       name: 'osjs',
@@ -206,6 +284,15 @@ export const defaultConfiguration = {
       label: 'Home',
       adapter: 'system',
       icon: {name: 'user-home'}
+    }, {
+      name: 'tmp',
+      label: 'Temporary',
+      adapter: 'tmpfs',
+      icon: {name: 'folder'},
+      attributes: {
+        quota: 1024 * 1024 * 50,
+        trash: false
+      }
     }],
     icons: {
       '^application/zip': {name: 'package-x-generic'},
@@ -29,6 +29,8 @@
  */
 
 import Application from './application';
+import Websocket from './websocket';
+import RPC from './rpc';
 import {CoreBase} from '@osjs/common';
 import {defaultConfiguration} from './config';
 import {fetch} from './utils/fetch';
@@ -58,6 +60,7 @@ export default class Core extends CoreBase {
 
     this.user = null;
     this.ws = null;
+    this.rpc = null;
     this.connected = false;
     this.reconnecting = false;
     this.ping = null;
@@ -81,12 +84,17 @@ export default class Core extends CoreBase {
 
     Application.destroyAll();
 
+    if (this.rpc) {
+      this.rpc.destroy();
+    }
+
     if (this.ws) {
       this.ws.close();
     }
 
     this.user = null;
     this.ws = null;
+    this.rpc = null;
     this.connected = false;
     this.connecting = false;
     this.reconnecting = false;
@@ -213,19 +221,35 @@ export default class Core extends CoreBase {
   _createConnection(cb) {
     cb = cb || function() {};
 
-    if (this.configuration.standalone || this.connected) {
+    if (this.configuration.standalone || this.ws) {
       return false;
     }
 
-    const ws = this.configuration.ws;
-    const uri = `${ws.protocol}://${ws.hostname}:${ws.port}${ws.path}`;
+    const {protocol, hostname, port, path, reconnect, heartbeat, timeout} = this.configuration.ws;
+    const uri = `${protocol}://${hostname}:${port}${path}`;
 
     console.log('Creating websocket connection on', uri);
 
-    this.ws = new WebSocket(uri);
-    this.ws.onopen = (ev) => {
-      const reconnected = !!this.reconnecting;
-      clearInterval(this.reconnecting);
+    this.ws = new Websocket('CoreSocket', uri, {
+      reconnect,
+      heartbeat: Object.assign({
+        message: () => JSON.stringify({name: 'osjs/core:ping'}),
+        isPong: data => {
+          try {
+            return JSON.parse(data).name === 'osjs/core:pong';
+          } catch (e) {
+            return false;
+          }
+        }
+      }, heartbeat)
+    });
+
+    this.rpc = new RPC(this.ws, {
+      timeout,
+      translate: (...args) => this.make('osjs/locale').translate(...args)
+    });
+
+    this.ws.on('open', (ev, reconnected) => {
       this.connected = true;
       this.reconnecting = false;
 
@@ -233,31 +257,44 @@ export default class Core extends CoreBase {
       setTimeout(() => cb(), 100);
 
       this.emit('osjs/core:connect', ev, reconnected);
-    };
-
-    this.ws.onclose = (ev) => {
-      if (this.connected) {
-        this.reconnecting = setInterval(() => this._createConnection(), 5000);
-      }
+    });
 
+    this.ws.on('close', ev => {
+      const wasConnected = this.connected;
       this.connected = false;
 
       cb(new Error('Connection closed'));
 
-      this.emit('osjs/core:disconnect', ev);
-    };
+      if (wasConnected) {
+        this.emit('osjs/core:disconnect', ev);
+      }
+    });
+
+    this.ws.on('reconnecting', (attempt, delay) => {
+      this.reconnecting = true;
+      this.emit('osjs/core:reconnecting', attempt, delay);
+    });
 
-    this.ws.onmessage = (ev) => {
+    this.ws.on('reconnect-failed', attempts => {
+      this.reconnecting = false;
+      this.emit('osjs/core:reconnect-failed', attempts);
+    });
+
+    this.ws.on('message', ev => {
       try {
         const data = JSON.parse(ev.data);
         const params = data.params || [];
 
         console.debug('WebSocket message', data);
-        this.emit(data.name, ...params);
+
+        // RPC messages does not have a name and are handled separately
+        if (typeof data.name === 'string') {
+          this.emit(data.name, ...params);
+        }
       } catch (e) {
         console.warn(e);
       }
-    };
+    });
 
     return true;
   }
@@ -375,47 +412,56 @@ export default class Core extends CoreBase {
 
   /**
    * Spawns an application based on the file given
+   *
+   * @desc Uses the default application for the MIME type if set, otherwise
+   * the user can choose if more than one application can open the file.
+   *
    * @param {Object} file A file object
    * @param {Object} [options] Options
-   * @return {Boolean|Application}
+   * @param {Boolean} [options.chooser=false] Always let the user choose the application
+   * @return {Promise<Boolean, Error>}
    */
   open(file, options = {}) {
-    const _ = this.make('osjs/locale').translate;
-
-    const run = app => this.run(app, {file}, options);
-
     if (file.mime === 'osjs/application') {
       return this.run(file.path.split('/').pop());
     }
 
-    const compatible = this.make('osjs/packages')
-      .getCompatiblePackages(file.mime);
-
-    if (compatible.length > 0) {
-      if (compatible.length > 1) {
-        try {
-          this.make('osjs/dialog', 'choice', {
-            title: _('LBL_LAUNCH_SELECT'),
-            message: _('LBL_LAUNCH_SELECT_MESSAGE', file.path),
-            choices: compatible.reduce((o, i) => Object.assign(o, {[i.name]: i.name}), {})
-          }, (btn, value) => {
-            if (btn === 'ok' && value) {
-              run(value);
-            }
-          });
+    const associations = this.make('osjs/associations');
+    const compatible = associations.getHandlers(file.mime);
+    const runOptions = Object.assign({}, options);
+    delete runOptions.chooser;
 
-          return true;
-        } catch (e) {
-          console.warn(e);
-        }
-      }
+    const run = app => {
+      this.run(app, {file}, runOptions);
 
-      run(compatible[0].name);
+      return true;
+    };
 
-      return Promise.resolve(true);
+    if (compatible.length === 0) {
+      return Promise.reject(false);
     }
 
-    return Promise.reject(false);
+    const found = options.chooser ? null : associations.getDefault(file.mime);
+
+    if (found) {
+      return Promise.resolve(run(found));
+    } else if (compatible.length === 1 && !options.chooser) {
+      return Promise.resolve(run(compatible[0].name));
+    }
+
+    return associations.choose(file)
+      .then(name => name ? run(name) : false);
+  }
+
+  /**
+   * Lets the user choose what application to open a file with
+   * @param {Object} file A file object
+   * @param {Object} [options] Options
+   * @see Core#open
+   * @return {Promise<Boolean, Error>}
+   */
+  openWith(file, options = {}) {
+    return this.open(file, Object.assign({}, options, {chooser: true}));
   }
 
   /**
@@ -32,10 +32,12 @@ import {EventEmitter} from '@osjs/event-emitter';
 import Application from './application';
 import {handleTabOnTextarea} from './utils/dom';
 import Window from './window';
-import Search from './search';
+import Search, {matchScore} from './search';
+import Keybindings from './keybindings';
+import Switcher from './switcher';
 import merge from 'deepmerge';
 
-const TEMPLATE = subtract => `
+const TEMPLATE = (subtract, workspace) => `
   .osjs-window[data-maximized=true] {
     top: ${subtract.top}px !important;
     left: ${subtract.left}px !important;
@@ -44,6 +46,9 @@ const TEMPLATE = subtract => `
     width: calc(100% -  ${subtract.left + subtract.right}px) !important;
     height: calc(100% - ${subtract.top + subtract.bottom}px) !important;
   }
+  .osjs-window:not([data-workspace="${workspace}"]) {
+    display: none !important;
+  }
 `;
 
 /*
@@ -106,7 +111,12 @@ export default class Desktop extends EventEmitter {
     this.$styles = document.createElement('style');
     this.$styles.setAttribute('type', 'text/css');
     this.contextmenuEntries = [];
+    this.connectionNotification = null;
     this.search = core.config('search.enabled') ? new Search(core) : null;
+    this.keybindings = new Keybindings(core);
+    this.switcher = new Switcher(core);
+    this.workspaces = 1;
+    this.workspace = 0;
     this.subtract = {
       left: 0,
       top: 0,
@@ -123,6 +133,14 @@ export default class Desktop extends EventEmitter {
       this.search = this.search.destroy();
     }
 
+    if (this.keybindings) {
+      this.keybindings = this.keybindings.destroy();
+    }
+
+    if (this.switcher) {
+      this.switcher = this.switcher.destroy();
+    }
+
     if (this.$styles && this.$styles.parentNode) {
       this.$styles.remove();
     }
@@ -152,24 +170,80 @@ export default class Desktop extends EventEmitter {
       console.warn('Connection closed', ev);
 
       const _ = this.core.make('osjs/locale').translate;
-      this.core.make('osjs/notification', {
+      this._connectionNotification({
         title: _('LBL_CONNECTION_LOST'),
         message: _('LBL_CONNECTION_LOST_MESSAGE')
       });
     });
 
+    this.core.on('osjs/core:reconnecting', (attempt, delay) => {
+      const _ = this.core.make('osjs/locale').translate;
+      this._connectionNotification({
+        title: _('LBL_CONNECTION_LOST'),
+        message: _('LBL_CONNECTION_RECONNECTING', Math.ceil(delay / 1000), attempt),
+        timeout: 0
+      });
+    });
+
+    this.core.on('osjs/core:reconnect-failed', () => {
+      const _ = this.core.make('osjs/locale').translate;
+      this._connectionNotification({
+        title: _('LBL_CONNECTION_LOST'),
+        message: _('LBL_CONNECTION_FAILED_MESSAGE'),
+        timeout: 0
+      });
+    });
+
     this.core.on('osjs/core:connect', (ev, reconnected) => {
       console.info('Connection opened');
 
       if (reconnected) {
         const _ = this.core.make('osjs/locale').translate;
-        this.core.make('osjs/notification', {
+        this._connectionNotification({
           title: _('LBL_CONNECTION_RESTORED'),
           message: _('LBL_CONNECTION_RESTORED_MESSAGE')
         });
       }
     });
 
+    const uploads = {};
+    this.core.on('osjs/vfs:upload:progress', ({id, path, loaded, total, done}) => {
+      const _ = this.core.make('osjs/locale').translate;
+      const filename = path.split('/').pop();
+      const percentage = total > 0 ? Math.round(loaded / total * 100) : 100;
+      const title = _('LBL_VFS_UPLOAD_PROGRESS', filename, percentage);
+
+      if (done) {
+        if (uploads[id]) {
+          uploads[id].destroy();
+          delete uploads[id];
+        }
+      } else if (uploads[id]) {
+        uploads[id].update({title});
+      } else {
+        uploads[id] = this.core.make('osjs/tray').create({title});
+      }
+    });
+
+    this.core.on('osjs/vfs:offline:sync', (synced, conflicts) => {
+      if (synced > 0) {
+        const _ = this.core.make('osjs/locale').translate;
+        this.core.make('osjs/notification', {
+          title: _('LBL_CONNECTION_RESTORED'),
+          message: _('LBL_VFS_OFFLINE_SYNCED', synced)
+        });
+      }
+    });
+
+    this.core.on('osjs/vfs:offline:conflict', entry => {
+      const _ = this.core.make('osjs/locale').translate;
+      this.core.make('osjs/notification', {
+        title: _('LBL_VFS_OFFLINE_CONFLICT'),
+        message: _('LBL_VFS_OFFLINE_CONFLICT_MESSAGE', entry.path),
+        timeout: 0
+      });
+    });
+
     this.core.on('osjs/window:transitionend', (...args) => {
       this.emit('theme:window:transitionend', ...args);
     });
@@ -178,6 +252,16 @@ export default class Desktop extends EventEmitter {
       this.emit('theme:window:change', ...args);
     });
 
+    this.core.on('osjs/window:change', (win, name, value) => {
+      if (name === 'workspace' && value >= this.workspaces) {
+        win.setWorkspace(this.workspaces - 1);
+      } else if (name === 'focused' && value === true) {
+        if (win.state.workspace !== this.workspace) {
+          this.switchWorkspace(win.state.workspace);
+        }
+      }
+    });
+
     // Creates tray
     const tray = this.core.make('osjs/tray').create({
       title: 'OS.js developer tools'
@@ -212,6 +296,26 @@ export default class Desktop extends EventEmitter {
       return w && w.$element.contains(target);
     };
 
+    this.keybindings.action('search', () => {
+      if (this.search) {
+        this.search.show();
+      }
+    });
+
+    if (this.search) {
+      this.search.register('settings', this._createSearchProvider());
+    }
+
+    this.keybindings.action('cycle', () => this.switcher.cycle());
+
+    this.keybindings.action('workspace-next', () => {
+      this.switchWorkspace((this.workspace + 1) % this.workspaces);
+    });
+
+    this.keybindings.action('workspace-previous', () => {
+      this.switchWorkspace((this.workspace + this.workspaces - 1) % this.workspaces);
+    });
+
     ['keydown', 'keyup', 'keypress'].forEach(n => {
       this.core.$root.addEventListener(n, e => forwardKeyEvent(n, e));
     });
@@ -221,13 +325,11 @@ export default class Desktop extends EventEmitter {
         return;
       }
 
-      if (e.keyCode === 114) { // F3
-        e.preventDefault();
+      if (this.keybindings.handle(e)) {
+        return;
+      }
 
-        if (this.search) {
-          this.search.show();
-        }
-      } else if (e.keyCode === 9) { // Tab
+      if (e.keyCode === 9) { // Tab
         const {tagName} = e.target;
         const isInput = ['INPUT', 'TEXTAREA', 'SELECT', 'BUTTON'].indexOf(tagName) !== -1;
         const w = Window.lastWindow();
@@ -253,12 +355,15 @@ export default class Desktop extends EventEmitter {
     });
 
     this.core.$resourceRoot.appendChild(this.$styles);
+    this._updateCSS();
   }
 
   start() {
     if (this.search) {
       this.search.init();
     }
+
+    this.switcher.init();
   }
 
   /**
@@ -269,7 +374,19 @@ export default class Desktop extends EventEmitter {
       return;
     }
 
-    this.$styles.innerHTML = TEMPLATE(this.subtract);
+    this.$styles.innerHTML = TEMPLATE(this.subtract, this.workspace);
+  }
+
+  /**
+   * Shows a connection status notification, replacing the previous one
+   * @param {Object} options Notification options
+   */
+  _connectionNotification(options) {
+    if (this.connectionNotification) {
+      this.connectionNotification.destroy();
+    }
+
+    this.connectionNotification = this.core.make('osjs/notification', options);
   }
 
   addContextMenu(entries) {
@@ -315,6 +432,9 @@ export default class Desktop extends EventEmitter {
     applyOverlays('osjs/panels', newSettings.panels);
     applyOverlays('osjs/widgets', newSettings.widgets);
 
+    this.keybindings.load(newSettings.keybindings);
+    this._applyWorkspaces(newSettings.workspaces);
+
     this.applyTheme(newSettings.theme);
     this.applyIcons(newSettings.icons);
 
@@ -408,6 +528,142 @@ export default class Desktop extends EventEmitter {
       });
   }
 
+  /**
+   * Updates the number of workspaces from settings
+   * @param {Number} count Number of workspaces
+   */
+  _applyWorkspaces(count) {
+    const previous = this.workspaces;
+    this.workspaces = Math.max(1, parseInt(count, 10) || 1);
+
+    Window.getWindows()
+      .filter(w => w.state.workspace >= this.workspaces)
+      .forEach(w => w.setWorkspace(this.workspaces - 1));
+
+    if (this.workspace >= this.workspaces) {
+      this.switchWorkspace(this.workspaces - 1);
+    } else if (previous !== this.workspaces) {
+      this.core.emit('osjs/desktop:workspace:update', this.getWorkspaces());
+    }
+  }
+
+  /**
+   * Saves the number of workspaces to settings
+   * @return {Promise<Boolean, Error>}
+   */
+  _saveWorkspaces() {
+    if (this.core.config('desktop.lock')) {
+      return Promise.resolve(true);
+    }
+
+    return this.core.make('osjs/settings')
+      .set('osjs/desktop', 'workspaces', this.workspaces)
+      .save();
+  }
+
+  /**
+   * Gets a list of workspaces
+   * @return {Object[]}
+   */
+  getWorkspaces() {
+    const _ = this.core.make('osjs/locale').translate;
+    const windows = Window.getWindows();
+
+    return Array.from({length: this.workspaces}, (v, index) => ({
+      index,
+      label: _('LBL_WORKSPACE', index + 1),
+      current: index === this.workspace,
+      windows: windows.filter(w => w.state.workspace === index).length
+    }));
+  }
+
+  /**
+   * Gets the current workspace index
+   * @return {Number}
+   */
+  getCurrentWorkspace() {
+    return this.workspace;
+  }
+
+  /**
+   * Switches to another workspace
+   * @param {Number} index Workspace index
+   * @return {Boolean}
+   */
+  switchWorkspace(index) {
+    if (index === this.workspace || index < 0 || index >= this.workspaces) {
+      return false;
+    }
+
+    const previous = this.workspace;
+    this.workspace = index;
+    this._updateCSS();
+
+    const last = Window.lastWindow();
+    if (last && last.state.workspace !== index) {
+      last.blur();
+    }
+
+    const next = Window.getRecentWindows()
+      .find(w => w.state.workspace === index && !w.state.minimized);
+
+    if (next) {
+      next.focus();
+    }
+
+    this.core.emit('osjs/desktop:workspace:change', index, previous);
+
+    return true;
+  }
+
+  /**
+   * Creates a new workspace
+   * @return {Promise<Number, Error>} The new workspace index
+   */
+  createWorkspace() {
+    this.workspaces++;
+
+    this.core.emit('osjs/desktop:workspace:update', this.getWorkspaces());
+
+    return this._saveWorkspaces()
+      .then(() => this.workspaces - 1);
+  }
+
+  /**
+   * Removes a workspace
+   *
+   * @desc Windows on the removed workspace are moved to the previous one.
+   * @param {Number} index Workspace index
+   * @return {Promise<Boolean, Error>}
+   */
+  removeWorkspace(index) {
+    const _ = this.core.make('osjs/locale').translate;
+
+    if (this.workspaces <= 1) {
+      return Promise.reject(new Error(_('ERR_WORKSPACE_REMOVE_LAST')));
+    } else if (index < 0 || index >= this.workspaces) {
+      return Promise.reject(new Error(_('ERR_WORKSPACE_NOT_FOUND', index)));
+    }
+
+    Window.getWindows()
+      .filter(w => w.state.workspace >= index && w.state.workspace > 0)
+      .forEach(w => w.setWorkspace(w.state.workspace - 1));
+
+    this.workspaces--;
+
+    // The visible workspace is renumbered or gets the windows of another one
+    if (this.workspace >= index) {
+      const previous = this.workspace;
+      this.workspace = Math.max(0, this.workspace - 1);
+      this._updateCSS();
+      this.core.emit('osjs/desktop:workspace:change', this.workspace, previous);
+    }
+
+    this.core.emit('osjs/desktop:workspace:update', this.getWorkspaces());
+
+    return this._saveWorkspaces();
+  }
+
   _applySettingsByKey(k, v) {
     return this.core.make('osjs/settings')
       .set('osjs/desktop', k, v)
@@ -415,6 +671,59 @@ export default class Desktop extends EventEmitter {
       .then(() => this.applySettings());
   }
 
+  /**
+   * Shows a dialog for selecting the wallpaper
+   */
+  selectWallpaper() {
+    this.core.make('osjs/dialog', 'file', {
+      mime: ['^image']
+    }, (btn, file) => {
+      if (btn === 'ok') {
+        this._applySettingsByKey('background.src', file);
+      }
+    });
+  }
+
+  /**
+   * Creates a search provider for desktop settings and workspaces
+   * @return {SearchProvider}
+   */
+  _createSearchProvider() {
+    const _ = this.core.make('osjs/locale').translate;
+
+    const settings = () => {
+      if (this.core.config('desktop.lock')) {
+        return [];
+      }
+
+      const themes = this.core.make('osjs/packages')
+        .getPackages(p => p.type === 'theme');
+
+      return [{
+        title: _('LBL_DESKTOP_SELECT_WALLPAPER'),
+        action: () => this.selectWallpaper()
+      }, ...themes.map(t => ({
+        title: `${_('LBL_DESKTOP_SELECT_THEME')}: ${t.name}`,
+        action: () => this._applySettingsByKey('theme', t.name)
+      }))];
+    };
+
+    const workspaces = () => this.getWorkspaces()
+      .map((w, index) => ({
+        title: w.label,
+        action: () => this.switchWorkspace(index)
+      }));
+
+    return {
+      label: _('LBL_SEARCH_SETTINGS'),
+      priority: 30,
+      search: query => [...settings(), ...workspaces()]
+        .map(result => Object.assign(result, {score: matchScore(query, [result.title])}))
+        .filter(result => result.score > 0)
+        .sort((a, b) => b.score - a.score)
+    };
+  }
+
   onDeveloperMenu(ev) {
     const _ = this.core.make('osjs/locale').translate;
     const s = this.core.make('osjs/settings').get();
@@ -478,15 +787,7 @@ export default class Desktop extends EventEmitter {
 
     const defaultItems = lockSettings ? [] : [{
       label: _('LBL_DESKTOP_SELECT_WALLPAPER'),
-      onclick: () => {
-        this.core.make('osjs/dialog', 'file', {
-          mime: ['^image']
-        }, (btn, file) => {
-          if (btn === 'ok') {
-            this._applySettingsByKey('background.src', file);
-          }
-        });
-      }
+      onclick: () => this.selectWallpaper()
     }, {
       label: _('LBL_DESKTOP_SELECT_THEME'),
       items: themes.map(t => ({
@@ -32,7 +32,20 @@ import * as VFS from './vfs/methods';
 import {EventEmitter} from '@osjs/event-emitter';
 import systemAdapter from './vfs/system';
 import appsAdapter from './vfs/apps';
+import indexeddbAdapter from './vfs/indexeddb';
+import tmpfsAdapter from './vfs/tmpfs';
+import archiveAdapter from './vfs/archive';
+import webdavAdapter from './vfs/webdav';
+import s3Adapter from './vfs/s3';
+import Offline from './vfs/offline';
+import Transfer from './vfs/transfer';
+import Archiver from './vfs/archiver';
+import Trash from './vfs/trash';
+import Indexer from './vfs/indexer';
+import Watcher from './vfs/watcher';
+import Cache from './vfs/cache';
 import merge from 'deepmerge';
+import {createAbortError} from './utils/vfs';
 
 const defaultAdapter = ({
   readdir: (path, options) => Promise.resolve([]),
@@ -56,15 +69,80 @@ const defaultAdapter = ({
  * @param {String} name Name
  * @param {String} label Label
  * @param {String} adapter Adater name
+ * @param {String} [source] Path to the file to mount (if supported by adapter)
+ * @param {Object} [connection] Connection options, ie. address and credentials (if supported by adapter)
  * @param {Boolean} [enabled=true] Enabled state
  * @param {Object} [attributes] Attributes
  * @param {String} [attributes.visibility='global'] Visibility in UI
  * @param {Boolean} [attributes.local=true] Local filesystem ?
  * @param {Boolean} [attributes.searchable=true] If can be searched
  * @param {Boolean} [attributes.readOnly=false] Readonly
+ * @param {MountpointPermission[]} [attributes.permissions] Permissions by group
+ * @param {Number} [attributes.quota] Maximum size in bytes (if supported by adapter)
+ * @param {Boolean} [attributes.trash=true] Move removed files to trash (if enabled)
+ * @param {Boolean} [attributes.cache=true] Cache metadata (if enabled)
+ * @param {Boolean} [attributes.index=true] Add to the search index (if enabled)
  * @typedef Mountpoint
  */
 
+/**
+ * Mountpoint permission rule
+ *
+ * @desc A rule applies if the user is a member of all the groups.
+ * If a mountpoint has rules, users that does not match any of them
+ * has no access.
+ * @property {String[]} groups Groups
+ * @property {Boolean} [read=true] Allow reading
+ * @property {Boolean} [write=true] Allow writing
+ * @typedef MountpointPermission
+ */
+
+/*
+ * Methods that requires permissions in order to work
+ */
+const readMethods = ['readdir', 'readfile', 'exists', 'stat', 'url', 'download', 'search', 'watch'];
+const writeMethods = ['writefile', 'mkdir', 'unlink', 'touch'];
+const transferMethods = ['copy', 'rename', 'move'];
+
+/*
+ * Gets the effective permissions of a mountpoint for the current user
+ */
+const getPermissions = (core, mount) => {
+  const {readOnly, permissions} = mount.attributes || {};
+  const user = core.getUser() || {};
+  const groups = user.groups instanceof Array ? user.groups : [];
+
+  const result = permissions instanceof Array
+    ? permissions
+      .filter(rule => (rule.groups || []).every(g => groups.indexOf(g) !== -1))
+      .reduce((result, rule) => ({
+        read: result.read || rule.read !== false,
+        write: result.write || rule.write !== false
+      }), {read: false, write: false})
+    : {read: true, write: true};
+
+  return {
+    read: result.read,
+    write: result.write && result.read && !readOnly
+  };
+};
+
+/*
+ * Checks if the current user is allowed to perform a method
+ */
+const checkPermission = (core, mount, write) => {
+  const _ = core.make('osjs/locale').translate;
+  const permissions = getPermissions(core, mount);
+
+  if (!permissions.read) {
+    throw new Error(_('ERR_VFS_PERMISSION_DENIED', mount.name));
+  } else if (write && !permissions.write) {
+    throw new Error(mount.attributes.readOnly
+      ? _('ERR_VFS_MOUNT_READONLY', mount.name)
+      : _('ERR_VFS_PERMISSION_DENIED', mount.name));
+  }
+};
+
 /*
  * Gets mountpoint from a path
  */
@@ -92,20 +170,25 @@ const getMountpointFromPath = (core, mounts, file) => {
  * Creates given mountpoint
  */
 const createMountpoint = (core, adapters, props) => {
-  const name = props.adapter || core.config('vfs.defaultAdapter');
+  const requested = props.adapter || core.config('vfs.defaultAdapter');
+
+  // There is no server in standalone mode, so store files in the browser instead
+  const name = requested === 'system' && core.config('standalone')
+    ? core.config('vfs.standaloneAdapter', 'indexeddb')
+    : requested;
+
   const adapter = Object.assign({}, defaultAdapter, adapters[name](core));
 
   const result = merge({
     enabled: true,
     mounted: false,
-    adapter: name,
     attributes: {
       visibility: 'global',
       local: true,
       searchable: true,
       readOnly: false
     }
-  }, props);
+  }, Object.assign({}, props, {adapter: name}));
 
   return Object.assign({
     _adapter: adapter,
@@ -149,7 +232,12 @@ export default class Filesystem extends EventEmitter {
      */
     this.adapters = Object.assign({}, {
       system: systemAdapter,
-      apps: appsAdapter
+      apps: appsAdapter,
+      indexeddb: indexeddbAdapter,
+      tmpfs: tmpfsAdapter,
+      archive: archiveAdapter,
+      webdav: webdavAdapter,
+      s3: s3Adapter
     }, this.core.config('vfs.adapters', {}), options.adapters);
 
     /**
@@ -163,6 +251,68 @@ export default class Filesystem extends EventEmitter {
      * @type {Object}
      */
     this.options = {};
+
+    /**
+     * Offline layer
+     * @type {Offline}
+     */
+    this.offline = null;
+
+    /**
+     * Trash
+     * @type {Trash}
+     */
+    this.trash = null;
+
+    /**
+     * Search index
+     * @type {Indexer}
+     */
+    this.indexer = null;
+
+    /**
+     * Watcher
+     * @type {Watcher}
+     */
+    this.watcher = new Watcher(core,
+      path => getMountpointFromPath(this.core, this.mounts, path),
+      core.config('vfs.watch', {}));
+
+    /**
+     * Metadata cache
+     * @type {Cache}
+     */
+    this.cache = null;
+
+    /**
+     * Change listener for invalidating cache
+     * @type {Function}
+     */
+    this.onChange = ev => {
+      if (this.cache) {
+        [ev.path, ev.oldPath]
+          .filter(path => !!path)
+          .forEach(path => this.cache.invalidate(path));
+      }
+    };
+
+    /**
+     * Sync listener for clearing cache
+     * @type {Function}
+     */
+    this.onSync = () => {
+      if (this.cache) {
+        this.cache.clear();
+      }
+    };
+
+    /**
+     * Connection listener for replaying offline changes
+     * @type {Function}
+     */
+    this.onConnect = () => this.sync()
+      .catch(error => console.warn('Failed to synchronize offline changes', error));
+
     /**
      * A wrapper for VFS method requests
      * @type {Map<String, Function>}
@@ -171,15 +321,80 @@ export default class Filesystem extends EventEmitter {
       return Object.assign({
         [method]: (...args) => this._request(method, ...args)
       }, result);
-    }, {});
+    }, {
+      compress: (...args) => this.compress(...args),
+      extract: (...args) => this.extract(...args),
+      listTrash: () => this.listTrash(),
+      restore: (...args) => this.restore(...args),
+      emptyTrash: () => this.emptyTrash(),
+      watch: (...args) => this.watch(...args)
+    });
+  }
+
+  /**
+   * Destroys filesystem manager
+   */
+  destroy() {
+    this.core.off('osjs/core:connect', this.onConnect);
+    this.core.off('osjs/vfs:change', this.onChange);
+    this.core.off('osjs/vfs:offline:sync', this.onSync);
+    this.watcher.destroy();
+
+    if (this.cache) {
+      this.cache.destroy();
+    }
+
+    this.cache = null;
+
+    if (this.offline) {
+      this.offline.destroy();
+    }
+
+    this.offline = null;
+
+    if (this.indexer) {
+      this.indexer.destroy();
+    }
+
+    this.indexer = null;
+    this.mounts = [];
   }
 
   /**
    * Mounts all configured mountpoints
    */
   mountAll(stopOnError = true) {
-    this.mounts = this.core.config('vfs.mountpoints')
-      .concat(this.options.mounts || [])
+    const offlineOptions = this.core.config('vfs.offline', {});
+    if (offlineOptions.enabled && !this.core.config('standalone') && !this.offline) {
+      this.offline = new Offline(this.core, offlineOptions);
+      this.core.on('osjs/core:connect', this.onConnect);
+    }
+
+    const cacheOptions = this.core.config('vfs.cache', {});
+    if (cacheOptions.enabled && !this.cache) {
+      this.cache = new Cache(this.core, cacheOptions);
+      this.core.on('osjs/vfs:change', this.onChange);
+      this.core.on('osjs/vfs:offline:sync', this.onSync);
+    }
+
+    const trashOptions = this.core.config('vfs.trash', {});
+    if (trashOptions.enabled && !this.trash) {
+      this.trash = new Trash(this.core, this, trashOptions);
+    }
+
+    const indexOptions = this.core.config('vfs.index', {});
+    if (indexOptions.enabled && !this.indexer) {
+      this.indexer = new Indexer(this.core, this, indexOptions);
+    }
+
+    const mountpoints = this.core.config('vfs.mountpoints')
+      .concat(this.options.mounts || []);
+
+    if (this.trash && !mountpoints.find(m => m.name === this.trash.name)) {
+      mountpoints.push(this.trash.createMountpoint());
+    }
+
+    this.mounts = mountpoints
       .map(mount => {
         try {
           return createMountpoint(this.core, this.adapters, mount);
@@ -198,13 +413,37 @@ export default class Filesystem extends EventEmitter {
         console.warn('Removed duplicate mountpoint', mount);
         return false;
       })
-      .filter(mount => mount !== null);
+      .filter(mount => mount !== null)
+      .map(mount => {
+        if (this.offline && this.offline.handles(mount)) {
+          mount._adapter = this.offline.wrap(mount._adapter, mount);
+        }
+
+        if (this.cache && mount.attributes.cache !== false) {
+          mount._adapter = this.cache.wrap(mount._adapter);
+        }
+
+        return mount;
+      });
 
     const fn = m => stopOnError
       ? this._mount(m)
       : this._mount(m).catch(err => console.warn(err));
 
-    return Promise.all(this.mounts.map(fn));
+    return Promise.all(this.mounts.map(fn))
+      .then(result => {
+        if (this.trash) {
+          this.trash.expire()
+            .catch(error => console.warn('Failed to expire trash', error));
+        }
+
+        if (this.indexer) {
+          this.indexer.build()
+            .catch(error => console.warn('Failed to build search index', error));
+        }
+
+        return result;
+      });
   }
 
   /**
@@ -243,17 +482,30 @@ export default class Filesystem extends EventEmitter {
 
   /**
    * Mount given filesystem
-   * @param {String} name Filesystem name
+   *
+   * @desc If given mountpoint properties, a new filesystem is created
+   * and mounted. It is removed again when unmounted.
+   *
+   * @example
+   * mount('home');
+   * mount({adapter: 'archive', source: 'home:/foo.zip'});
+   *
+   * @param {String|Mountpoint} name Filesystem name or mountpoint properties
    * @throws {Error} On invalid name or if already mounted
+   * @return {Promise<Boolean, Error>}
    */
   mount(name) {
+    if (typeof name === 'object') {
+      return this._mountDynamic(name);
+    }
+
     return Promise.resolve(this.mounts.find(m => m.name === name))
       .then(found => {
         const _ = this.core.make('osjs/locale').translate;
 
         if (!found) {
           throw new Error(_('ERR_VFS_MOUNT_NOT_FOUND', name));
-        } else if (!found.mounted) {
+        } else if (found.mounted) {
           throw new Error(_('ERR_VFS_MOUNT_ALREADY_MOUNTED', name));
         }
 
@@ -261,6 +513,51 @@ export default class Filesystem extends EventEmitter {
       });
   }
 
+  /**
+   * Creates and mounts a new filesystem
+   * @param {Mountpoint} props Mountpoint properties
+   * @return {Promise<Boolean, Error>}
+   */
+  _mountDynamic(props) {
+    const _ = this.core.make('osjs/locale').translate;
+    const filename = props.source
+      ? String(props.source).split('/').pop()
+      : props.adapter;
+
+    // Mountpoint names can only contain word characters
+    const prefix = String(props.name || filename).replace(/\W+/g, '_');
+
+    let name = prefix;
+    for (let i = 2; this.mounts.find(m => m.name === name); i++) {
+      if (props.name) {
+        return Promise.reject(new Error(_('ERR_VFS_MOUNT_ALREADY_MOUNTED', name)));
+      }
+
+      name = `${prefix}_${i}`;
+    }
+
+    let mount;
+    try {
+      mount = createMountpoint(this.core, this.adapters, Object.assign({
+        label: filename
+      }, props, {name, dynamic: true}));
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    if (this.cache && mount.attributes.cache !== false) {
+      mount._adapter = this.cache.wrap(mount._adapter);
+    }
+
+    this.mounts.push(mount);
+
+    return this._mount(mount)
+      .catch(error => {
+        this.mounts = this.mounts.filter(m => m !== mount);
+        throw error;
+      });
+  }
+
   /**
    * Unmount given filesystem
    * @param {String} name Filesystem name
@@ -277,12 +574,24 @@ export default class Filesystem extends EventEmitter {
           throw new Error(_('ERR_VFS_MOUNT_NOT_MOUNTED', name));
         }
 
-        return this._unmount(found);
+        return this._unmount(found)
+          .then(result => {
+            if (result && found.dynamic) {
+              this.mounts = this.mounts.filter(m => m !== found);
+            }
+
+            return result;
+          });
       });
   }
 
   /**
    * Gets the proxy for VFS methods
+   *
+   * @desc The methods return Promises. Copying or moving between different
+   * mountpoints resolves with the number of `transferred` and `skipped`
+   * items instead of a Boolean.
+   *
    * @return {Map<String, Function>} A map of VFS functions
    */
   request() {
@@ -291,34 +600,359 @@ export default class Filesystem extends EventEmitter {
 
   /**
    * Perform a VFS method request
+   *
+   * @desc Emits `osjs/vfs:<method>` before the request, and
+   * `osjs/vfs:<method>:done` when it has finished successfully.
+   *
    * @param {String} method VFS method name
    * @param {*} ...args Arguments
-   * @return {*}
+   * @return {Promise<*, Error>}
    */
   _request(method, ...args) {
-    if (['rename', 'move', 'copy'].indexOf(method) !== -1) {
+    try {
+      this._checkPermissions(method, args);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const done = promise => Promise.resolve(promise).then(result => {
+      this.core.emit(`osjs/vfs:${method}:done`, ...args);
+      return result;
+    });
+
+    if (transferMethods.indexOf(method) !== -1) {
       const [src, dest] = args;
       const srcMount = getMountpointFromPath(this.core, this.mounts, src);
       const destMount = getMountpointFromPath(this.core, this.mounts, dest);
-      const sameAdapter = srcMount.adapter === destMount.adapter;
+      // Only the server can transfer between different mountpoints by itself
+      const direct = srcMount === destMount ||
+        (srcMount.adapter === 'system' && destMount.adapter === 'system');
 
-      if (!sameAdapter) {
-        return VFS.readfile(srcMount._adapter, srcMount)(src)
-          .then(ab => VFS.writefile(destMount._adapter, destMount)(dest, ab))
-          .then(result => {
-            return method === 'rename'
-              ? VFS.unlink(srcMount._adapter, srcMount)(src).then(() => result)
-              : result;
-          });
+      if (!direct) {
+        const [, , options] = args;
+        const transfer = new Transfer(this.core, options);
+
+        this.core.emit(`osjs/vfs:${method}`, ...args);
+
+        return done(transfer.run(
+          {adapter: srcMount._adapter, mount: srcMount, path: src},
+          {adapter: destMount._adapter, mount: destMount, path: dest},
+          method !== 'copy'
+        ));
       }
     }
 
     const [file] = args;
     const mount = getMountpointFromPath(this.core, this.mounts, file);
 
+    if (method === 'unlink' && this.trash && this.trash.handles(mount)) {
+      const [, options = {}] = args;
+
+      if (options.permanent !== true) {
+        this.core.emit('osjs/vfs:unlink', ...args);
+
+        return done(this.trash.trash(file, mount)
+          .then(() => true));
+      }
+    }
+
     this.core.emit(`osjs/vfs:${method}`, ...args);
 
-    return VFS[method](mount._adapter, mount)(...args);
+    return done(VFS[method](mount._adapter, mount)(...args));
+  }
+
+  /**
+   * Checks if a VFS method is allowed
+   * @param {String} method VFS method name
+   * @param {Array} args Arguments
+   * @throws {Error}
+   */
+  _checkPermissions(method, args) {
+    const getMount = file => getMountpointFromPath(this.core, this.mounts, file);
+
+    if (transferMethods.indexOf(method) !== -1) {
+      const [src, dest] = args;
+
+      checkPermission(this.core, getMount(src), method !== 'copy');
+      checkPermission(this.core, getMount(dest), true);
+    } else if (writeMethods.indexOf(method) !== -1) {
+      checkPermission(this.core, getMount(args[0]), true);
+    } else if (readMethods.indexOf(method) !== -1) {
+      checkPermission(this.core, getMount(args[0]), false);
+    }
+  }
+
+  /**
+   * Creates an archive from files and directories on any mountpoints
+   * @desc Emits `osjs/vfs:compress` before, and `osjs/vfs:compress:done` with the result after.
+   * @param {Object[]|String[]} paths Files and directories to add
+   * @param {Object|String} dest Archive path
+   * @param {Object} [options] Options
+   * @param {String} [options.format] Archive format 'zip', 'tar' or 'tar.gz' (default from filename)
+   * @param {Function} [options.onProgress] Progress callback with `TransferProgress`
+   * @param {Function} [options.onConflict] Called if the archive exists, see `Transfer`
+   * @param {AbortSignal} [options.signal] Cancel with an AbortController
+   * @return {Promise<Object, Error>} Path of the created archive (null if skipped) and number of files
+   */
+  compress(paths, dest, options = {}) {
+    const getMount = file => getMountpointFromPath(this.core, this.mounts, file);
+    const sources = [].concat(paths);
+
+    try {
+      sources.forEach(path => this._checkPermissions('readfile', [path]));
+      this._checkPermissions('writefile', [dest]);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const destMount = getMount(dest);
+    const archiver = new Archiver(this.core, options);
+
+    this.core.emit('osjs/vfs:compress', sources, dest, options);
+
+    return archiver.compress(
+      sources.map(path => {
+        const mount = getMount(path);
+        return {adapter: mount._adapter, mount, path};
+      }),
+      {adapter: destMount._adapter, mount: destMount, path: dest},
+      options.format
+    ).then(result => {
+      this.core.emit('osjs/vfs:compress:done', sources, dest, options, result);
+      return result;
+    });
+  }
+
+  /**
+   * Extracts an archive to a directory on any mountpoint
+   * @desc Emits `osjs/vfs:extract` before, and `osjs/vfs:extract:done` with the result after.
+   * @param {Object|String} archive Archive path
+   * @param {Object|String} dest Destination directory (created if it does not exist)
+   * @param {Object} [options] Options
+   * @param {String} [options.format] Archive format 'zip', 'tar' or 'tar.gz' (default from contents)
+   * @param {Function} [options.onProgress] Progress callback with `TransferProgress`
+   * @param {Function} [options.onConflict] Conflict callback with `TransferConflict`
+   * @param {AbortSignal} [options.signal] Cancel with an AbortController
+   * @return {Promise<Object, Error>} Number of extracted and skipped items
+   */
+  extract(archive, dest, options = {}) {
+    const getMount = file => getMountpointFromPath(this.core, this.mounts, file);
+
+    try {
+      this._checkPermissions('readfile', [archive]);
+      this._checkPermissions('writefile', [dest]);
+    } catch (e) {
+      return Promise.reject(e);
+    }
+
+    const srcMount = getMount(archive);
+    const destMount = getMount(dest);
+    const archiver = new Archiver(this.core, options);
+
+    this.core.emit('osjs/vfs:extract', archive, dest, options);
+
+    return archiver.extract(
+      {adapter: srcMount._adapter, mount: srcMount, path: archive},
+      {adapter: destMount._adapter, mount: destMount, path: dest},
+      options.format
+    ).then(result => {
+      this.core.emit('osjs/vfs:extract:done', archive, dest, options, result);
+      return result;
+    });
+  }
+
+  /**
+   * Watches a path for changes
+   * @param {String|Object} path The path (file or directory)
+   * @param {Function} callback Called with a `VFSChangeEvent`
+   * @param {Object} [options] Options, see `Watcher#watch`
+   * @throws {Error} On invalid path or missing permissions
+   * @return {Function} Call to stop watching
+   */
+  watch(path, callback, options = {}) {
+    this._checkPermissions('watch', [path]);
+
+    return this.watcher.watch(path, callback, options);
+  }
+
+  /**
+   * Gets a list of items in the trash
+   * @return {Promise<TrashEntry[], Error>}
+   */
+  listTrash() {
+    return this.trash
+      ? this.trash.list()
+      : Promise.resolve([]);
+  }
+
+  /**
+   * Restores an item from the trash
+   * @param {String} id Trash entry ID
+   * @param {Object} [options] Options
+   * @param {String} [options.path] Restore to this path instead of the original
+   * @return {Promise<Boolean, Error>}
+   */
+  restore(id, options = {}) {
+    const _ = this.core.make('osjs/locale').translate;
+
+    return this.trash
+      ? this.trash.restore(id, options)
+      : Promise.reject(new Error(_('ERR_VFS_TRASH_DISABLED')));
+  }
+
+  /**
+   * Permanently removes everything in the trash
+   * @return {Promise<Boolean, Error>}
+   */
+  emptyTrash() {
+    const _ = this.core.make('osjs/locale').translate;
+
+    return this.trash
+      ? this.trash.empty()
+      : Promise.reject(new Error(_('ERR_VFS_TRASH_DISABLED')));
+  }
+
+  /**
+   * Searches filenames and contents in the search index
+   *
+   * @desc Falls back to a filename search on all searchable
+   * mountpoints if the index is not enabled (`vfs.index.enabled`, off by
+   * default). Only this fallback uses `timeout` and `onError`: each
+   * mountpoint has its own timeout, and the results from the ones that
+   * finish are still returned. The index is searched locally, so it
+   * calls `onResults` once with all results.
+   *
+   * @param {String} query The query
+   * @param {Object} [options] Options
+   * @param {Number} [options.limit=100] Maximum number of results
+   * @param {AbortSignal} [options.signal] Cancel the search with an AbortController
+   * @param {Number} [options.timeout] Timeout (ms) for each mountpoint (without index)
+   * @param {Function} [options.onResults] Called with all results so far as they arrive
+   * @param {Function} [options.onError] Called with the error and mountpoint when a mountpoint fails (without index)
+   * @see {Indexer#search}
+   * @return {Promise<SearchIndexResult[], Error>}
+   */
+  query(query, options = {}) {
+    const {limit, signal, timeout, onResults, onError} = Object.assign({
+      limit: 100,
+      timeout: this.core.config('vfs.search.timeout', 10000),
+      onResults: () => {},
+      onError: () => {}
+    }, options);
+
+    if (this.indexer) {
+      return this.indexer.search(query, {limit, signal})
+        .then(results => {
+          onResults(results);
+          return results;
+        });
+    }
+
+    const _ = this.core.make('osjs/locale').translate;
+    const pattern = `*${String(query).trim()}*`;
+    const mounts = this.getMounts()
+      .filter(m => m.attributes.searchable !== false);
+
+    let results = [];
+
+    const searchMount = mount => new Promise((resolve, reject) => {
+      const controller = new AbortController();
+      const onabort = () => controller.abort();
+      const timer = setTimeout(() => {
+        controller.abort();
+        reject(new Error(_('ERR_VFS_SEARCH_TIMEOUT', timeout)));
+      }, timeout);
+
+      if (signal) {
+        signal.addEventListener('abort', onabort);
+      }
+
+      this.request()
+        .search(mount.root, pattern, {signal: controller.signal})
+        .then(resolve, reject)
+        .then(() => {
+          clearTimeout(timer);
+
+          if (signal) {
+            signal.removeEventListener('abort', onabort);
+          }
+        });
+    })
+      .then(list => {
+        results = results.concat(list.filter(file => file.filename !== '..'))
+          .slice(0, limit);
+
+        if (!signal || !signal.aborted) {
+          onResults(results);
+        }
+      })
+      .catch(error => {
+        if (!signal || !signal.aborted) {
+          console.warn(error);
+          onError(error, mount);
+        }
+      });
+
+    return Promise.all(mounts.map(searchMount))
+      .then(() => {
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
+
+        return results;
+      });
+  }
+
+  /**
+   * Rebuilds the search index
+   * @return {Promise<Number, Error>} Number of indexed files and directories
+   */
+  rebuildIndex() {
+    return this.indexer
+      ? this.indexer.rebuild()
+      : Promise.resolve(0);
+  }
+
+  /**
+   * Gets the search index status
+   * @return {Object}
+   */
+  getIndexStatus() {
+    return this.indexer
+      ? this.indexer.status()
+      : {building: false, documents: 0};
+  }
+
+  /**
+   * Replays changes made while offline
+   * @return {Promise<Object, Error>} Number of synced, conflicting and held operations
+   */
+  sync() {
+    return this.offline
+      ? this.offline.sync(this.mounts)
+      : Promise.resolve({synced: 0, conflicts: 0, held: 0});
+  }
+
+  /**
+   * Gets the list of changes made while offline
+   * @return {Promise<Object[], Error>}
+   */
+  getOfflineQueue() {
+    return this.offline
+      ? this.offline.list()
+      : Promise.resolve([]);
+  }
+
+  /**
+   * Resolves a conflict from offline changes
+   * @param {Number} id Queue entry ID
+   * @param {String} strategy Keep 'local' or 'remote' version
+   * @return {Promise<Boolean, Error>}
+   */
+  resolveOfflineConflict(id, strategy) {
+    return this.offline
+      ? this.offline.resolve(this.mounts, id, strategy)
+      : Promise.resolve(false);
   }
 
   /**
@@ -334,12 +968,15 @@ export default class Filesystem extends EventEmitter {
     return this.mounts
       .filter(m => all || m.mounted)
       .filter(m => m.enabled !== false)
-      .map(m => ({
+      .map(m => ({mount: m, permissions: getPermissions(this.core, m)}))
+      .filter(({permissions}) => all || permissions.read)
+      .map(({mount: m, permissions}) => ({
         attributes: Object.assign({}, m.attributes),
         icon: icon(m.icon),
         name: m.name,
         label: m.label,
-        root: m.root
+        root: m.root,
+        permissions
       }));
   }
 
@@ -0,0 +1,395 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import Window from './window';
+
+const MODIFIERS = ['ctrl', 'alt', 'shift', 'meta'];
+
+/*
+ * Aliases for modifiers and keys used in combos
+ */
+const aliases = {
+  control: 'ctrl',
+  option: 'alt',
+  cmd: 'meta',
+  command: 'meta',
+  super: 'meta',
+  win: 'meta',
+  esc: 'escape',
+  del: 'delete',
+  return: 'enter',
+  space: ' ',
+  up: 'arrowup',
+  down: 'arrowdown',
+  left: 'arrowleft',
+  right: 'arrowright'
+};
+
+/*
+ * Gets the key name from a keyboard event
+ *
+ * Uses the physical key for letters and digits so that
+ * modifiers (ie. Alt on macOS) does not change the result.
+ */
+const getEventKey = ev => {
+  const code = ev.code || '';
+  const letter = code.match(/^Key([A-Z])$/);
+  const digit = code.match(/^Digit(\d)$/);
+
+  if (letter) {
+    return letter[1].toLowerCase();
+  } else if (digit) {
+    return digit[1];
+  }
+
+  return String(ev.key || '').toLowerCase();
+};
+
+/**
+ * Parses a key combination string
+ *
+ * @desc Combos are written as modifiers and a key separated by '+',
+ * ex. 'ctrl+alt+t' or 'shift+f3'.
+ * @param {String} combo The key combination
+ * @return {String} A normalized combo, or null if invalid
+ */
+export const parseCombo = combo => {
+  const parts = String(combo || '')
+    .toLowerCase()
+    .split(/\+(?!$)/)
+    .map(str => str.trim())
+    .filter(str => str.length > 0)
+    .map(str => aliases[str] || str);
+
+  const modifiers = parts.filter(str => MODIFIERS.indexOf(str) !== -1);
+  const keys = parts.filter(str => MODIFIERS.indexOf(str) === -1);
+
+  if (keys.length !== 1) {
+    return null;
+  }
+
+  return MODIFIERS
+    .filter(m => modifiers.indexOf(m) !== -1)
+    .concat(keys)
+    .join('+');
+};
+
+/**
+ * Creates a normalized combo from a keyboard event
+ * @param {Event} ev Keyboard event
+ * @return {String}
+ */
+export const eventCombo = ev => MODIFIERS
+  .filter(m => ev[m + 'Key'])
+  .concat([getEventKey(ev)])
+  .join('+');
+
+/*
+ * Checks if window can receive keyboard actions
+ */
+const isVisible = w => w &&
+  !w.getState('minimized') &&
+  w.getState('focused');
+
+/*
+ * Default set of named actions
+ */
+const defaultActions = core => ({
+  launch: name => core.run(name),
+  close: () => {
+    const w = Window.lastWindow();
+    if (isVisible(w) && w.attributes.closeable) {
+      w.close();
+    }
+  },
+  minimize: () => {
+    const w = Window.lastWindow();
+    if (isVisible(w) && w.attributes.minimizable) {
+      w.minimize();
+    }
+  },
+  maximize: () => {
+    const w = Window.lastWindow();
+    if (isVisible(w) && w.attributes.maximizable) {
+      if (!w.maximize()) {
+        w.restore();
+      }
+    }
+  },
+  cycle: () => {
+    const list = Window.getWindows()
+      .filter(w => w.attributes.visibility !== 'restricted');
+
+    if (list.length > 0) {
+      const index = list.indexOf(Window.lastWindow());
+      const next = list[(index + 1) % list.length];
+
+      next.raise();
+      next.focus();
+    }
+  }
+});
+
+/**
+ * A keybinding
+ * @property {String} combo Key combination
+ * @property {String} action Named action
+ * @property {Array} [args] Arguments passed on to action
+ * @typedef Keybinding
+ */
+
+/**
+ * Keybinding Handler
+ *
+ * @desc Handles global and window scoped keyboard shortcuts
+ */
+export default class Keybindings {
+
+  /**
+   * Creates the Keybinding Handler
+   *
+   * @param {Core} core Core reference
+   */
+  constructor(core) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Global keybindings (from settings)
+     * @type {Keybinding[]}
+     */
+    this.bindings = [];
+
+    /**
+     * Bindings registered at runtime (ie. by applications)
+     * @type {Object[]}
+     */
+    this.registered = [];
+
+    /**
+     * Named actions
+     * @type {Object<String, Function>}
+     */
+    this.actions = defaultActions(core);
+  }
+
+  /**
+   * Destroys the Keybinding Handler
+   */
+  destroy() {
+    this.bindings = [];
+    this.registered = [];
+    this.actions = {};
+  }
+
+  /**
+   * Loads keybindings
+   * @param {Keybinding[]} list A list of keybindings
+   */
+  load(list) {
+    this.bindings = (list instanceof Array ? list : [])
+      .map(b => Object.assign({}, b, {combo: parseCombo(b.combo)}))
+      .filter(b => {
+        if (!b.combo) {
+          console.warn('Invalid keybinding', b);
+          return false;
+        }
+
+        return true;
+      });
+  }
+
+  /**
+   * Saves keybindings to the desktop settings
+   *
+   * @desc Does nothing if the desktop settings are locked
+   * @return {Promise<Boolean, Error>}
+   */
+  save() {
+    if (this.core.config('desktop.lock')) {
+      return Promise.resolve(true);
+    }
+
+    const list = this.bindings.map(b => Object.assign({}, b));
+
+    return this.core.make('osjs/settings')
+      .set('osjs/desktop', 'keybindings', list)
+      .save();
+  }
+
+  /**
+   * Gets a list of keybindings
+   * @return {Keybinding[]}
+   */
+  list() {
+    return this.bindings.map(b => Object.assign({}, b));
+  }
+
+  /**
+   * Sets a global keybinding and saves it
+   * @param {String} combo Key combination
+   * @param {String} action Named action
+   * @param {Array} [args] Action arguments
+   * @throws {Error} On invalid combo
+   * @return {Promise<Boolean, Error>}
+   */
+  set(combo, action, args = []) {
+    const _ = this.core.make('osjs/locale').translate;
+    const parsed = parseCombo(combo);
+    if (!parsed) {
+      return Promise.reject(new Error(_('ERR_KEYBINDING_INVALID', combo)));
+    }
+
+    this.bindings = this.bindings
+      .filter(b => b.combo !== parsed)
+      .concat([{combo: parsed, action, args}]);
+
+    return this.save();
+  }
+
+  /**
+   * Removes a global keybinding and saves it
+   * @param {String} combo Key combination
+   * @return {Promise<Boolean, Error>}
+   */
+  remove(combo) {
+    const parsed = parseCombo(combo);
+    this.bindings = this.bindings.filter(b => b.combo !== parsed);
+
+    return this.save();
+  }
+
+  /**
+   * Registers a named action
+   * @param {String} name Action name
+   * @param {Function} callback Callback function
+   */
+  action(name, callback) {
+    this.actions[name] = callback;
+  }
+
+  /**
+   * Registers a keybinding at runtime
+   *
+   * @desc If a window is given, the binding is only triggered when
+   * that window has focus, and removed when the window is destroyed.
+   * @param {String} combo Key combination
+   * @param {Function} callback Callback function
+   * @param {Window} [win] Scope to this window
+   * @throws {Error} On invalid combo
+   * @return {Function} Call to unregister
+   */
+  register(combo, callback, win = null) {
+    const _ = this.core.make('osjs/locale').translate;
+    const parsed = parseCombo(combo);
+    if (!parsed) {
+      throw new Error(_('ERR_KEYBINDING_INVALID', combo));
+    }
+
+    const entry = {combo: parsed, callback, win};
+    const unregister = () => {
+      const foundIndex = this.registered.indexOf(entry);
+      if (foundIndex !== -1) {
+        this.registered.splice(foundIndex, 1);
+      }
+    };
+
+    this.registered.push(entry);
+
+    if (win) {
+      win.on('destroy', unregister);
+    }
+
+    return unregister;
+  }
+
+  /**
+   * Triggers a named action
+   * @param {String} name Action name
+   * @param {*} ...args Arguments
+   * @return {Boolean}
+   */
+  trigger(name, ...args) {
+    const fn = this.actions[name];
+    if (typeof fn !== 'function') {
+      console.warn('Keybindings::trigger()', 'Invalid action', name);
+      return false;
+    }
+
+    try {
+      fn(...args);
+    } catch (e) {
+      console.warn(e);
+    }
+
+    this.core.emit('osjs/keybinding:trigger', name, ...args);
+
+    return true;
+  }
+
+  /**
+   * Handles a keyboard event
+   * @param {Event} ev Keyboard event
+   * @return {Boolean} If a binding was triggered
+   */
+  handle(ev) {
+    const combo = eventCombo(ev);
+    const w = Window.lastWindow();
+
+    // Do not steal plain characters from text inputs
+    const isInput = ev.target && ['INPUT', 'TEXTAREA', 'SELECT'].indexOf(ev.target.tagName) !== -1;
+    if (isInput && combo.length === 1) {
+      return false;
+    }
+
+    const scoped = this.registered
+      .filter(r => r.combo === combo)
+      .filter(r => r.win ? (r.win === w && isVisible(w)) : true)
+      .sort((a, b) => (b.win ? 1 : 0) - (a.win ? 1 : 0));
+
+    if (scoped.length > 0) {
+      ev.preventDefault();
+      scoped[0].callback(ev, scoped[0].win);
+      return true;
+    }
+
+    const found = this.bindings.find(b => b.combo === combo);
+    if (found) {
+      ev.preventDefault();
+      return this.trigger(found.action, ...(found.args || []));
+    }
+
+    return false;
+  }
+
+}
@@ -37,6 +37,23 @@ export const en_EN = {
   ERR_VFS_MOUNT_NOT_MOUNTED: 'Filesystem \'{0}\' not mounted',
   ERR_VFS_MOUNT_ALREADY_MOUNTED: 'Filesystem \'{0}\' already mounted',
   ERR_VFS_PATH_FORMAT_INVALID: 'Given path \'{0}\' does not match \'name:/path\'',
+  ERR_VFS_NOT_FOUND: 'File or directory \'{0}\' not found',
+  ERR_VFS_EXISTS: 'File or directory \'{0}\' already exists',
+  ERR_VFS_NOT_DIRECTORY: '\'{0}\' is not a directory',
+  ERR_VFS_IS_DIRECTORY: '\'{0}\' is a directory',
+  ERR_VFS_INVALID_DESTINATION: 'Invalid destination \'{0}\'',
+  ERR_VFS_QUOTA_EXCEEDED: 'Filesystem \'{0}\' is full (quota is {1})',
+  ERR_VFS_UPLOAD_ABORTED: 'Upload of \'{0}\' was aborted',
+  ERR_VFS_TRANSFER_CANCELLED: 'The transfer was cancelled',
+  ERR_VFS_TRASH_DISABLED: 'The trash is not enabled',
+  ERR_VFS_TRASH_NOT_FOUND: 'Item \'{0}\' not found in trash',
+  ERR_VFS_MOUNT_READONLY: 'Filesystem \'{0}\' is read-only',
+  ERR_VFS_PERMISSION_DENIED: 'Permission denied for filesystem \'{0}\'',
+  ERR_VFS_OFFLINE: 'Cannot access \'{0}\' while offline',
+  ERR_VFS_ARCHIVE_INVALID: '\'{0}\' is not a valid archive',
+  ERR_VFS_ARCHIVE_FORMAT: 'Unsupported archive format \'{0}\'',
+  ERR_VFS_SEARCH_TIMEOUT: 'Search timed out after {0}ms',
+  ERR_VFS_SEARCH_FAILED: 'Could not search \'{0}\': {1}',
   ERR_PACKAGE_NOT_FOUND: 'Package Metadata \'{0}\' not found',
   ERR_PACKAGE_LOAD: 'Package Loading \'{0}\' failed: {1}',
   ERR_PACKAGE_NO_RUNTIME: 'Package Runtime \'{0}\' not found',
@@ -44,10 +61,24 @@ export const en_EN = {
   ERR_PACKAGE_EXCEPTION: 'An exception occured in \'{0}\'',
   ERR_WINDOW_ID_EXISTS: 'Window with ID \'{0}\' already exists',
   ERR_INVALID_LOCALE: 'Invalid locale \'{0}\'',
+  ERR_KEYBINDING_INVALID: 'Invalid key combination \'{0}\'',
+  ERR_WORKSPACE_NOT_FOUND: 'Workspace \'{0}\' not found',
+  ERR_WORKSPACE_REMOVE_LAST: 'Cannot remove the last workspace',
+  ERR_RPC_UNAVAILABLE: 'Remote calls are not available without a server connection',
+  ERR_RPC_TIMEOUT: 'Remote call \'{0}\' timed out after {1}ms',
+  ERR_RPC_CANCELLED: 'Remote call \'{0}\' was cancelled',
+  ERR_RPC_DISCONNECTED: 'Connection lost during remote call \'{0}\'',
+  ERR_RPC_CLOSED: 'Connection closed during remote call \'{0}\'',
   LBL_CONNECTION_LOST: 'Connection Lost',
   LBL_CONNECTION_LOST_MESSAGE: 'The connection to the OS.js was lost. Reconnecting....',
+  LBL_CONNECTION_RECONNECTING: 'Reconnecting in {0} second(s) (attempt {1})...',
+  LBL_CONNECTION_FAILED_MESSAGE: 'Could not reconnect to the OS.js server. Please reload the page.',
   LBL_CONNECTION_RESTORED: 'Connection Restored',
   LBL_CONNECTION_RESTORED_MESSAGE: 'The connection to the OS.js server was restored.',
+  LBL_VFS_UPLOAD_PROGRESS: 'Uploading \'{0}\' ({1}%)',
+  LBL_VFS_OFFLINE_SYNCED: 'Synchronized {0} offline change(s)',
+  LBL_VFS_OFFLINE_CONFLICT: 'Conflict',
+  LBL_VFS_OFFLINE_CONFLICT_MESSAGE: '\'{0}\' was changed on the server while offline',
 
   // Application categories
   LBL_APP_CAT_DEVELOPMENT: 'Development',
@@ -64,12 +95,22 @@ export const en_EN = {
   // UI
   LBL_LAUNCH_SELECT: 'Select application',
   LBL_LAUNCH_SELECT_MESSAGE: 'Select application for \'{0}\'',
+  LBL_OPEN_WITH: 'Open with...',
+  LBL_OPEN_WITH_ALWAYS: 'Always use this application for \'{0}\'',
   LBL_DESKTOP_SELECT_WALLPAPER: 'Select wallpaper',
   LBL_DESKTOP_SELECT_THEME: 'Select theme',
-  LBL_SEARCH_TOOLTOP: 'Search Filesystem ({0})',
-  LBL_SEARCH_PLACEHOLDER: 'Search filesystems...',
+  LBL_WORKSPACE: 'Workspace {0}',
+  LBL_SEARCH_TOOLTOP: 'Search ({0})',
+  LBL_SEARCH_PLACEHOLDER: 'Search applications, windows and files...',
   LBL_SEARCH_WAIT: 'Searching...',
   LBL_SEARCH_RESULT: 'Showing {0} results',
+  LBL_SEARCH_FILES: 'Files',
+  LBL_SEARCH_RECENT: 'Recent files',
+  LBL_SEARCH_SETTINGS: 'Settings',
+  LBL_RECENT_CLEAR: 'Clear recent',
+  LBL_RECENT_PIN: 'Pin',
+  LBL_RECENT_UNPIN: 'Unpin',
+  LBL_RECENT_REMOVE: 'Remove from list',
 
   // FS
   LBL_FS_B: 'B',
@@ -37,6 +37,23 @@ export const nb_NO = {
   ERR_VFS_MOUNT_NOT_MOUNTED: 'Filsystem \'{0}\' ikke montert',
   ERR_VFS_MOUNT_ALREADY_MOUNTED: 'Filesystem \'{0}\' allerede montert',
   ERR_VFS_PATH_FORMAT_INVALID: 'Angitt sti \'{0}\' tilfredstiller ikke format \'name:/path\'',
+  ERR_VFS_NOT_FOUND: 'Fil eller mappe \'{0}\' ikke funnet',
+  ERR_VFS_EXISTS: 'Fil eller mappe \'{0}\' finnes allerede',
+  ERR_VFS_NOT_DIRECTORY: '\'{0}\' er ikke en mappe',
+  ERR_VFS_IS_DIRECTORY: '\'{0}\' er en mappe',
+  ERR_VFS_INVALID_DESTINATION: 'Ugyldig mål \'{0}\'',
+  ERR_VFS_QUOTA_EXCEEDED: 'Filsystem \'{0}\' er fullt (kvote er {1})',
+  ERR_VFS_UPLOAD_ABORTED: 'Opplasting av \'{0}\' ble avbrutt',
+  ERR_VFS_TRANSFER_CANCELLED: 'Overføringen ble avbrutt',
+  ERR_VFS_TRASH_DISABLED: 'Papirkurven er ikke aktivert',
+  ERR_VFS_TRASH_NOT_FOUND: 'Element \'{0}\' ikke funnet i papirkurven',
+  ERR_VFS_MOUNT_READONLY: 'Filsystem \'{0}\' er skrivebeskyttet',
+  ERR_VFS_PERMISSION_DENIED: 'Ingen tilgang til filsystem \'{0}\'',
+  ERR_VFS_OFFLINE: 'Kan ikke åpne \'{0}\' uten tilkobling',
+  ERR_VFS_ARCHIVE_INVALID: '\'{0}\' er ikke et gyldig arkiv',
+  ERR_VFS_ARCHIVE_FORMAT: 'Arkivformatet \'{0}\' støttes ikke',
+  ERR_VFS_SEARCH_TIMEOUT: 'Søket ble tidsavbrutt etter {0}ms',
+  ERR_VFS_SEARCH_FAILED: 'Kunne ikke søke i \'{0}\': {1}',
   ERR_PACKAGE_NOT_FOUND: 'Pakke Metadata \'{0}\' ikke funnet',
   ERR_PACKAGE_LOAD: 'Pakke Lasting \'{0}\' feilet: {1}',
   ERR_PACKAGE_NO_RUNTIME: 'Pakke Runtime \'{0}\' ikke funnet',
@@ -44,10 +61,24 @@ export const nb_NO = {
   ERR_PACKAGE_EXCEPTION: 'En unntaksfeil oppstod i \'{0}\'',
   ERR_WINDOW_ID_EXISTS: 'Vindu med ID \'{0}\' eksisterer allerede',
   ERR_INVALID_LOCALE: 'Ugyldig lokalisering \'{0}\'',
+  ERR_KEYBINDING_INVALID: 'Ugyldig tastekombinasjon \'{0}\'',
+  ERR_WORKSPACE_NOT_FOUND: 'Arbeidsområde \'{0}\' ikke funnet',
+  ERR_WORKSPACE_REMOVE_LAST: 'Kan ikke fjerne siste arbeidsområde',
+  ERR_RPC_UNAVAILABLE: 'Fjernkall er ikke tilgjengelig uten tilkobling til server',
+  ERR_RPC_TIMEOUT: 'Fjernkall \'{0}\' fikk tidsavbrudd etter {1}ms',
+  ERR_RPC_CANCELLED: 'Fjernkall \'{0}\' ble avbrutt',
+  ERR_RPC_DISCONNECTED: 'Tilkobling tapt under fjernkall \'{0}\'',
+  ERR_RPC_CLOSED: 'Tilkobling lukket under fjernkall \'{0}\'',
   LBL_CONNECTION_LOST: 'Tilkobling tapt',
   LBL_CONNECTION_LOST_MESSAGE: 'Tilkobling til OS.js var tapt. Kobler til på nytt....',
+  LBL_CONNECTION_RECONNECTING: 'Kobler til på nytt om {0} sekund(er) (forsøk {1})...',
+  LBL_CONNECTION_FAILED_MESSAGE: 'Kunne ikke koble til OS.js serveren på nytt. Vennligst last inn siden på nytt.',
   LBL_CONNECTION_RESTORED: 'Tilkobling gjenopprettet',
   LBL_CONNECTION_RESTORED_MESSAGE: 'Tilkobling til OS.js var gjenopprettet.',
+  LBL_VFS_UPLOAD_PROGRESS: 'Laster opp \'{0}\' ({1}%)',
+  LBL_VFS_OFFLINE_SYNCED: 'Synkroniserte {0} endring(er) gjort uten tilkobling',
+  LBL_VFS_OFFLINE_CONFLICT: 'Konflikt',
+  LBL_VFS_OFFLINE_CONFLICT_MESSAGE: '\'{0}\' ble endret på serveren mens du var frakoblet',
 
   // Application categories
   LBL_APP_CAT_DEVELOPMENT: 'Utvikling',
@@ -64,12 +95,22 @@ export const nb_NO = {
   // UI
   LBL_LAUNCH_SELECT: 'Velg applikasjon',
   LBL_LAUNCH_SELECT_MESSAGE: 'Velg applikasjon for \'{0}\'',
+  LBL_OPEN_WITH: 'Åpne med...',
+  LBL_OPEN_WITH_ALWAYS: 'Bruk alltid denne applikasjonen for \'{0}\'',
   LBL_DESKTOP_SELECT_WALLPAPER: 'Velg bakgrunnsbilde',
   LBL_DESKTOP_SELECT_THEME: 'Velg tema',
-  LBL_SEARCH_TOOLTOP: 'Søk i filsystemer ({0})',
-  LBL_SEARCH_PLACEHOLDER: 'Søker filsystemer...',
+  LBL_WORKSPACE: 'Arbeidsområde {0}',
+  LBL_SEARCH_TOOLTOP: 'Søk ({0})',
+  LBL_SEARCH_PLACEHOLDER: 'Søk i applikasjoner, vinduer og filer...',
   LBL_SEARCH_WAIT: 'Søker...',
   LBL_SEARCH_RESULT: 'Viser {0} resultater',
+  LBL_SEARCH_FILES: 'Filer',
+  LBL_SEARCH_RECENT: 'Nylige filer',
+  LBL_SEARCH_SETTINGS: 'Innstillinger',
+  LBL_RECENT_CLEAR: 'Tøm nylige',
+  LBL_RECENT_PIN: 'Fest',
+  LBL_RECENT_UNPIN: 'Løsne',
+  LBL_RECENT_REMOVE: 'Fjern fra listen',
 
   // FS
   LBL_FS_B: 'B',
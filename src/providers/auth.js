@@ -179,6 +179,8 @@ export default class AuthServiceProvider extends ServiceProvider {
       return;
     }
 
+    this.core.emit('osjs/core:logout');
+
     try {
       this.core.destroy();
     } catch (e) {
@@ -36,6 +36,9 @@ import Packages from '../packages';
 import Tray from '../tray';
 import Websocket from '../websocket';
 import Clipboard from '../clipboard';
+import Recent from '../recent';
+import Associations from '../associations';
+import {RPC_ERRORS} from '../rpc';
 import * as translations from '../locale';
 import {format, translatable, translatableFlat} from '../utils/locale';
 import {style, script, supportedMedia, playSound} from '../utils/dom';
@@ -73,6 +76,7 @@ const getPublicApi = core => {
     url: (...args) => core.url(...args),
     run: (...args) => core.run(...args),
     open: (...args) => core.open(...args),
+    openWith: (...args) => core.openWith(...args),
     request: (...args) => core.request(...args)
   });
 };
@@ -142,6 +146,8 @@ export default class CoreServiceProvider extends ServiceProvider {
     this.tray = new Tray(core);
     this.pm = new Packages(core);
     this.clipboard = new Clipboard();
+    this.recent = new Recent(core, core.config('recent', {}));
+    this.associations = new Associations(core);
   }
 
   /**
@@ -158,10 +164,13 @@ export default class CoreServiceProvider extends ServiceProvider {
       'osjs/dnd',
       'osjs/dom',
       'osjs/clipboard',
+      'osjs/recent',
+      'osjs/associations',
       'osjs/tray',
       'osjs/locale',
       'osjs/packages',
       'osjs/websocket',
+      'osjs/rpc',
       'osjs/session',
       'osjs/theme',
       'osjs/sounds'
@@ -172,6 +181,7 @@ export default class CoreServiceProvider extends ServiceProvider {
     this.tray.destroy();
     this.pm.destroy();
     this.clipboard.destroy();
+    this.recent.destroy();
 
     super.destroy();
   }
@@ -187,6 +197,23 @@ export default class CoreServiceProvider extends ServiceProvider {
       return new Websocket(...args);
     });
 
+    const rpc = (fn) => {
+      if (!this.core.rpc) {
+        const _ = this.core.make('osjs/locale').translate;
+        return Promise.reject(new Error(_('ERR_RPC_UNAVAILABLE')));
+      }
+
+      return fn(this.core.rpc);
+    };
+
+    this.core.singleton('osjs/rpc', () => ({
+      errors: RPC_ERRORS,
+      call: (...args) => rpc(r => r.call(...args)),
+      request: options => rpc(r => r.request(options)),
+      notify: (...args) => rpc(r => Promise.resolve(r.notify(...args))),
+      subscribe: (...args) => rpc(r => r.subscribe(...args))
+    }));
+
     this.core.instance('osjs/application', (data = {}) => {
       return new Application(this.core, data);
     });
@@ -274,6 +301,30 @@ export default class CoreServiceProvider extends ServiceProvider {
       clear: () => this.clipboard.clear()
     }));
 
+    this.core.singleton('osjs/recent', () => ({
+      addFile: (...args) => this.recent.addFile(...args),
+      addApplication: (...args) => this.recent.addApplication(...args),
+      getFiles: (...args) => this.recent.getFiles(...args),
+      getApplications: (...args) => this.recent.getApplications(...args),
+      pinFile: (...args) => this.recent.pinFile(...args),
+      pinApplication: (...args) => this.recent.pinApplication(...args),
+      removeFile: (...args) => this.recent.removeFile(...args),
+      removeApplication: (...args) => this.recent.removeApplication(...args),
+      clear: (...args) => this.recent.clear(...args),
+      createMenu: (...args) => this.recent.createMenu(...args)
+    }));
+
+    this.recent.init();
+
+    this.core.singleton('osjs/associations', () => ({
+      getDefaults: () => this.associations.getDefaults(),
+      getDefault: (...args) => this.associations.getDefault(...args),
+      setDefault: (...args) => this.associations.setDefault(...args),
+      removeDefault: (...args) => this.associations.removeDefault(...args),
+      getHandlers: (...args) => this.associations.getHandlers(...args),
+      choose: (...args) => this.associations.choose(...args)
+    }));
+
     this.core.on('osjs/core:started', () => {
       this.session.load();
     });
@@ -53,7 +53,9 @@ export default class DesktopServiceProvider extends ServiceProvider {
    */
   provides() {
     return [
-      'osjs/desktop'
+      'osjs/desktop',
+      'osjs/keybindings',
+      'osjs/search'
     ];
   }
 
@@ -64,7 +66,29 @@ export default class DesktopServiceProvider extends ServiceProvider {
     this.core.singleton('osjs/desktop', () => ({
       addContextMenuEntries: entries => this.desktop.addContextMenu(entries),
       applySettings: settings => this.desktop.applySettings(settings),
-      getRect: () => this.desktop.getRect()
+      getRect: () => this.desktop.getRect(),
+      getWorkspaces: () => this.desktop.getWorkspaces(),
+      getCurrentWorkspace: () => this.desktop.getCurrentWorkspace(),
+      switchWorkspace: index => this.desktop.switchWorkspace(index),
+      createWorkspace: () => this.desktop.createWorkspace(),
+      removeWorkspace: index => this.desktop.removeWorkspace(index)
+    }));
+
+    this.core.singleton('osjs/keybindings', () => ({
+      list: () => this.desktop.keybindings.list(),
+      set: (...args) => this.desktop.keybindings.set(...args),
+      remove: (...args) => this.desktop.keybindings.remove(...args),
+      register: (...args) => this.desktop.keybindings.register(...args),
+      action: (...args) => this.desktop.keybindings.action(...args),
+      trigger: (...args) => this.desktop.keybindings.trigger(...args)
+    }));
+
+    this.core.singleton('osjs/search', () => ({
+      register: (...args) => this.desktop.search ? this.desktop.search.register(...args) : () => {},
+      unregister: (...args) => this.desktop.search && this.desktop.search.unregister(...args),
+      search: (...args) => this.desktop.search ? this.desktop.search.search(...args) : Promise.resolve([]),
+      show: () => this.desktop.search && this.desktop.search.show(),
+      hide: () => this.desktop.search && this.desktop.search.hide()
     }));
 
     this.core.on('osjs/core:started', () => {
@@ -69,9 +69,20 @@ export default class VFSServiceProvider extends ServiceProvider {
       mountpoints: (...args) => this.fs.getMounts(...args),
       mount: (...args) => this.fs.mount(...args),
       unmount: (...args) => this.fs.unmount(...args),
-      register: (...args) => this.fs.register(...args)
+      register: (...args) => this.fs.register(...args),
+      sync: () => this.fs.sync(),
+      getOfflineQueue: () => this.fs.getOfflineQueue(),
+      resolveOfflineConflict: (...args) => this.fs.resolveOfflineConflict(...args),
+      query: (...args) => this.fs.query(...args),
+      rebuildIndex: () => this.fs.rebuildIndex(),
+      getIndexStatus: () => this.fs.getIndexStatus()
     }));
 
     return this.fs.mountAll(false);
   }
+
+  destroy() {
+    this.fs.destroy();
+    super.destroy();
+  }
 }
@@ -0,0 +1,424 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+const SETTINGS_NS = 'osjs/recent';
+
+/*
+ * Checks if a MIME type matches any of given patterns
+ */
+const matchesMime = (patterns, mime) => patterns.some(pattern => {
+  try {
+    return new RegExp(pattern).test(mime);
+  } catch (e) {
+    return pattern === mime;
+  }
+});
+
+/*
+ * Creates a file object from an entry
+ */
+const toFile = ({path, filename, mime}) => ({path, filename, mime});
+
+/*
+ * Sorts pinned entries first, then most recent first
+ */
+const byRecent = (a, b) => (!!b.pinned - !!a.pinned) ||
+  String(b.time).localeCompare(String(a.time));
+
+/*
+ * Removes the oldest entries that are not pinned
+ */
+const trim = (list, max) => {
+  const pinned = list.filter(entry => entry.pinned);
+  const rest = list.filter(entry => !entry.pinned)
+    .sort(byRecent)
+    .slice(0, Math.max(0, max - pinned.length));
+
+  return pinned.concat(rest).sort(byRecent);
+};
+
+/**
+ * A recently opened file
+ * @property {String} path Path
+ * @property {String} filename Filename
+ * @property {String} mime MIME type
+ * @property {String[]} applications Applications that opened the file, the last one first
+ * @property {String} time Date last opened
+ * @property {Boolean} pinned Pinned
+ * @typedef RecentFile
+ */
+
+/**
+ * A recently launched application
+ * @property {String} name Package name
+ * @property {Number} count Number of launches
+ * @property {String} time Date last launched
+ * @property {Boolean} pinned Pinned
+ * @typedef RecentApplication
+ */
+
+/**
+ * Recent files and applications
+ *
+ * @desc Keeps track of opened files and launched applications, and stores
+ * them in the settings.
+ */
+export default class Recent {
+
+  /**
+   * Create recent list
+   * @param {Core} core Core reference
+   * @param {Object} [options] Options
+   * @param {Boolean} [options.enabled=true] Record files and applications
+   * @param {Number} [options.maxFiles=50] Maximum number of files (not counting pinned)
+   * @param {Number} [options.maxApplications=20] Maximum number of applications (not counting pinned)
+   */
+  constructor(core, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      enabled: true,
+      maxFiles: 50,
+      maxApplications: 20
+    }, options);
+
+    const path = file => typeof file === 'string' ? file : file.path;
+
+    /**
+     * Event listeners
+     * @type {Map<String, Function>}
+     */
+    this.listeners = {
+      'osjs/application:launch': (name, args = {}, options = {}) => {
+        // Restored sessions are not opened by the user
+        if (options.restore) {
+          return;
+        }
+
+        this.addApplication(name);
+
+        if (args.file && args.file.path) {
+          this.addFile(args.file, name);
+        }
+      },
+      'osjs/vfs:rename:done': (from, to) => this.moveFile(path(from), path(to)),
+      'osjs/vfs:move:done': (from, to) => this.moveFile(path(from), path(to)),
+      'osjs/vfs:unlink:done': file => this.removeFile(path(file))
+    };
+  }
+
+  /**
+   * Initializes recent list
+   */
+  init() {
+    Object.keys(this.listeners)
+      .forEach(name => this.core.on(name, this.listeners[name]));
+  }
+
+  /**
+   * Destroys recent list
+   */
+  destroy() {
+    Object.keys(this.listeners)
+      .forEach(name => this.core.off(name, this.listeners[name]));
+  }
+
+  /**
+   * Gets a list from the settings
+   */
+  _get(key) {
+    const list = this.core.make('osjs/settings')
+      .get(SETTINGS_NS, key, []);
+
+    return list instanceof Array ? list.map(entry => Object.assign({}, entry)) : [];
+  }
+
+  /**
+   * Saves a list in the settings
+   */
+  _set(key, list) {
+    this.core.make('osjs/settings')
+      .set(SETTINGS_NS, key, list)
+      .save()
+      .catch(error => console.warn('Failed to save recent list', error));
+
+    this.core.emit('osjs/recent:change', key);
+
+    return true;
+  }
+
+  /**
+   * Updates a list with given function
+   */
+  _update(key, fn) {
+    const list = this._get(key);
+    const result = fn(list);
+
+    return result ? this._set(key, result) : false;
+  }
+
+  /**
+   * Adds a file to the list
+   * @param {Object} file The file
+   * @param {String} [application] Name of application that opened it
+   * @return {Boolean}
+   */
+  addFile(file, application) {
+    if (!this.options.enabled || !file || !file.path) {
+      return false;
+    }
+
+    return this._update('files', list => {
+      const found = list.find(entry => entry.path === file.path) || {pinned: false, applications: []};
+      const entry = Object.assign(found, {
+        path: file.path,
+        filename: file.filename || file.path.split('/').pop(),
+        mime: file.mime || found.mime || 'application/octet-stream',
+        time: new Date().toISOString(),
+        applications: application
+          ? [application, ...found.applications.filter(name => name !== application)]
+          : found.applications
+      });
+
+      return trim([entry, ...list.filter(e => e !== found)], this.options.maxFiles);
+    });
+  }
+
+  /**
+   * Adds an application to the list
+   * @param {String} name Package name
+   * @return {Boolean}
+   */
+  addApplication(name) {
+    if (!this.options.enabled || !name) {
+      return false;
+    }
+
+    return this._update('applications', list => {
+      const found = list.find(entry => entry.name === name) || {name, count: 0, pinned: false};
+      const entry = Object.assign(found, {
+        count: found.count + 1,
+        time: new Date().toISOString()
+      });
+
+      return trim([entry, ...list.filter(e => e !== found)], this.options.maxApplications);
+    });
+  }
+
+  /**
+   * Gets recent files
+   * @param {Object} [options] Options
+   * @param {String} [options.application] Only files opened by this application
+   * @param {String|String[]} [options.mime] Only files matching these MIME type patterns
+   * @param {Number} [options.limit] Maximum number of files
+   * @return {RecentFile[]}
+   */
+  getFiles(options = {}) {
+    const {application, mime, limit} = options;
+    const mimes = typeof mime === 'string' ? [mime] : mime;
+
+    const list = this._get('files')
+      .filter(entry => !application || entry.applications.indexOf(application) !== -1)
+      .filter(entry => !mimes || matchesMime(mimes, entry.mime))
+      .sort(byRecent);
+
+    return limit ? list.slice(0, limit) : list;
+  }
+
+  /**
+   * Gets recent applications
+   * @param {Object} [options] Options
+   * @param {Number} [options.limit] Maximum number of applications
+   * @return {RecentApplication[]}
+   */
+  getApplications(options = {}) {
+    const installed = this.core.make('osjs/packages')
+      .getPackages()
+      .map(meta => meta.name);
+
+    const list = this._get('applications')
+      .filter(entry => installed.indexOf(entry.name) !== -1)
+      .sort(byRecent);
+
+    return options.limit ? list.slice(0, options.limit) : list;
+  }
+
+  /**
+   * Pins (or unpins) a file so it stays in the list
+   * @param {String} path File path
+   * @param {Boolean} [pinned=true] Pin or unpin
+   * @return {Boolean}
+   */
+  pinFile(path, pinned = true) {
+    return this._update('files', list => {
+      const found = list.find(entry => entry.path === path);
+      if (found) {
+        found.pinned = pinned;
+        return trim(list, this.options.maxFiles);
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Pins (or unpins) an application so it stays in the list
+   * @param {String} name Package name
+   * @param {Boolean} [pinned=true] Pin or unpin
+   * @return {Boolean}
+   */
+  pinApplication(name, pinned = true) {
+    return this._update('applications', list => {
+      const found = list.find(entry => entry.name === name);
+      if (found) {
+        found.pinned = pinned;
+        return trim(list, this.options.maxApplications);
+      }
+
+      return null;
+    });
+  }
+
+  /**
+   * Removes a file (or directory and everything in it) from the list
+   * @param {String} path File path
+   * @return {Boolean}
+   */
+  removeFile(path) {
+    return this._update('files', list => {
+      const result = list.filter(entry => entry.path !== path && entry.path.indexOf(`${path}/`) !== 0);
+
+      return result.length !== list.length ? result : null;
+    });
+  }
+
+  /**
+   * Removes an application from the list
+   * @param {String} name Package name
+   * @return {Boolean}
+   */
+  removeApplication(name) {
+    return this._update('applications', list => {
+      const result = list.filter(entry => entry.name !== name);
+
+      return result.length !== list.length ? result : null;
+    });
+  }
+
+  /**
+   * Updates the path of a moved file (or files in a moved directory)
+   * @param {String} from Old path
+   * @param {String} to New path
+   * @return {Boolean}
+   */
+  moveFile(from, to) {
+    return this._update('files', list => {
+      const moved = list.filter(entry => entry.path === from || entry.path.indexOf(`${from}/`) === 0);
+
+      moved.forEach(entry => {
+        entry.path = to + entry.path.substr(from.length);
+        entry.filename = entry.path.split('/').pop();
+      });
+
+      return moved.length > 0 ? list : null;
+    });
+  }
+
+  /**
+   * Clears the list
+   * @param {String} [type] Only clear 'files' or 'applications'
+   * @param {Boolean} [pinned=false] Also remove pinned entries
+   * @return {Boolean}
+   */
+  clear(type, pinned = false) {
+    return ['files', 'applications']
+      .filter(key => !type || key === type)
+      .map(key => this._update(key, list => {
+        const result = list.filter(entry => !pinned && entry.pinned);
+
+        return result.length !== list.length ? result : null;
+      }))
+      .some(result => result);
+  }
+
+  /**
+   * Creates menu entries for recent files or applications
+   *
+   * @desc The entries can be used with `osjs/contextmenu` or in application
+   * menus, and open the file (or application) when clicked. A last entry
+   * clears the list.
+   *
+   * @param {Object} [options] Options
+   * @param {String} [options.type='files'] List 'files' or 'applications'
+   * @param {Function} [options.onclick] Called with the file or application instead of opening it
+   * @param {Number} [options.limit=10] Maximum number of entries
+   * @see Recent#getFiles
+   * @return {Object[]}
+   */
+  createMenu(options = {}) {
+    const _ = this.core.make('osjs/locale').translate;
+    const {translatableFlat} = this.core.make('osjs/locale');
+    const {type, onclick, limit} = Object.assign({
+      type: 'files',
+      limit: 10
+    }, options);
+
+    const packages = this.core.make('osjs/packages').getPackages();
+    const title = name => {
+      const found = packages.find(meta => meta.name === name);
+      return found ? translatableFlat(found.title) || name : name;
+    };
+
+    const entries = type === 'applications'
+      ? this.getApplications({limit}).map(entry => ({
+        label: title(entry.name),
+        onclick: () => onclick ? onclick(entry) : this.core.run(entry.name)
+      }))
+      : this.getFiles(Object.assign({}, options, {limit})).map(entry => ({
+        label: entry.filename,
+        onclick: () => onclick ? onclick(toFile(entry)) : this.core.open(toFile(entry))
+      }));
+
+    return entries.length > 0
+      ? entries.concat([{
+        label: _('LBL_RECENT_CLEAR'),
+        onclick: () => this.clear(type)
+      }])
+      : [];
+  }
+}
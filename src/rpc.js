@@ -0,0 +1,344 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/**
+ * RPC error codes used by the client
+ *
+ * Any other codes are passed on from the server.
+ * @type {Map<String, Number>}
+ */
+export const RPC_ERRORS = {
+  TIMEOUT: -32001,
+  CANCELLED: -32002,
+  DISCONNECTED: -32003,
+  CLOSED: -32004
+};
+
+/**
+ * RPC Error
+ *
+ * @desc Errors returned by remote calls. Use the `code` property
+ * to check the type of error.
+ */
+export class RPCError extends Error {
+
+  /**
+   * Create a RPC Error
+   * @param {String} message Error message
+   * @param {Number} code Error code
+   * @param {*} [data] Additional data from server
+   */
+  constructor(message, code, data) {
+    super(message);
+
+    this.name = 'RPCError';
+    this.code = code;
+    this.data = data;
+  }
+
+}
+
+/*
+ * Creates a message in the JSON-RPC 2.0 format
+ */
+const createMessage = (method, params, id) => JSON.stringify(Object.assign({
+  jsonrpc: '2.0',
+  method,
+  params
+}, typeof id === 'undefined' ? {} : {id}));
+
+/*
+ * Parses an incoming JSON-RPC message
+ */
+const parseMessage = data => {
+  try {
+    const message = JSON.parse(data);
+    return message && message.jsonrpc === '2.0' ? message : null;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * RPC
+ *
+ * @desc Request/response calls and subscriptions over a Websocket using
+ * the JSON-RPC 2.0 format. Cancellation is sent as a '$/cancelRequest'
+ * notification, and subscriptions are created with the 'rpc.subscribe'
+ * and 'rpc.unsubscribe' methods. The server pushes subscription events
+ * as 'rpc.event' notifications with `{subscription, data}` params.
+ */
+export default class RPC {
+
+  /**
+   * Create RPC instance
+   * @param {Websocket} socket The socket
+   * @param {Object} [options] Options
+   * @param {Number} [options.timeout=30000] Default timeout for calls
+   * @param {Function} [options.translate] Translation function for errors
+   */
+  constructor(socket, options = {}) {
+    /**
+     * The socket
+     * @type {Websocket}
+     */
+    this.socket = socket;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      timeout: 30000,
+      translate: (k, ...args) => [k, ...args].join(' ')
+    }, options);
+
+    /**
+     * Calls waiting for a response
+     * @type {Map<Number, Object>}
+     */
+    this.pending = {};
+
+    /**
+     * Active subscriptions
+     * @type {Object[]}
+     */
+    this.subscriptions = [];
+
+    /**
+     * Next correlation ID
+     * @type {Number}
+     */
+    this.nextId = 1;
+
+    this.onmessage = ev => this._handleMessage(ev.data);
+    this.onclose = () => this._rejectAll(RPC_ERRORS.DISCONNECTED, 'ERR_RPC_DISCONNECTED');
+    this.onopen = (ev, reconnected) => {
+      if (reconnected) {
+        this._resubscribe();
+      }
+    };
+
+    socket.on('message', this.onmessage);
+    socket.on('close', this.onclose);
+    socket.on('open', this.onopen);
+  }
+
+  /**
+   * Destroys the RPC instance
+   */
+  destroy() {
+    this.socket.off('message', this.onmessage);
+    this.socket.off('close', this.onclose);
+    this.socket.off('open', this.onopen);
+
+    this._rejectAll(RPC_ERRORS.CLOSED, 'ERR_RPC_CLOSED');
+    this.subscriptions = [];
+  }
+
+  /**
+   * Calls a remote method
+   * @param {String} method Method name
+   * @param {*} ...args Arguments
+   * @return {Promise<*, RPCError>}
+   */
+  call(method, ...args) {
+    return this.request({method, params: args});
+  }
+
+  /**
+   * Performs a remote call with options
+   * @param {Object} options Options
+   * @param {String} options.method Method name
+   * @param {Array|Object} [options.params] Parameters
+   * @param {Number} [options.timeout] Timeout in ms (0 = none)
+   * @param {AbortSignal} [options.signal] Signal used for cancellation
+   * @return {Promise<*, RPCError>}
+   */
+  request({method, params = [], timeout, signal}) {
+    const _ = this.options.translate;
+    const ms = typeof timeout === 'number' ? timeout : this.options.timeout;
+
+    if (signal && signal.aborted) {
+      return Promise.reject(new RPCError(_('ERR_RPC_CANCELLED', method), RPC_ERRORS.CANCELLED));
+    }
+
+    const id = this.nextId++;
+    const message = createMessage(method, params, id);
+
+    return new Promise((resolve, reject) => {
+      // A call that is still queued for sending is dropped so that the
+      // server never runs a call that was reported as failed
+      const cleanup = () => {
+        clearTimeout(entry.timer);
+        delete this.pending[id];
+
+        if (signal) {
+          signal.removeEventListener('abort', onabort);
+        }
+
+        return this.socket.unqueue(message);
+      };
+
+      const onabort = () => {
+        if (!cleanup()) {
+          this.socket.send(createMessage('$/cancelRequest', {id}));
+        }
+
+        reject(new RPCError(_('ERR_RPC_CANCELLED', method), RPC_ERRORS.CANCELLED));
+      };
+
+      const entry = {
+        method,
+        timer: ms > 0 ? setTimeout(() => {
+          cleanup();
+          reject(new RPCError(_('ERR_RPC_TIMEOUT', method, ms), RPC_ERRORS.TIMEOUT));
+        }, ms) : null,
+        resolve: result => {
+          cleanup();
+          resolve(result);
+        },
+        reject: error => {
+          cleanup();
+          reject(error);
+        }
+      };
+
+      if (signal) {
+        signal.addEventListener('abort', onabort);
+      }
+
+      this.pending[id] = entry;
+      this.socket.send(message);
+    });
+  }
+
+  /**
+   * Sends a notification (a call without response)
+   * @param {String} method Method name
+   * @param {*} ...args Arguments
+   */
+  notify(method, ...args) {
+    this.socket.send(createMessage(method, args));
+  }
+
+  /**
+   * Subscribes to server pushed events
+   * @param {String} topic Topic name
+   * @param {Function} callback Callback function
+   * @param {*} ...args Arguments for the subscription
+   * @return {Promise<Function, RPCError>} Resolves with an unsubscribe function
+   */
+  subscribe(topic, callback, ...args) {
+    const subscription = {topic, args, callback, id: null};
+
+    const unsubscribe = () => {
+      const foundIndex = this.subscriptions.indexOf(subscription);
+      if (foundIndex !== -1) {
+        this.subscriptions.splice(foundIndex, 1);
+      }
+
+      return subscription.id !== null
+        ? this.call('rpc.unsubscribe', subscription.id).catch(e => console.warn(e))
+        : Promise.resolve();
+    };
+
+    return this.call('rpc.subscribe', topic, ...args)
+      .then(id => {
+        subscription.id = id;
+        this.subscriptions.push(subscription);
+
+        return unsubscribe;
+      });
+  }
+
+  /**
+   * Re-creates all subscriptions (after reconnection)
+   */
+  _resubscribe() {
+    this.subscriptions.forEach(subscription => {
+      const {topic, args} = subscription;
+
+      subscription.id = null;
+
+      this.call('rpc.subscribe', topic, ...args)
+        .then(id => (subscription.id = id))
+        .catch(e => console.warn('Failed to resubscribe', topic, e));
+    });
+  }
+
+  /**
+   * Rejects all pending calls
+   * @param {Number} code Error code
+   * @param {String} message Error message key
+   */
+  _rejectAll(code, message) {
+    const _ = this.options.translate;
+
+    Object.keys(this.pending).forEach(id => {
+      const entry = this.pending[id];
+      entry.reject(new RPCError(_(message, entry.method), code));
+    });
+  }
+
+  /**
+   * Handles an incoming message
+   * @param {String} data Message data
+   */
+  _handleMessage(data) {
+    const message = parseMessage(data);
+    if (!message) {
+      return;
+    }
+
+    if (message.method === 'rpc.event') {
+      const {subscription, data} = message.params || {};
+      const found = this.subscriptions.find(s => s.id === subscription);
+
+      if (found) {
+        try {
+          found.callback(data);
+        } catch (e) {
+          console.warn(e);
+        }
+      }
+    } else if (typeof message.id !== 'undefined' && this.pending[message.id]) {
+      const entry = this.pending[message.id];
+
+      if (message.error) {
+        const {message: msg, code, data} = message.error;
+        entry.reject(new RPCError(msg, code, data));
+      } else {
+        entry.resolve(message.result);
+      }
+    }
+  }
+
+}
@@ -29,23 +29,294 @@
  */
 import {h, app} from 'hyperapp';
 import Window from './window';
+import {createAbortError} from './utils/vfs';
 
+/*
+ * Splits a snippet into text and highlighted matches
+ */
+const snippetView = ({snippet, highlights}) => {
+  const children = [];
+  let offset = 0;
+
+  (highlights || []).forEach(([start, end]) => {
+    if (start >= offset) {
+      children.push(snippet.substring(offset, start));
+      children.push(h('mark', {}, snippet.substring(start, end)));
+      offset = end;
+    }
+  });
+
+  children.push(snippet.substring(offset));
+
+  return h('div', {class: 'osjs-search-result-snippet'}, children);
+};
+
+/**
+ * Scores how well a text matches all words in a query
+ *
+ * @desc Returns `0` if any of the words are missing. Matches at the
+ * beginning of the text and at the beginning of words score higher.
+ *
+ * @param {String} query The query
+ * @param {String[]} texts Texts to match
+ * @return {Number}
+ */
+export const matchScore = (query, texts) => {
+  const words = String(query).toLowerCase().split(/\s+/).filter(w => !!w);
+  const haystack = texts.filter(t => !!t).map(t => String(t).toLowerCase());
+  const text = haystack.join(' ');
+
+  return words.reduce((score, word) => {
+    if (score === 0 || text.indexOf(word) === -1) {
+      return 0;
+    }
+
+    const first = haystack[0] || '';
+    const bonus = first.indexOf(word) === 0
+      ? 3
+      : (` ${text}`).indexOf(` ${word}`) !== -1 ? 2 : 1;
+
+    return score + bonus;
+  }, words.length > 0 ? 1 : 0);
+};
+
+/*
+ * Sorts results with a score, best first
+ */
+const byScore = (a, b) => b.score - a.score;
+
+/*
+ * Installed applications (recently launched ones without a query)
+ */
+const applicationsProvider = core => ({
+  label: core.make('osjs/locale').translate('LBL_APPLICATIONS'),
+  priority: 10,
+  search: query => {
+    const {translatableFlat} = core.make('osjs/locale');
+    const {icon} = core.make('osjs/theme');
+    const recent = core.has('osjs/recent')
+      ? core.make('osjs/recent').getApplications().map(entry => entry.name)
+      : [];
+
+    // Recently launched applications ranks higher
+    const boost = name => recent.indexOf(name) === -1
+      ? 0
+      : (recent.length - recent.indexOf(name)) / recent.length;
+
+    return core.make('osjs/packages')
+      .getPackages(meta => meta.type === 'application' && !meta.hidden)
+      .filter(meta => query || recent.indexOf(meta.name) !== -1)
+      .map(meta => ({meta, title: translatableFlat(meta.title) || meta.name}))
+      .map(({meta, title}) => {
+        const description = translatableFlat(meta.description);
+        const score = query
+          ? matchScore(query, [title, meta.name, description, meta.category])
+          : 1;
+
+        return {
+          title,
+          description,
+          icon: meta.icon ? core.url(meta.icon, {}, meta) : icon('application-x-executable.png'),
+          score: score > 0 ? score + boost(meta.name) : 0,
+          action: () => core.run(meta.name)
+        };
+      })
+      .filter(result => result.score > 0)
+      .sort(byScore);
+  }
+});
+
+/*
+ * Open windows
+ */
+const windowsProvider = core => ({
+  label: core.make('osjs/locale').translate('LBL_WINDOWS'),
+  priority: 20,
+  search: query => Window.getRecentWindows()
+    .filter(win => !win.destroyed && win.state.title)
+    .map(win => ({
+      title: win.state.title,
+      icon: win.state.icon,
+      score: query ? matchScore(query, [win.state.title]) : 1,
+      action: () => {
+        win.raise();
+        win.focus();
+      },
+      actions: [{
+        label: core.make('osjs/locale').translate('LBL_CLOSE'),
+        action: () => win.close()
+      }]
+    }))
+    .filter(result => result.score > 0)
+    .sort(byScore)
+});
+
+/*
+ * Creates results from VFS files
+ */
+const fileResults = (core, files) => {
+  const _ = core.make('osjs/locale').translate;
+  const fs = core.make('osjs/fs');
+  const {icon} = core.make('osjs/theme');
+
+  return files.map(file => ({
+    title: file.filename,
+    description: file.mime ? `${file.path} (${file.mime})` : file.path,
+    icon: icon(fs.icon(file).name + '.png'),
+    snippet: file.snippet,
+    highlights: file.highlights,
+    file,
+    action: () => core.open(file),
+    actions: file.isFile ? [{
+      label: _('LBL_OPEN_WITH'),
+      action: () => core.openWith(file)
+    }] : []
+  }));
+};
+
+/*
+ * Files and directories
+ */
+const filesProvider = core => ({
+  label: core.make('osjs/locale').translate('LBL_SEARCH_FILES'),
+  priority: 40,
+  limit: 50,
+  search: (query, {signal, update, warn}) => {
+    const _ = core.make('osjs/locale').translate;
+
+    return query
+      ? core.make('osjs/fs').query(query, {
+        signal,
+        onResults: files => update(fileResults(core, files)),
+        onError: (error, mount) => warn(_('ERR_VFS_SEARCH_FAILED', mount.label, error.message))
+      }).then(files => fileResults(core, files))
+      : [];
+  }
+});
+
+/*
+ * Recently opened files
+ */
+const recentProvider = core => ({
+  label: core.make('osjs/locale').translate('LBL_SEARCH_RECENT'),
+  priority: 35,
+  search: query => {
+    if (!core.has('osjs/recent')) {
+      return [];
+    }
+
+    const _ = core.make('osjs/locale').translate;
+    const recent = core.make('osjs/recent');
+    const entries = recent.getFiles()
+      .filter(entry => !query || matchScore(query, [entry.filename, entry.path]) > 0);
+
+    const files = entries
+      .map(({path, filename, mime}) => ({path, filename, mime, isFile: true}));
+
+    return fileResults(core, files)
+      .map((result, i) => Object.assign(result, {
+        actions: [...result.actions, {
+          label: entries[i].pinned ? _('LBL_RECENT_UNPIN') : _('LBL_RECENT_PIN'),
+          action: () => recent.pinFile(entries[i].path, !entries[i].pinned)
+        }, {
+          label: _('LBL_RECENT_REMOVE'),
+          action: () => recent.removeFile(entries[i].path)
+        }]
+      }));
+  }
+});
+
+/**
+ * An action on a search result
+ * @property {String} label Label
+ * @property {Function} action Callback
+ * @typedef SearchResultAction
+ */
+
+/**
+ * A search result
+ * @property {String} title Title
+ * @property {String} [description] Description
+ * @property {String} [icon] Icon URL
+ * @property {String} [snippet] Text excerpt
+ * @property {Array[]} [highlights] Ranges in snippet to highlight as `[start, end]`
+ * @property {Object} [file] A file to open if no action is given
+ * @property {Function} [action] Called when the result is opened
+ * @property {SearchResultAction[]} [actions] Additional actions
+ * @typedef SearchResult
+ */
+
+/**
+ * A search provider
+ *
+ * @desc The search function is called with the query and an object with:
+ * `signal` (an AbortSignal for when a newer search is started),
+ * `update(results)` to show results before the search is done and
+ * `warn(message)` to show a message without failing the search.
+ *
+ * @property {String} label Category label
+ * @property {Number} [priority=100] Category order, lowest first
+ * @property {Number} [limit=10] Maximum number of results
+ * @property {Function} search A function with `(query, context) => Promise<SearchResult[]>` signature
+ * @typedef SearchProvider
+ */
+
+/**
+ * Search
+ *
+ * @desc A launcher that searches applications, windows, settings, files
+ * and anything else registered by a `SearchProvider`.
+ */
 export default class Search {
+
+  /**
+   * Create search
+   * @param {Core} core Core reference
+   */
   constructor(core) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
     this.core = core;
+
+    /**
+     * Search providers
+     * @type {Map<String, SearchProvider>}
+     */
+    this.providers = {};
+
+    /**
+     * Aborts the current search
+     * @type {AbortController}
+     */
+    this.controller = null;
+
+    /**
+     * Timer for searching while typing
+     * @type {Number}
+     */
+    this.timeout = null;
+
     this.$element = document.createElement('div');
     this.app = null;
     this.focusLastWindow = null;
   }
 
   destroy() {
-
+    this.cancel();
+    this.providers = {};
   }
 
   init() {
     const {icon} = this.core.make('osjs/theme');
     const _ = this.core.make('osjs/locale').translate;
 
+    this.register('applications', applicationsProvider(this.core));
+    this.register('windows', windowsProvider(this.core));
+    this.register('files', filesProvider(this.core));
+    this.register('recent', recentProvider(this.core));
+
     this.core.make('osjs/tray').create({
       title: _('LBL_SEARCH_TOOLTOP', 'F3'),
       icon: icon('system-search.png')
@@ -56,43 +327,152 @@ export default class Search {
     this.createApp();
   }
 
-  search(pattern) {
-    const vfs = this.core.make('osjs/vfs');
-    const promises = this.core.make('osjs/fs')
-      .mountpoints()
-      .map(mount => `${mount.name}:/`)
-      .map(path => {
-        return vfs.search({path}, pattern)
-          .catch(error => {
-            console.warn(error);
-            return [];
-          });
+  /**
+   * Registers a search provider
+   * @param {String} name Provider name
+   * @param {SearchProvider} provider The provider
+   * @return {Function} Call to unregister
+   */
+  register(name, provider) {
+    if (typeof provider.search !== 'function') {
+      throw new TypeError(`Search provider '${name}' has no search() method`);
+    }
+
+    this.providers[name] = Object.assign({
+      label: name,
+      priority: 100,
+      limit: 10
+    }, provider);
+
+    return () => {
+      if (this.providers[name] && this.providers[name].search === provider.search) {
+        this.unregister(name);
+      }
+    };
+  }
+
+  /**
+   * Removes a search provider
+   * @param {String} name Provider name
+   */
+  unregister(name) {
+    delete this.providers[name];
+  }
+
+  /**
+   * Searches all providers
+   * @param {String} query The query
+   * @param {Object} [options] Options
+   * @param {AbortSignal} [options.signal] Cancel the search with an AbortController
+   * @param {Function} [options.onUpdate] Called with the categories so far when results arrive
+   * @return {Promise<Object[], Error>} Results by category as `{name, label, results, warnings}`
+   */
+  search(query, options = {}) {
+    const {signal, onUpdate} = options;
+    const q = String(query || '').trim();
+    const names = Object.keys(this.providers)
+      .sort((a, b) => this.providers[a].priority - this.providers[b].priority);
+
+    const categories = names.map(name => ({
+      name,
+      label: this.providers[name].label,
+      results: [],
+      warnings: []
+    }));
+
+    const aborted = () => signal && signal.aborted;
+    const current = () => categories
+      .filter(c => c.results.length > 0 || c.warnings.length > 0);
+
+    const notify = () => {
+      if (onUpdate && !aborted()) {
+        onUpdate(current());
+      }
+    };
+
+    return Promise.all(names.map((name, i) => {
+      const {limit, search} = this.providers[name];
+      const category = categories[i];
+
+      const update = results => {
+        category.results = (results || []).slice(0, limit);
+        notify();
+      };
+
+      const warn = message => {
+        category.warnings.push(message);
+        notify();
+      };
+
+      return Promise.resolve()
+        .then(() => search(q, {signal, update, warn}))
+        .then(results => {
+          if (results) {
+            update(results);
+          }
+        })
+        .catch(error => {
+          if (!aborted()) {
+            console.warn(`Search provider '${name}' failed`, error);
+          }
+        });
+    }))
+      .then(() => {
+        if (aborted()) {
+          throw createAbortError();
+        }
+
+        return current();
       });
+  }
+
+  /**
+   * Cancels the current search
+   */
+  cancel() {
+    clearTimeout(this.timeout);
 
-    return Promise.all(promises)
-      .then(lists => [].concat(...lists));
+    if (this.controller) {
+      this.controller.abort();
+      this.controller = null;
+    }
   }
 
   createApp() {
-    const fs = this.core.make('osjs/fs');
-    const {icon} = this.core.make('osjs/theme');
     const _ = this.core.make('osjs/locale').translate;
 
-    const resultView = ({results, index}, actions) => results.map((r, i) => h('li', {
-      onclick: () => actions.open(i),
-      onupdate: el => {
-        if (i === index) {
-          el.scrollIntoView();
-        }
-      },
-      class: [
-        'osjs-search-result',
-        index === i ? 'osjs__active' : ''
-      ].join(' ')
-    }, [
-      h('img', {src: icon(fs.icon(r).name + '.png')}),
-      h('span', {}, `${r.path} (${r.mime})`)
-    ]));
+    const resultView = ({results, index}, actions) => results.map((r, i) => [
+      i === 0 || results[i - 1].category !== r.category
+        ? h('li', {class: 'osjs-search-category'}, r.category)
+        : null,
+      h('li', {
+        onclick: () => actions.open(i),
+        onupdate: el => {
+          if (i === index) {
+            el.scrollIntoView();
+          }
+        },
+        class: [
+          'osjs-search-result',
+          index === i ? 'osjs__active' : ''
+        ].join(' ')
+      }, [
+        r.icon ? h('img', {src: r.icon}) : null,
+        h('div', {class: 'osjs-search-result-text'}, [
+          h('span', {}, r.title),
+          r.description ? h('div', {class: 'osjs-search-result-description'}, r.description) : null,
+          r.snippet ? snippetView(r) : null
+        ]),
+        ...(r.actions || []).map(a => h('button', {
+          class: 'osjs-search-result-action',
+          onmousedown: ev => ev.preventDefault(),
+          onclick: ev => {
+            ev.stopPropagation();
+            actions.run(a.action);
+          }
+        }, a.label))
+      ])
+    ]).reduce((list, items) => list.concat(items.filter(item => !!item)), []);
 
     const view = (state, actions) => h('div', {
       class: 'osjs-search-container osjs-notification',
@@ -106,7 +486,19 @@ export default class Search {
         class: 'osjs-search-input',
         value: state.query,
         onblur: () => actions.toggle(false),
-        oninput: ev => actions.setQuery(ev.target.value),
+        oninput: ev => {
+          const query = ev.target.value;
+          const delay = this.core.config('search.delay', 300);
+
+          actions.setQuery(query);
+          this.cancel();
+
+          if (query.trim()) {
+            this.timeout = setTimeout(() => actions.search(query), delay);
+          } else {
+            actions.setResults({results: [], warnings: []});
+          }
+        },
         onkeydown: ev => {
           if (ev.keyCode === 38) { // Up
             actions.setPreviousIndex();
@@ -125,7 +517,7 @@ export default class Search {
             if (state.index >= 0) {
               actions.open(state.index);
             } else {
-              actions.search(state.query.replace(/\*?$/, '*').replace(/^\*?/, '*'));
+              actions.search(state.query);
             }
           }
         }
@@ -137,6 +529,10 @@ export default class Search {
           display: (state.error || state.status) ? 'block' : 'none'
         }
       }, state.error || state.status),
+      ...state.warnings.map(warning => h('div', {
+        'data-error': true,
+        class: 'osjs-search-message'
+      }, warning)),
       h('ol', {
         class: 'osjs-search-results',
         style: {
@@ -151,19 +547,53 @@ export default class Search {
       status: undefined,
       error: null,
       visible: false,
-      results: []
+      results: [],
+      warnings: []
     }, {
       search: query => (state, actions) => {
-        this.search(query)
-          .then(results => actions.setResults(results))
-          .catch(error => actions.setError(error));
+        this.cancel();
+
+        const controller = new AbortController();
+        const flatten = (categories, pending) => ({
+          pending,
+          results: [].concat(...categories
+            .map(c => c.results.map(r => Object.assign({category: c.label}, r)))),
+          warnings: [].concat(...categories.map(c => c.warnings))
+        });
+
+        this.controller = controller;
+        this.search(query, {
+          signal: controller.signal,
+          onUpdate: categories => actions.setResults(flatten(categories, true))
+        })
+          .then(categories => actions.setResults(flatten(categories, false)))
+          .catch(error => {
+            if (error.name !== 'AbortError') {
+              actions.setError(error);
+            }
+          })
+          .then(() => {
+            if (this.controller === controller) {
+              this.controller = null;
+            }
+          });
 
-        return {status: _('LBL_SEARCH_WAIT')};
+        return {status: _('LBL_SEARCH_WAIT'), error: null};
       },
       open: index => (state, actions) => {
         const iter = state.results[index];
         if (iter) {
-          this.core.open(iter);
+          actions.run(typeof iter.action === 'function'
+            ? iter.action
+            : () => this.core.open(iter.file || iter));
+        }
+      },
+      run: fn => (state, actions) => {
+        try {
+          Promise.resolve(fn())
+            .catch(error => console.warn(error));
+        } catch (e) {
+          console.warn(e);
         }
 
         actions.toggle(false);
@@ -182,22 +612,30 @@ export default class Search {
         status: undefined,
         index: -1
       }),
-      setResults: results => () => ({
+      setResults: ({results, warnings, pending}) => state => ({
         results,
-        index: -1,
-        status: _('LBL_SEARCH_RESULT', results.length),
+        warnings,
+        index: state.index < results.length ? state.index : -1,
+        status: pending
+          ? _('LBL_SEARCH_WAIT')
+          : (results.length || warnings.length ? _('LBL_SEARCH_RESULT', results.length) : undefined)
       }),
       setQuery: query => () => ({
         query
       }),
-      toggle: visible => state => ({
-        query: '',
-        results: [],
-        index: -1,
-        status: undefined,
-        error: null,
-        visible: typeof visible === 'boolean' ? visible : !state.visible
-      })
+      toggle: visible => state => {
+        this.cancel();
+
+        return {
+          query: '',
+          results: [],
+          warnings: [],
+          index: -1,
+          status: undefined,
+          error: null,
+          visible: typeof visible === 'boolean' ? visible : !state.visible
+        };
+      }
     }, view, this.$element);
   }
 
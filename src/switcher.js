@@ -0,0 +1,255 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import {h, app} from 'hyperapp';
+import Window from './window';
+
+const MODIFIER_KEYS = ['Alt', 'Control', 'Shift', 'Meta'];
+
+/*
+ * Checks if any modifier keys are still held down
+ */
+const hasModifiers = ev => ev.altKey || ev.ctrlKey || ev.shiftKey || ev.metaKey;
+
+/*
+ * Gets a list of windows that can be switched to
+ */
+const getSwitchableWindows = () => Window.getRecentWindows()
+  .filter(w => !w.destroyed && w.rendered)
+  .filter(w => w.attributes.visibility !== 'restricted');
+
+/**
+ * Window Switcher
+ *
+ * @desc Overlay for cycling windows with the keyboard
+ */
+export default class Switcher {
+
+  /**
+   * Creates the Window Switcher
+   *
+   * @param {Core} core Core reference
+   */
+  constructor(core) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * The root DOM element
+     * @type {Element}
+     */
+    this.$element = document.createElement('div');
+
+    /**
+     * The switcher UI
+     * @type {Object}
+     */
+    this.switcherUI = null;
+
+    /**
+     * Windows in the order they were shown
+     * @type {Window[]}
+     */
+    this.windows = [];
+
+    this.onkeyup = ev => {
+      if (MODIFIER_KEYS.indexOf(ev.key) !== -1 && !hasModifiers(ev)) {
+        this.select();
+      }
+    };
+
+    this.onkeydown = ev => {
+      if (ev.keyCode === 27) { // Escape
+        ev.preventDefault();
+        ev.stopPropagation();
+        this.hide();
+      } else if (ev.keyCode === 13) { // Enter
+        ev.preventDefault();
+        ev.stopPropagation();
+        this.select();
+      }
+    };
+  }
+
+  /**
+   * Destroys the Window Switcher
+   */
+  destroy() {
+    this.hide();
+
+    if (this.$element) {
+      this.$element.remove();
+    }
+
+    this.$element = null;
+    this.switcherUI = null;
+    this.windows = [];
+  }
+
+  /**
+   * Initializes the Window Switcher
+   */
+  init() {
+    this.$element.className = 'osjs-switcher';
+    this.core.$root.appendChild(this.$element);
+    this.createApp();
+  }
+
+  /**
+   * Creates the UI
+   */
+  createApp() {
+    const view = (state, actions) => h('div', {
+      class: 'osjs-switcher-container osjs-notification',
+      style: {
+        display: state.visible ? undefined : 'none'
+      }
+    }, [
+      h('ol', {
+        class: 'osjs-switcher-windows'
+      }, state.windows.map((w, i) => h('li', {
+        onmousedown: ev => ev.preventDefault(),
+        onclick: () => {
+          actions.setIndex(i);
+          this.select();
+        },
+        class: [
+          'osjs-switcher-window',
+          state.index === i ? 'osjs__active' : ''
+        ].join(' '),
+        'data-minimized': String(w.minimized)
+      }, [
+        h('img', {src: w.icon}),
+        h('span', {}, w.title)
+      ]))),
+      h('div', {
+        class: 'osjs-switcher-title'
+      }, state.windows[state.index] ? state.windows[state.index].title : '')
+    ]);
+
+    this.switcherUI = app({
+      visible: false,
+      index: 0,
+      windows: []
+    }, {
+      show: ({windows, index}) => () => ({
+        visible: true,
+        windows,
+        index
+      }),
+      hide: () => () => ({
+        visible: false,
+        windows: [],
+        index: 0
+      }),
+      setIndex: index => () => ({index}),
+      setNextIndex: () => state => ({
+        index: (state.index + 1) % state.windows.length
+      }),
+      getState: () => state => state
+    }, view, this.$element);
+  }
+
+  /**
+   * Checks if the switcher is visible
+   * @return {Boolean}
+   */
+  isVisible() {
+    return !!this.switcherUI && this.switcherUI.getState().visible;
+  }
+
+  /**
+   * Shows the switcher, or moves to the next window if already visible
+   */
+  cycle() {
+    if (!this.switcherUI) {
+      return;
+    }
+
+    if (this.isVisible()) {
+      this.switcherUI.setNextIndex();
+      return;
+    }
+
+    this.windows = getSwitchableWindows();
+    if (this.windows.length === 0) {
+      return;
+    }
+
+    this.switcherUI.show({
+      index: this.windows.length > 1 ? 1 : 0,
+      windows: this.windows.map(w => ({
+        title: w.getState('title'),
+        icon: w.getState('icon'),
+        minimized: w.getState('minimized')
+      }))
+    });
+
+    window.addEventListener('keyup', this.onkeyup, true);
+    window.addEventListener('keydown', this.onkeydown, true);
+  }
+
+  /**
+   * Switches to the currently selected window and hides the switcher
+   */
+  select() {
+    if (!this.isVisible()) {
+      return;
+    }
+
+    const {index} = this.switcherUI.getState();
+    const win = this.windows[index];
+
+    this.hide();
+
+    if (win && !win.destroyed) {
+      win.raise();
+      win.focus();
+
+      this.core.emit('osjs/window:switch', win);
+    }
+  }
+
+  /**
+   * Hides the switcher without switching window
+   */
+  hide() {
+    window.removeEventListener('keyup', this.onkeyup, true);
+    window.removeEventListener('keydown', this.onkeydown, true);
+
+    if (this.switcherUI) {
+      this.switcherUI.hide();
+    }
+
+    this.windows = [];
+  }
+}
@@ -93,15 +93,21 @@ const createFetchOptions = (url, options, type) => {
 export const fetch = (url, options = {}, type = null) => {
   const [target, fetchOptions] = createFetchOptions(url, options, type);
 
-  const createErrorRejection = (response, error) =>
-    Promise.reject(new Error(error
+  const createErrorRejection = (response, error) => {
+    const rejection = new Error(error
       ? error
-      : `${response.status} (${response.statusText})`));
+      : `${response.status} (${response.statusText})`);
+
+    rejection.status = response.status;
+
+    return Promise.reject(rejection);
+  };
 
   return window.fetch(target, fetchOptions)
     .then(response => {
       if (!response.ok) {
         return response.json()
+          .catch(() => ({}))
           .then(data => createErrorRejection(response, data.error));
       }
 
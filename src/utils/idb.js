@@ -0,0 +1,152 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/*
+ * Wraps an IDBRequest in a Promise
+ */
+const promisify = request => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/*
+ * Opens (and creates) a database
+ */
+const openDatabase = (name, version, stores) => new Promise((resolve, reject) => {
+  if (!window.indexedDB) {
+    reject(new Error('IndexedDB is not supported'));
+    return;
+  }
+
+  const request = window.indexedDB.open(name, version);
+
+  request.onupgradeneeded = () => {
+    const db = request.result;
+
+    Object.keys(stores).forEach(storeName => {
+      if (!db.objectStoreNames.contains(storeName)) {
+        db.createObjectStore(storeName, stores[storeName]);
+      }
+    });
+  };
+
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+  request.onblocked = () => reject(new Error(`Database '${name}' is blocked`));
+});
+
+/**
+ * Creates a simple IndexedDB backed key/value store
+ *
+ * @desc The database is opened on first use.
+ * @example
+ *  const db = createStore('my-database', {files: {}, queue: {autoIncrement: true}});
+ *  db.set('files', 'key', value).then(() => db.get('files', 'key'));
+ *
+ * @param {String} name Database name
+ * @param {Map<String, Object>} stores Object stores and their options
+ * @param {Number} [version=1] Database version (increase when adding stores)
+ * @return {Object}
+ */
+export const createStore = (name, stores, version = 1) => {
+  let database = null;
+
+  const db = () => {
+    if (!database) {
+      database = openDatabase(name, version, stores);
+    }
+
+    return database;
+  };
+
+  const run = (storeName, mode, fn) => db()
+    .then(d => new Promise((resolve, reject) => {
+      const tx = d.transaction(storeName, mode);
+      const request = fn(tx.objectStore(storeName));
+
+      tx.oncomplete = () => resolve(request.result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    }));
+
+  return {
+    get: (storeName, key) => db()
+      .then(d => promisify(d.transaction(storeName).objectStore(storeName).get(key))),
+
+    set: (storeName, key, value) => run(storeName, 'readwrite', store => store.put(value, key)),
+
+    add: (storeName, value) => run(storeName, 'readwrite', store => store.add(value)),
+
+    remove: (storeName, key) => run(storeName, 'readwrite', store => store.delete(key)),
+
+    clear: (storeName) => run(storeName, 'readwrite', store => store.clear()),
+
+    keys: (storeName, range) => db()
+      .then(d => promisify(d.transaction(storeName).objectStore(storeName).getAllKeys(range))),
+
+    values: (storeName, range) => db()
+      .then(d => promisify(d.transaction(storeName).objectStore(storeName).getAll(range))),
+
+    entries: (storeName, range) => db()
+      .then(d => {
+        const store = d.transaction(storeName).objectStore(storeName);
+
+        return Promise.all([
+          promisify(store.getAllKeys(range)),
+          promisify(store.getAll(range))
+        ]);
+      })
+      .then(([keys, values]) => keys.map((key, i) => [key, values[i]])),
+
+    close: () => {
+      if (database) {
+        database.then(d => d.close()).catch(() => {});
+        database = null;
+      }
+    },
+
+    destroy: () => {
+      if (database) {
+        database.then(d => d.close()).catch(() => {});
+        database = null;
+      }
+
+      return promisify(window.indexedDB.deleteDatabase(name));
+    }
+  };
+};
+
+/**
+ * Creates a key range matching all keys with given prefix
+ * @param {String} prefix Key prefix
+ * @return {IDBKeyRange}
+ */
+export const prefixRange = prefix =>
+  window.IDBKeyRange.bound(prefix, prefix + '\uffff', false, false);
@@ -0,0 +1,212 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/*
+ * AWS Signature Version 4 request signing.
+ *
+ * Uses the browser Web Crypto API, so signing is asynchronous.
+ */
+
+const ALGORITHM = 'AWS4-HMAC-SHA256';
+
+const encoder = new TextEncoder();
+
+/*
+ * Converts an ArrayBuffer to a hex string
+ */
+const toHex = ab => Array.from(new Uint8Array(ab))
+  .map(b => b.toString(16).padStart(2, '0'))
+  .join('');
+
+/*
+ * Creates a SHA-256 hash as hex
+ */
+const sha256 = data => window.crypto.subtle
+  .digest('SHA-256', typeof data === 'string' ? encoder.encode(data) : data)
+  .then(toHex);
+
+/*
+ * Creates a HMAC-SHA256
+ */
+const hmac = (key, data) => window.crypto.subtle
+  .importKey('raw', typeof key === 'string' ? encoder.encode(key) : key, {
+    name: 'HMAC',
+    hash: 'SHA-256'
+  }, false, ['sign'])
+  .then(k => window.crypto.subtle.sign('HMAC', k, encoder.encode(data)));
+
+/*
+ * Encodes a string as defined by RFC 3986
+ */
+const encode = str => encodeURIComponent(str)
+  .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+
+/**
+ * Creates a query string in canonical form, which can also be used in URLs
+ * @param {Object} query Query parameters
+ * @return {String}
+ */
+export const encodeQuery = query => Object.keys(query)
+  .sort()
+  .map(k => `${encode(k)}=${encode(String(query[k]))}`)
+  .join('&');
+
+/*
+ * Gets the date and timestamp, ie. ['20130524', '20130524T000000Z']
+ */
+const timestamp = date => {
+  const iso = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+  return [iso.substr(0, 8), iso];
+};
+
+/*
+ * Creates the signature of a canonical request
+ */
+const sign = (credentials, date, amzDate, scope, canonical) => {
+  const {secretAccessKey, region, service} = credentials;
+
+  return sha256(canonical)
+    .then(hash => [ALGORITHM, amzDate, scope, hash].join('\n'))
+    .then(stringToSign => hmac(`AWS4${secretAccessKey}`, date)
+      .then(key => hmac(key, region))
+      .then(key => hmac(key, service))
+      .then(key => hmac(key, 'aws4_request'))
+      .then(key => hmac(key, stringToSign)))
+    .then(toHex);
+};
+
+/**
+ * Signing credentials
+ * @property {String} accessKeyId Access key
+ * @property {String} secretAccessKey Secret key
+ * @property {String} [sessionToken] Session token for temporary credentials
+ * @property {String} region Region
+ * @property {String} service Service, ie. 's3'
+ * @typedef SigningCredentials
+ */
+
+/**
+ * Signs a request by creating the authorization headers
+ * @param {Object} request Request
+ * @param {String} request.method HTTP method
+ * @param {String} request.url Full URL with encoded path, but without query
+ * @param {Object} [request.query] Query parameters
+ * @param {Object} [request.headers] Headers to sign
+ * @param {String} [request.payloadHash] Hash of the body (default 'UNSIGNED-PAYLOAD')
+ * @param {SigningCredentials} credentials Credentials
+ * @param {Date} [now] Time of signing
+ * @return {Promise<Object, Error>} The headers to send
+ */
+export const signRequest = (request, credentials, now = new Date()) => {
+  const url = new URL(request.url);
+  const [date, amzDate] = timestamp(now);
+  const scope = `${date}/${credentials.region}/${credentials.service}/aws4_request`;
+  const payloadHash = request.payloadHash || 'UNSIGNED-PAYLOAD';
+
+  const headers = Object.assign({}, request.headers || {}, {
+    'x-amz-date': amzDate,
+    'x-amz-content-sha256': payloadHash
+  }, credentials.sessionToken ? {'x-amz-security-token': credentials.sessionToken} : {});
+
+  const signed = Object.assign({host: url.host}, headers);
+  const names = Object.keys(signed).map(k => k.toLowerCase()).sort();
+  const values = Object.keys(signed).reduce((result, k) => Object.assign(result, {
+    [k.toLowerCase()]: String(signed[k]).trim().replace(/\s+/g, ' ')
+  }), {});
+
+  const signedHeaders = names.join(';');
+  const canonical = [
+    request.method.toUpperCase(),
+    url.pathname,
+    encodeQuery(request.query || {}),
+    names.map(k => `${k}:${values[k]}\n`).join(''),
+    signedHeaders,
+    payloadHash
+  ].join('\n');
+
+  return sign(credentials, date, amzDate, scope, canonical)
+    .then(signature => Object.assign(headers, {
+      Authorization: `${ALGORITHM} Credential=${credentials.accessKeyId}/${scope}, ` +
+        `SignedHeaders=${signedHeaders}, Signature=${signature}`
+    }));
+};
+
+/**
+ * Creates a presigned URL for a GET request
+ * @param {Object} request Request
+ * @param {String} request.url Full URL with encoded path, but without query
+ * @param {Object} [request.query] Additional query parameters
+ * @param {Number} [request.expires=3600] Expiration in seconds
+ * @param {SigningCredentials} credentials Credentials
+ * @param {Date} [now] Time of signing
+ * @return {Promise<String, Error>}
+ */
+export const presignUrl = (request, credentials, now = new Date()) => {
+  const url = new URL(request.url);
+  const [date, amzDate] = timestamp(now);
+  const scope = `${date}/${credentials.region}/${credentials.service}/aws4_request`;
+
+  const query = Object.assign({}, request.query || {}, {
+    'X-Amz-Algorithm': ALGORITHM,
+    'X-Amz-Credential': `${credentials.accessKeyId}/${scope}`,
+    'X-Amz-Date': amzDate,
+    'X-Amz-Expires': String(request.expires || 3600),
+    'X-Amz-SignedHeaders': 'host'
+  }, credentials.sessionToken ? {'X-Amz-Security-Token': credentials.sessionToken} : {});
+
+  const canonical = [
+    'GET',
+    url.pathname,
+    encodeQuery(query),
+    `host:${url.host}\n`,
+    'host',
+    'UNSIGNED-PAYLOAD'
+  ].join('\n');
+
+  return sign(credentials, date, amzDate, scope, canonical)
+    .then(signature => `${url.origin}${url.pathname}?${encodeQuery(query)}&X-Amz-Signature=${signature}`);
+};
+
+/**
+ * Creates a SHA-256 hash of a payload for signing
+ * @param {ArrayBuffer|String} data The payload
+ * @return {Promise<String, Error>} Hex string
+ */
+export const hashPayload = data => sha256(data || '');
+
+/**
+ * Encodes a path for use in a signed URL
+ * @param {String} path Path with '/' separators
+ * @return {String}
+ */
+export const encodePath = path => path
+  .split('/')
+  .map(encode)
+  .join('/');
@@ -0,0 +1,267 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/*
+ * Tar archive reading and writing (ustar with pax extended headers).
+ *
+ * Uses the browser CompressionStream API for gzip.
+ */
+
+const BLOCK_SIZE = 512;
+
+/*
+ * Runs data through a (de)compression stream
+ */
+const transform = (stream, data) => new Response(
+  new Blob([data]).stream().pipeThrough(stream)
+).arrayBuffer();
+
+/*
+ * Rounds up to a whole number of blocks
+ */
+const padded = size => Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+/*
+ * Reads a null terminated string from a header
+ */
+const readString = (bytes, offset, length) => {
+  const field = bytes.subarray(offset, offset + length);
+  const end = field.indexOf(0);
+
+  return new TextDecoder('utf-8').decode(end === -1 ? field : field.subarray(0, end));
+};
+
+/*
+ * Reads an octal number from a header
+ */
+const readOctal = (bytes, offset, length) =>
+  parseInt(readString(bytes, offset, length).trim() || '0', 8);
+
+/*
+ * Parses pax extended header records, ie. '20 path=foo/bar.txt\n'
+ */
+const readPax = data => {
+  const decoder = new TextDecoder('utf-8');
+  const result = {};
+
+  for (let offset = 0; offset < data.length;) {
+    const space = data.indexOf(32, offset);
+    const length = space === -1 ? 0 : parseInt(decoder.decode(data.subarray(offset, space)), 10);
+    if (!length) {
+      break;
+    }
+
+    const record = decoder.decode(data.subarray(space + 1, offset + length - 1));
+    const index = record.indexOf('=');
+    result[record.substr(0, index)] = record.substr(index + 1);
+    offset += length;
+  }
+
+  return result;
+};
+
+/**
+ * A tar entry
+ * @property {String} name Path inside archive
+ * @property {Boolean} isDirectory If a directory
+ * @property {Number} size Size
+ * @property {Number} offset Offset of data
+ * @property {Date} mtime Modification time
+ * @typedef TarEntry
+ */
+
+/**
+ * Reads the list of files and directories in a tar archive.
+ * Links and other special entries are ignored.
+ * @param {ArrayBuffer} ab The archive
+ * @throws {Error} On invalid archives
+ * @return {TarEntry[]}
+ */
+export const readTar = ab => {
+  const bytes = new Uint8Array(ab);
+  const entries = [];
+  let extended = {};
+
+  for (let offset = 0; offset + BLOCK_SIZE <= bytes.length;) {
+    const header = bytes.subarray(offset, offset + BLOCK_SIZE);
+    if (header.every(b => b === 0)) {
+      break;
+    }
+
+    const checksum = readOctal(header, 148, 8);
+    const sum = header.reduce((total, b, i) => total + (i >= 148 && i < 156 ? 32 : b), 0);
+    if (checksum !== sum) {
+      throw new Error('Invalid tar header checksum');
+    }
+
+    const type = String.fromCharCode(header[156] || 48);
+    const size = readOctal(header, 124, 12);
+    const dataOffset = offset + BLOCK_SIZE;
+    const data = bytes.subarray(dataOffset, dataOffset + size);
+    offset = dataOffset + padded(size);
+
+    if (type === 'x') {
+      extended = readPax(data);
+      continue;
+    } else if (type === 'L') {
+      extended = {path: readString(data, 0, size)};
+      continue;
+    }
+
+    const prefix = readString(header, 257, 6) === 'ustar'
+      ? readString(header, 345, 155)
+      : '';
+
+    const name = extended.path || (prefix ? `${prefix}/` : '') + readString(header, 0, 100);
+    const mtime = extended.mtime || readOctal(header, 136, 12);
+    extended = {};
+
+    if (type === '0' || type === '5' || type === '7') {
+      entries.push({
+        name,
+        isDirectory: type === '5',
+        size: type === '5' ? 0 : size,
+        offset: dataOffset,
+        mtime: new Date(parseFloat(mtime) * 1000)
+      });
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Extracts the data of an entry
+ * @param {ArrayBuffer} ab The archive
+ * @param {TarEntry} entry The entry
+ * @return {Promise<ArrayBuffer, Error>}
+ */
+export const extractTarEntry = (ab, entry) =>
+  Promise.resolve(ab.slice(entry.offset, entry.offset + entry.size));
+
+/*
+ * Creates a header block
+ */
+const createHeader = (name, size, mtime, type) => {
+  const header = new Uint8Array(BLOCK_SIZE);
+  const encoder = new TextEncoder();
+
+  const write = (offset, length, str) =>
+    header.set(encoder.encode(str).subarray(0, length), offset);
+
+  const writeOctal = (offset, length, num) =>
+    write(offset, length, num.toString(8).padStart(length - 1, '0'));
+
+  write(0, 100, name);
+  writeOctal(100, 8, type === '5' ? 0o755 : 0o644);
+  writeOctal(108, 8, 0);
+  writeOctal(116, 8, 0);
+  writeOctal(124, 12, size);
+  writeOctal(136, 12, Math.floor(mtime.getTime() / 1000));
+  write(148, 8, '        ');
+  write(156, 1, type);
+  write(257, 6, 'ustar');
+  write(263, 2, '00');
+
+  const checksum = header.reduce((total, b) => total + b, 0);
+  write(148, 8, checksum.toString(8).padStart(6, '0') + '\0 ');
+
+  return header;
+};
+
+/*
+ * Creates a pax record with the length prefix, ie. '20 path=foo/bar.txt\n'
+ */
+const createPaxRecord = (key, value) => {
+  const record = ` ${key}=${value}\n`;
+  const length = new TextEncoder().encode(record).length;
+  let total = length + String(length).length;
+
+  if (String(total).length !== String(length).length) {
+    total = length + String(total).length;
+  }
+
+  return `${total}${record}`;
+};
+
+/**
+ * Creates a tar archive
+ * @param {Object[]} files Files
+ * @param {String} files[].name Path inside archive (directories ends with '/')
+ * @param {ArrayBuffer} [files[].data] File contents
+ * @param {Date} [files[].mtime] Modification time
+ * @return {ArrayBuffer}
+ */
+export const createTar = files => {
+  const encoder = new TextEncoder();
+  const blocks = [];
+
+  files.forEach(file => {
+    const isDirectory = file.name.substr(-1) === '/';
+    const data = new Uint8Array(isDirectory ? new ArrayBuffer(0) : file.data || new ArrayBuffer(0));
+    const mtime = file.mtime || new Date();
+
+    // Names that does not fit in the header are stored in a pax extended header
+    if (encoder.encode(file.name).length > 100) {
+      const pax = encoder.encode(createPaxRecord('path', file.name));
+      blocks.push(createHeader('PaxHeader', pax.length, mtime, 'x'));
+      blocks.push(pax, new Uint8Array(padded(pax.length) - pax.length));
+    }
+
+    blocks.push(createHeader(file.name, data.length, mtime, isDirectory ? '5' : '0'));
+    blocks.push(data, new Uint8Array(padded(data.length) - data.length));
+  });
+
+  blocks.push(new Uint8Array(BLOCK_SIZE * 2));
+
+  const result = new Uint8Array(blocks.reduce((total, b) => total + b.length, 0));
+  blocks.reduce((offset, b) => {
+    result.set(b, offset);
+    return offset + b.length;
+  }, 0);
+
+  return result.buffer;
+};
+
+/**
+ * Compresses data with gzip
+ * @param {ArrayBuffer} ab Data
+ * @return {Promise<ArrayBuffer, Error>}
+ */
+export const gzip = ab =>
+  transform(new window.CompressionStream('gzip'), ab);
+
+/**
+ * Decompresses gzip data
+ * @param {ArrayBuffer} ab Data
+ * @return {Promise<ArrayBuffer, Error>}
+ */
+export const gunzip = ab =>
+  transform(new window.DecompressionStream('gzip'), ab);
@@ -214,14 +214,59 @@ export const transformReaddir = ({path}, files, options = {}) => {
 };
 
 /**
- * Transform an ArrayBuffer
+ * Checks if a byte range was given in readfile options
+ * @param {Object} [options] Options
+ * @param {Number} [options.start] Start byte offset
+ * @param {Number} [options.end] End byte offset (inclusive)
+ * @return {Boolean}
+ */
+export const hasRange = (options = {}) =>
+  typeof options.start === 'number' || typeof options.end === 'number';
+
+/**
+ * Gets a byte range from an ArrayBuffer
  * @param {ArrayBuffer} ab The ArrayBuffer
+ * @param {Object} [options] Options
+ * @param {Number} [options.start=0] Start byte offset
+ * @param {Number} [options.end] End byte offset (inclusive)
+ * @return {ArrayBuffer}
+ */
+export const sliceArrayBuffer = (ab, options = {}) => {
+  if (!hasRange(options)) {
+    return ab;
+  }
+
+  const start = options.start || 0;
+  const end = typeof options.end === 'number'
+    ? options.end + 1
+    : ab.byteLength;
+
+  return ab.slice(start, end);
+};
+
+/**
+ * Transform an ArrayBuffer
+ *
+ * @desc If given a stream, it is returned as-is for the 'stream'
+ * type, otherwise read fully before transforming.
+ * @param {ArrayBuffer|ReadableStream} ab The ArrayBuffer
  * @param {String} mime The MIME type
  * @param {String} type Transform to this type
- * @return {DOMString|String|Blob|ArrayBuffer}
+ * @return {DOMString|String|Blob|ArrayBuffer|ReadableStream}
  */
 export const transformArrayBuffer = (ab, mime, type) => {
-  if (type === 'string') {
+  const isStream = !!window.ReadableStream && ab instanceof window.ReadableStream;
+
+  if (isStream) {
+    return type === 'stream'
+      ? Promise.resolve(ab)
+      : new Response(ab).arrayBuffer()
+        .then(result => transformArrayBuffer(result, mime, type));
+  }
+
+  if (type === 'stream') {
+    return Promise.resolve(new Blob([ab], {type: mime}).stream());
+  } else if (type === 'string') {
     return createFileReader('readAsText', ab, mime);
   } else if (type === 'uri') {
     return createFileReader('readAsDataURL', ab, mime);
@@ -272,3 +317,267 @@ export const createFileIter = stat => Object.assign({
   id: null,
   parent_id: null
 }, stat);
+
+/**
+ * Gets the filename of a path
+ * @param {String} path The path
+ * @return {String}
+ */
+export const basename = path => path
+  .replace(/\/+$/, '')
+  .split('/')
+  .pop();
+
+/*
+ * Common MIME types by file extension
+ */
+const mimeTypes = {
+  txt: 'text/plain',
+  md: 'text/markdown',
+  html: 'text/html',
+  htm: 'text/html',
+  css: 'text/css',
+  csv: 'text/csv',
+  xml: 'application/xml',
+  js: 'application/javascript',
+  json: 'application/json',
+  py: 'application/x-python',
+  php: 'application/php',
+  pdf: 'application/pdf',
+  zip: 'application/zip',
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  gif: 'image/gif',
+  svg: 'image/svg+xml',
+  webp: 'image/webp',
+  mp3: 'audio/mpeg',
+  ogg: 'audio/ogg',
+  wav: 'audio/wav',
+  mp4: 'video/mp4',
+  webm: 'video/webm'
+};
+
+/**
+ * Gets the MIME type from a filename
+ * @param {String} filename The filename
+ * @param {String} [fallback] Use this if unknown
+ * @return {String}
+ */
+export const getMimeType = (filename, fallback = 'application/octet-stream') => {
+  const match = String(filename).match(/\.([^./]+)$/);
+  const ext = match ? match[1].toLowerCase() : null;
+
+  return mimeTypes[ext] || fallback;
+};
+
+/**
+ * Creates a function that matches filenames against a search pattern
+ *
+ * @desc Supports '*' and '?' wildcards. Patterns without wildcards match
+ * any part of the filename. Matching is case insensitive.
+ * @param {String} pattern Search pattern
+ * @return {Function}
+ */
+export const createSearchMatcher = pattern => {
+  const str = String(pattern);
+  const escaped = str
+    .replace(/[-[\]{}()+.,\\^$|#\s]/g, '\\$&')
+    .replace(/\*/g, '.*')
+    .replace(/\?/g, '.');
+
+  const re = /[*?]/.test(str)
+    ? new RegExp(`^${escaped}$`, 'i')
+    : new RegExp(escaped, 'i');
+
+  return filename => re.test(filename);
+};
+
+/**
+ * Creates the same kind of error as an aborted fetch()
+ * @return {Error}
+ */
+export const createAbortError = () =>
+  Object.assign(new Error('The operation was aborted'), {name: 'AbortError'});
+
+/**
+ * Gets the path inside the mountpoint, ie. 'home:/foo/' => '/foo'
+ * @param {String} path The path
+ * @return {String}
+ */
+export const toKey = path => ('/' + String(path).replace(/^[^:/]+:/, ''))
+  .replace(/\/+/g, '/')
+  .replace(/(.)\/$/, '$1');
+
+/**
+ * Gets the parent of a path inside the mountpoint
+ * @param {String} key The path inside the mountpoint
+ * @return {String}
+ */
+export const parentKey = key => key.replace(/\/[^/]*$/, '') || '/';
+
+/**
+ * Checks if a path is given root or below it
+ * @param {String} root The root path
+ * @param {String} path The path
+ * @return {Boolean}
+ */
+export const isWithin = (root, path) => path === root ||
+  path.indexOf(root.substr(-1) === '/' ? root : `${root}/`) === 0;
+
+/**
+ * Converts data to an ArrayBuffer
+ * @param {ArrayBuffer|Blob|String} data The data
+ * @return {Promise<ArrayBuffer, Error>}
+ */
+export const toArrayBuffer = data => data instanceof ArrayBuffer
+  ? Promise.resolve(data)
+  : new Response(data).arrayBuffer();
+
+/**
+ * Creates a stat object for adapters
+ * @param {Mountpoint} mount The mountpoint
+ * @param {String} key The path inside the mountpoint
+ * @param {Object} props Properties
+ * @param {Boolean} props.isDirectory If this is a directory
+ * @param {String} [props.mime] MIME type (detected from filename if not set)
+ * @param {Number} [props.size] Size in bytes
+ * @param {String} [props.ctime] Creation time
+ * @param {String} [props.mtime] Modification time
+ * @return {Object}
+ */
+export const createStat = (mount, key, props) => ({
+  isDirectory: props.isDirectory,
+  isFile: !props.isDirectory,
+  mime: props.isDirectory ? null : props.mime || getMimeType(key),
+  size: props.size || 0,
+  filename: basename(key) || '/',
+  path: `${mount.name}:${key}`,
+  stat: {
+    size: props.size || 0,
+    ctime: props.ctime || null,
+    mtime: props.mtime || null
+  }
+});
+
+/**
+ * Creates an unique ID (ie. for uploads)
+ * @return {String}
+ */
+export const createUploadId = () => Date.now().toString(36) +
+  Math.random().toString(36).substr(2);
+
+/**
+ * Checks if a failed request is worth retrying, ie. a network failure,
+ * a timeout, rate limiting or a server error
+ * @param {Error} error The error
+ * @return {Boolean}
+ */
+export const isTransientError = error => {
+  const status = error ? error.status : undefined;
+
+  if (typeof status === 'number') {
+    return status === 408 || status === 429 || status >= 500;
+  }
+
+  // fetch() rejects with a TypeError if the request could not be made
+  return error instanceof TypeError;
+};
+
+/**
+ * Creates the progress reporting and retry handling of an upload.
+ * Requests that failed because of the network or the server are retried
+ * with an exponential backoff according to the `vfs.upload` configuration.
+ * @param {Core} core Core reference
+ * @param {String} path The path of the file
+ * @param {Number} total Size in bytes
+ * @param {Object} [options] Upload options
+ * @param {Function} [options.onProgress] Progress callback
+ * @param {AbortSignal} [options.signal] Abort signal
+ * @return {Object} An object with `id`, `progress`, `checkAborted`, `retry` and `run`
+ */
+export const createUpload = (core, path, total, options = {}) => {
+  const _ = core.make('osjs/locale').translate;
+  const {retries, retryDelay} = Object.assign({
+    retries: 5,
+    retryDelay: 1000
+  }, core.config('vfs.upload', {}));
+
+  const {onProgress, signal} = options;
+  const id = createUploadId();
+
+  const progress = (loaded, done, error) => {
+    const ev = {id, path, loaded, total, done, error: error ? error.message : null};
+
+    if (typeof onProgress === 'function') {
+      onProgress(ev);
+    }
+
+    core.emit('osjs/vfs:upload:progress', ev);
+  };
+
+  const checkAborted = () => {
+    if (signal && signal.aborted) {
+      throw new Error(_('ERR_VFS_UPLOAD_ABORTED', path));
+    }
+  };
+
+  // Calls the function until it resolves or the retries run out.
+  // Requests that cannot safely be sent again pass `enabled` as false.
+  const retry = (fn, enabled = true) => {
+    const attempt = n => Promise.resolve()
+      .then(() => {
+        checkAborted();
+        return fn();
+      })
+      .catch(error => {
+        checkAborted();
+
+        if (!enabled || n >= retries || !isTransientError(error)) {
+          throw error;
+        }
+
+        const delay = retryDelay * Math.pow(2, n);
+        console.warn(`Upload of '${path}' failed, retrying in ${delay}ms`, error);
+
+        return new Promise(resolve => setTimeout(resolve, delay))
+          .then(() => attempt(n + 1));
+      });
+
+    return attempt(0);
+  };
+
+  // Runs the upload and reports the start, end or failure
+  const run = fn => {
+    progress(0, false);
+
+    return Promise.resolve()
+      .then(fn)
+      .then(result => {
+        progress(total, true);
+        return result;
+      })
+      .catch(error => {
+        progress(0, true, error);
+        throw error;
+      });
+  };
+
+  return {id, progress, checkAborted, retry, run};
+};
+
+/**
+ * Creates an alternative path for a file that already exists,
+ * ie. 'home:/file.txt' => 'home:/file (1).txt'
+ * @param {String} path The path
+ * @param {Number} index The number to add
+ * @return {String}
+ */
+export const createAlternativePath = (path, index) => {
+  const filename = basename(path);
+  const parent = path.substr(0, path.length - filename.length);
+  const match = filename.match(/^(.+?)(\.[^.]+)?$/);
+  const [name, ext] = [match[1], match[2] || ''];
+
+  return `${parent}${name} (${index})${ext}`;
+};
@@ -0,0 +1,275 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+/*
+ * Zip archive reading and writing.
+ *
+ * Uses the browser CompressionStream API for deflate, so no external
+ * libraries are required. Zip64 and encryption is not supported.
+ */
+
+const SIGNATURE_LOCAL = 0x04034b50;
+const SIGNATURE_CENTRAL = 0x02014b50;
+const SIGNATURE_END = 0x06054b50;
+const FLAG_UTF8 = 0x0800;
+
+let crcTable = null;
+
+/*
+ * Calculates CRC32 of given data
+ */
+const crc32 = bytes => {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+
+  return (crc ^ 0xffffffff) >>> 0;
+};
+
+/*
+ * Runs data through a (de)compression stream
+ */
+const transform = (stream, data) => new Response(
+  new Blob([data]).stream().pipeThrough(stream)
+).arrayBuffer();
+
+/*
+ * Converts DOS date and time to a Date
+ */
+const fromDosDateTime = (date, time) => new Date(
+  ((date >> 9) & 0x7f) + 1980,
+  ((date >> 5) & 0x0f) - 1,
+  date & 0x1f,
+  (time >> 11) & 0x1f,
+  (time >> 5) & 0x3f,
+  (time & 0x1f) * 2
+);
+
+/*
+ * Converts a Date to DOS date and time
+ */
+const toDosDateTime = d => ({
+  date: ((Math.max(d.getFullYear(), 1980) - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate(),
+  time: (d.getHours() << 11) | (d.getMinutes() << 5) | Math.floor(d.getSeconds() / 2)
+});
+
+/**
+ * A zip entry
+ * @property {String} name Path inside archive
+ * @property {Boolean} isDirectory If a directory
+ * @property {Number} size Uncompressed size
+ * @property {Number} compressedSize Compressed size
+ * @property {Number} method Compression method
+ * @property {Number} offset Offset of local header
+ * @property {Date} mtime Modification time
+ * @typedef ZipEntry
+ */
+
+/**
+ * Reads the list of entries in a zip archive
+ * @param {ArrayBuffer} ab The archive
+ * @throws {Error} On invalid archives
+ * @return {ZipEntry[]}
+ */
+export const readZip = ab => {
+  const view = new DataView(ab);
+  const decoder = new TextDecoder('utf-8');
+
+  // The end of central directory record is at the end, followed by a comment
+  let end = -1;
+  for (let i = ab.byteLength - 22; i >= Math.max(0, ab.byteLength - 65557); i--) {
+    if (view.getUint32(i, true) === SIGNATURE_END) {
+      end = i;
+      break;
+    }
+  }
+
+  if (end === -1) {
+    throw new Error('Invalid zip archive');
+  }
+
+  const count = view.getUint16(end + 10, true);
+  const entries = [];
+  let offset = view.getUint32(end + 16, true);
+
+  for (let i = 0; i < count; i++) {
+    if (view.getUint32(offset, true) !== SIGNATURE_CENTRAL) {
+      throw new Error('Invalid zip central directory');
+    }
+
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const name = decoder.decode(new Uint8Array(ab, offset + 46, nameLength));
+
+    entries.push({
+      name,
+      isDirectory: name.substr(-1) === '/',
+      method: view.getUint16(offset + 10, true),
+      mtime: fromDosDateTime(view.getUint16(offset + 14, true), view.getUint16(offset + 12, true)),
+      crc: view.getUint32(offset + 16, true),
+      compressedSize: view.getUint32(offset + 20, true),
+      size: view.getUint32(offset + 24, true),
+      offset: view.getUint32(offset + 42, true)
+    });
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Extracts the data of an entry
+ * @param {ArrayBuffer} ab The archive
+ * @param {ZipEntry} entry The entry
+ * @return {Promise<ArrayBuffer, Error>}
+ */
+export const extractZipEntry = (ab, entry) => {
+  const view = new DataView(ab);
+  if (view.getUint32(entry.offset, true) !== SIGNATURE_LOCAL) {
+    return Promise.reject(new Error(`Invalid zip entry '${entry.name}'`));
+  }
+
+  const nameLength = view.getUint16(entry.offset + 26, true);
+  const extraLength = view.getUint16(entry.offset + 28, true);
+  const start = entry.offset + 30 + nameLength + extraLength;
+  const data = ab.slice(start, start + entry.compressedSize);
+
+  if (entry.method === 0) {
+    return Promise.resolve(data);
+  } else if (entry.method === 8) {
+    return transform(new window.DecompressionStream('deflate-raw'), data);
+  }
+
+  return Promise.reject(new Error(`Unsupported compression in '${entry.name}'`));
+};
+
+/**
+ * Creates a zip archive
+ * @param {Object[]} files Files
+ * @param {String} files[].name Path inside archive (directories ends with '/')
+ * @param {ArrayBuffer} [files[].data] File contents
+ * @param {Date} [files[].mtime] Modification time
+ * @param {Object} [options] Options
+ * @param {Boolean} [options.compress=true] Use deflate compression
+ * @return {Promise<ArrayBuffer, Error>}
+ */
+export const createZip = (files, options = {}) => {
+  const encoder = new TextEncoder();
+  const compress = options.compress !== false && !!window.CompressionStream;
+
+  const prepare = file => {
+    const data = new Uint8Array(file.data || new ArrayBuffer(0));
+    const isDirectory = file.name.substr(-1) === '/';
+    const deflate = compress && !isDirectory && data.length > 0;
+
+    return (deflate ? transform(new window.CompressionStream('deflate-raw'), data) : Promise.resolve(data.buffer))
+      .then(compressed => ({
+        name: encoder.encode(file.name),
+        mtime: toDosDateTime(file.mtime || new Date()),
+        crc: crc32(data),
+        size: data.length,
+        method: deflate ? 8 : 0,
+        data: new Uint8Array(compressed)
+      }));
+  };
+
+  return Promise.all(files.map(prepare))
+    .then(entries => {
+      const localSize = entries.reduce((total, e) => total + 30 + e.name.length + e.data.length, 0);
+      const centralSize = entries.reduce((total, e) => total + 46 + e.name.length, 0);
+      const result = new ArrayBuffer(localSize + centralSize + 22);
+      const view = new DataView(result);
+      const bytes = new Uint8Array(result);
+
+      const writeHeader = (offset, e, central, localOffset) => {
+        const base = central ? 46 : 30;
+        const o = central ? 2 : 0;
+
+        view.setUint32(offset, central ? SIGNATURE_CENTRAL : SIGNATURE_LOCAL, true);
+        if (central) {
+          view.setUint16(offset + 4, 20, true);
+        }
+        view.setUint16(offset + 4 + o, 20, true);
+        view.setUint16(offset + 6 + o, FLAG_UTF8, true);
+        view.setUint16(offset + 8 + o, e.method, true);
+        view.setUint16(offset + 10 + o, e.mtime.time, true);
+        view.setUint16(offset + 12 + o, e.mtime.date, true);
+        view.setUint32(offset + 14 + o, e.crc, true);
+        view.setUint32(offset + 18 + o, e.data.length, true);
+        view.setUint32(offset + 22 + o, e.size, true);
+        view.setUint16(offset + 26 + o, e.name.length, true);
+
+        if (central) {
+          view.setUint32(offset + 42, localOffset, true);
+        }
+
+        bytes.set(e.name, offset + base);
+
+        return offset + base + e.name.length;
+      };
+
+      let offset = 0;
+      const offsets = entries.map(e => {
+        const localOffset = offset;
+        offset = writeHeader(offset, e, false);
+        bytes.set(e.data, offset);
+        offset += e.data.length;
+
+        return localOffset;
+      });
+
+      const centralOffset = offset;
+      entries.forEach((e, i) => {
+        offset = writeHeader(offset, e, true, offsets[i]);
+      });
+
+      view.setUint32(offset, SIGNATURE_END, true);
+      view.setUint16(offset + 8, entries.length, true);
+      view.setUint16(offset + 10, entries.length, true);
+      view.setUint32(offset + 12, centralSize, true);
+      view.setUint32(offset + 16, centralOffset, true);
+
+      return result;
+    });
+};
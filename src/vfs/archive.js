@@ -0,0 +1,434 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import {basename, getMimeType, createSearchMatcher, sliceArrayBuffer, toKey, parentKey, isWithin, toArrayBuffer, createStat} from '../utils/vfs';
+import {readZip, extractZipEntry, createZip} from '../utils/zip';
+
+/*
+ * Creates a new entry
+ */
+const createEntry = (path, isDirectory, attributes = {}) => Object.assign({
+  path,
+  isDirectory,
+  mime: isDirectory ? null : getMimeType(path),
+  size: 0,
+  mtime: new Date().toISOString(),
+  zip: null,
+  body: null,
+  url: null
+}, attributes);
+
+/*
+ * Creates the index of entries from a zip file.
+ * Not all archivers adds entries for directories, so these are created
+ * from the file paths.
+ */
+const createIndex = ab => readZip(ab)
+  .reduce((index, zip) => {
+    const key = toKey(zip.name.replace(/^\.?\/+/, ''));
+    const mtime = zip.mtime.toISOString();
+
+    for (let parent = parentKey(key); !index[parent]; parent = parentKey(parent)) {
+      index[parent] = createEntry(parent, true, {mtime});
+    }
+
+    if (key !== '/') {
+      index[key] = createEntry(key, zip.isDirectory, {
+        size: zip.isDirectory ? 0 : zip.size,
+        mtime,
+        zip: zip.isDirectory ? null : zip
+      });
+    }
+
+    return index;
+  }, {'/': createEntry('/', true)});
+
+/**
+ * Archive VFS Adapter
+ *
+ * @desc Mounts the contents of a zip file located on another mountpoint,
+ * given by the `source` mountpoint property. Changes are written back
+ * to the source file unless the mountpoint is read-only.
+ *
+ * @example
+ * core.make('osjs/fs').mount({adapter: 'archive', source: 'home:/foo.zip'});
+ */
+const adapter = (core) => {
+  const archives = {};
+  const _ = (...args) => core.make('osjs/locale').translate(...args);
+  const vfs = () => core.make('osjs/vfs');
+
+  const revoke = entry => {
+    if (entry.url) {
+      window.URL.revokeObjectURL(entry.url);
+      entry.url = null;
+    }
+  };
+
+  const clear = name => {
+    if (archives[name]) {
+      const {entries} = archives[name];
+      Object.keys(entries).forEach(key => revoke(entries[key]));
+      delete archives[name];
+    }
+  };
+
+  core.on('osjs/core:destroy', () => Object.keys(archives).forEach(clear));
+
+  // Makes sure exceptions from synchronous code becomes rejections
+  const run = fn => new Promise(resolve => resolve(fn()));
+
+  const load = (mount, data) => {
+    let entries;
+
+    try {
+      entries = createIndex(data);
+    } catch (e) {
+      console.warn(e);
+      throw new Error(_('ERR_VFS_ARCHIVE_INVALID', mount.source));
+    }
+
+    clear(mount.name);
+    archives[mount.name] = {data, entries, queue: Promise.resolve(true)};
+  };
+
+  // Points the entries to the new archive data after saving
+  const update = (mount, data) => {
+    const archive = archives[mount.name];
+    const index = createIndex(data);
+
+    Object.keys(archive.entries).forEach(key => {
+      const found = index[key];
+      if (found && found.zip) {
+        Object.assign(archive.entries[key], {zip: found.zip, body: null});
+      }
+    });
+
+    archive.data = data;
+  };
+
+  const fs = mount => {
+    if (!archives[mount.name]) {
+      throw new Error(_('ERR_VFS_MOUNT_NOT_MOUNTED', mount.name));
+    }
+
+    return archives[mount.name].entries;
+  };
+
+  const entries = mount => {
+    const files = fs(mount);
+    return Object.keys(files).map(key => files[key]);
+  };
+
+  const find = (mount, key) => {
+    const entry = fs(mount)[key];
+    if (!entry) {
+      throw new Error(_('ERR_VFS_NOT_FOUND', `${mount.name}:${key}`));
+    }
+
+    return entry;
+  };
+
+  const findDirectory = (mount, key) => {
+    const entry = find(mount, key);
+    if (!entry.isDirectory) {
+      throw new Error(_('ERR_VFS_NOT_DIRECTORY', `${mount.name}:${key}`));
+    }
+
+    return entry;
+  };
+
+  const findFile = (mount, key) => {
+    const entry = find(mount, key);
+    if (entry.isDirectory) {
+      throw new Error(_('ERR_VFS_IS_DIRECTORY', `${mount.name}:${key}`));
+    }
+
+    return entry;
+  };
+
+  const assertNotExists = (mount, key) => {
+    if (fs(mount)[key]) {
+      throw new Error(_('ERR_VFS_EXISTS', `${mount.name}:${key}`));
+    }
+  };
+
+  const assertWritable = mount => {
+    if (mount.attributes && mount.attributes.readOnly) {
+      throw new Error(_('ERR_VFS_MOUNT_READONLY', mount.name));
+    }
+  };
+
+  // Gets the contents of a file, either modified or from the archive
+  const contents = (mount, entry) => {
+    if (entry.body) {
+      return Promise.resolve(entry.body);
+    } else if (entry.zip) {
+      return extractZipEntry(archives[mount.name].data, entry.zip);
+    }
+
+    return Promise.resolve(new ArrayBuffer(0));
+  };
+
+  // Rebuilds the archive and writes it back to the source
+  const save = mount => Promise.all(entries(mount)
+    .filter(entry => entry.path !== '/')
+    .sort((a, b) => a.path.localeCompare(b.path))
+    .map(entry => contents(mount, entry)
+      .then(data => ({
+        name: entry.path.substr(1) + (entry.isDirectory ? '/' : ''),
+        data: entry.isDirectory ? null : data,
+        mtime: new Date(entry.mtime)
+      }))))
+    .then(files => createZip(files))
+    .then(data => vfs().writefile(mount.source, data)
+      .then(() => update(mount, data)))
+    .then(() => true);
+
+  // Changes and saves are done one after another so that none are lost,
+  // and are rolled back if the archive could not be written
+  const modify = (mount, fn) => {
+    const archive = archives[mount.name];
+    if (!archive) {
+      return run(() => fs(mount));
+    }
+
+    const result = archive.queue
+      .catch(() => false)
+      .then(() => {
+        assertWritable(mount);
+
+        const snapshot = Object.keys(archive.entries)
+          .reduce((result, key) => Object.assign(result, {
+            [key]: Object.assign({}, archive.entries[key], {url: null})
+          }), {});
+
+        const rollback = error => {
+          Object.keys(archive.entries).forEach(key => revoke(archive.entries[key]));
+          archive.entries = snapshot;
+          throw error;
+        };
+
+        return run(fn)
+          .then(value => save(mount)
+            .then(() => value)
+            .catch(rollback));
+      });
+
+    archive.queue = result;
+
+    return result;
+  };
+
+  const remove = (mount, key) => {
+    find(mount, key);
+
+    entries(mount)
+      .filter(entry => entry.path !== '/' && isWithin(key, entry.path))
+      .forEach(entry => {
+        revoke(entry);
+        delete fs(mount)[entry.path];
+      });
+
+    return true;
+  };
+
+  const copy = (mount, from, to) => {
+    if (to === from || isWithin(from, to)) {
+      throw new Error(_('ERR_VFS_INVALID_DESTINATION', `${mount.name}:${to}`));
+    }
+
+    find(mount, from);
+    findDirectory(mount, parentKey(to));
+    assertNotExists(mount, to);
+
+    entries(mount)
+      .filter(entry => isWithin(from, entry.path))
+      .forEach(entry => {
+        const key = to + entry.path.substr(from.length);
+
+        fs(mount)[key] = Object.assign({}, entry, {
+          path: key,
+          mime: entry.isDirectory ? null : getMimeType(key, entry.mime),
+          mtime: new Date().toISOString(),
+          url: null
+        });
+      });
+
+    return true;
+  };
+
+  const write = (mount, key, body, type) => {
+    findDirectory(mount, parentKey(key));
+
+    const existing = fs(mount)[key];
+    if (existing && existing.isDirectory) {
+      throw new Error(_('ERR_VFS_IS_DIRECTORY', `${mount.name}:${key}`));
+    }
+
+    if (existing) {
+      revoke(existing);
+    }
+
+    fs(mount)[key] = Object.assign(existing || createEntry(key, false), {
+      mime: type || getMimeType(key),
+      size: body.byteLength,
+      mtime: new Date().toISOString(),
+      zip: null,
+      body
+    });
+
+    return body.byteLength;
+  };
+
+  return {
+    readdir: ({path}, options, mount) => run(() => {
+      const key = toKey(path);
+      findDirectory(mount, key);
+
+      return entries(mount)
+        .filter(entry => entry.path !== '/' && parentKey(entry.path) === key)
+        .map(entry => createStat(mount, entry.path, entry));
+    }),
+
+    readfile: ({path}, type, options, mount) => run(() => {
+      const entry = findFile(mount, toKey(path));
+
+      return contents(mount, entry)
+        .then(body => ({
+          body: sliceArrayBuffer(body, options).slice(0),
+          mime: entry.mime
+        }));
+    }),
+
+    writefile: ({path}, data, options, mount) => toArrayBuffer(data)
+      .then(body => {
+        const type = data instanceof Blob && data.type !== 'application/octet-stream'
+          ? data.type
+          : null;
+
+        return modify(mount, () => write(mount, toKey(path), body, type));
+      }),
+
+    copy: (from, to, options, mount) => modify(mount, () =>
+      copy(mount, toKey(from.path), toKey(to.path))),
+
+    rename: (from, to, options, mount) => modify(mount, () => {
+      const fromKey = toKey(from.path);
+      copy(mount, fromKey, toKey(to.path));
+
+      return remove(mount, fromKey);
+    }),
+
+    mkdir: ({path}, options, mount) => modify(mount, () => {
+      const key = toKey(path);
+      findDirectory(mount, parentKey(key));
+      assertNotExists(mount, key);
+      fs(mount)[key] = createEntry(key, true);
+
+      return true;
+    }),
+
+    unlink: ({path}, options, mount) => modify(mount, () => {
+      const key = toKey(path);
+      if (key === '/') {
+        throw new Error(_('ERR_VFS_INVALID_DESTINATION', path));
+      }
+
+      return remove(mount, key);
+    }),
+
+    exists: ({path}, options, mount) => run(() =>
+      !!fs(mount)[toKey(path)]),
+
+    stat: ({path}, options, mount) => run(() => {
+      const key = toKey(path);
+      return createStat(mount, key, find(mount, key));
+    }),
+
+    url: ({path}, options, mount) => run(() => {
+      const entry = findFile(mount, toKey(path));
+      if (entry.url) {
+        return entry.url;
+      }
+
+      return contents(mount, entry)
+        .then(body => {
+          const blob = new Blob([body], {type: entry.mime});
+          entry.url = window.URL.createObjectURL(blob);
+
+          return entry.url;
+        });
+    }),
+
+    search: ({path}, pattern, options, mount) => run(() => {
+      const key = toKey(path);
+      const matches = createSearchMatcher(pattern);
+      findDirectory(mount, key);
+
+      return entries(mount)
+        .filter(entry => entry.path !== key && isWithin(key, entry.path))
+        .filter(entry => matches(basename(entry.path)))
+        .map(entry => createStat(mount, entry.path, entry));
+    }),
+
+    touch: ({path}, options, mount) => modify(mount, () => {
+      const key = toKey(path);
+      const entry = fs(mount)[key];
+
+      if (entry) {
+        entry.mtime = new Date().toISOString();
+        return true;
+      }
+
+      write(mount, key, new ArrayBuffer(0));
+      return true;
+    }),
+
+    mount: (options, mount) => run(() => {
+      if (!mount.source) {
+        throw new Error(_('ERR_VFS_ARCHIVE_INVALID', mount.name));
+      }
+
+      return vfs().readfile(mount.source, 'arraybuffer')
+        .then(data => load(mount, data))
+        .then(() => true);
+    }),
+
+    unmount: (options, mount) => run(() => {
+      const archive = archives[mount.name];
+
+      return (archive ? archive.queue.catch(() => false) : Promise.resolve())
+        .then(() => clear(mount.name))
+        .then(() => true);
+    })
+  };
+};
+
+export default adapter;
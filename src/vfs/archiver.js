@@ -0,0 +1,366 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import * as VFS from './methods';
+import Transfer from './transfer';
+import {pathJoin, basename, toKey, createAlternativePath} from '../utils/vfs';
+import {readZip, extractZipEntry, createZip} from '../utils/zip';
+import {readTar, extractTarEntry, createTar, gzip, gunzip} from '../utils/tar';
+
+/*
+ * Gets path from a file object or string
+ */
+const getPath = file => typeof file === 'string' ? file : file.path;
+
+/*
+ * Gets the archive format from a filename
+ */
+const getFormatFromPath = path => {
+  if (/\.(tar\.gz|tgz)$/i.test(path)) {
+    return 'tar.gz';
+  } else if (/\.tar$/i.test(path)) {
+    return 'tar';
+  }
+
+  return 'zip';
+};
+
+/*
+ * Gets the archive format from the contents
+ */
+const getFormatFromData = ab => {
+  const bytes = new Uint8Array(ab, 0, Math.min(ab.byteLength, 262));
+  const magic = String.fromCharCode(...bytes.subarray(257, 262));
+
+  if (bytes[0] === 0x50 && bytes[1] === 0x4b) {
+    return 'zip';
+  } else if (bytes[0] === 0x1f && bytes[1] === 0x8b) {
+    return 'tar.gz';
+  } else if (magic === 'ustar') {
+    return 'tar';
+  }
+
+  return null;
+};
+
+/*
+ * Creates a reader for the entries of an archive
+ */
+const createReader = (ab, format) => {
+  if (format === 'zip') {
+    return Promise.resolve({
+      entries: readZip(ab),
+      read: entry => extractZipEntry(ab, entry)
+    });
+  } else if (format === 'tar.gz') {
+    return gunzip(ab)
+      .then(data => createReader(data, 'tar'));
+  }
+
+  return Promise.resolve({
+    entries: readTar(ab),
+    read: entry => extractTarEntry(ab, entry)
+  });
+};
+
+/*
+ * Creates an archive from a list of files
+ */
+const createArchive = (files, format) => {
+  if (format === 'zip') {
+    return createZip(files);
+  } else if (format === 'tar.gz') {
+    return gzip(createTar(files));
+  }
+
+  return Promise.resolve(createTar(files));
+};
+
+/*
+ * Normalizes a path inside an archive. Returns null for paths that
+ * would end up outside the destination.
+ */
+const normalizeEntryName = name => {
+  const parts = name.split('/')
+    .filter(str => str !== '' && str !== '.');
+
+  return parts.length === 0 || parts.indexOf('..') !== -1
+    ? null
+    : parts.join('/');
+};
+
+/**
+ * Archiver
+ *
+ * @desc Creates and extracts zip, tar and tar.gz archives across
+ * mountpoints. Progress, conflict handling and cancellation works the same
+ * way as in `Transfer`, but progress is emitted as 'osjs/vfs:archive:progress'.
+ */
+export default class Archiver extends Transfer {
+
+  /**
+   * Creates a new archiver
+   * @param {Core} core Core reference
+   * @param {Object} [options] Options
+   * @param {Function} [options.onProgress] Progress callback with `TransferProgress`
+   * @param {Function} [options.onConflict] Conflict callback with `TransferConflict`
+   * @param {AbortSignal} [options.signal] Cancel with an AbortController
+   */
+  constructor(core, options = {}) {
+    super(core, options);
+
+    this.progressEvent = 'osjs/vfs:archive:progress';
+
+    /**
+     * Reader for the archive that is being extracted
+     * @type {Object}
+     */
+    this.reader = null;
+  }
+
+  /**
+   * Creates the list of items to extract, or to transfer
+   */
+  _walk(src, dest) {
+    if (!this.reader) {
+      return super._walk(src, dest);
+    }
+
+    const items = {};
+    const add = (name, attributes) => {
+      items[name] = Object.assign({
+        source: `${src.path}/${name}`,
+        destination: pathJoin(dest.path.replace(/\/$/, ''), name),
+        isDirectory: true,
+        size: 0,
+        entry: null
+      }, attributes);
+    };
+
+    this.reader.entries.forEach(entry => {
+      const name = normalizeEntryName(entry.name);
+      if (name === null) {
+        console.warn('Ignored archive entry outside destination', entry.name);
+        return;
+      }
+
+      // Not all archives contains entries for parent directories
+      const parts = name.split('/');
+      parts.slice(0, -1).forEach((p, i) => {
+        const parent = parts.slice(0, i + 1).join('/');
+        if (!items[parent]) {
+          add(parent, {});
+        }
+      });
+
+      add(name, entry.isDirectory ? {} : {
+        isDirectory: false,
+        size: entry.size,
+        entry
+      });
+    });
+
+    // Parent directories are sorted before their contents
+    return Promise.resolve(Object.keys(items)
+      .sort()
+      .map(name => items[name]));
+  }
+
+  /**
+   * Reads the contents of a source file
+   */
+  _read(src, item) {
+    return this.reader
+      ? this.reader.read(item.entry)
+      : super._read(src, item);
+  }
+
+  /**
+   * Creates an archive
+   * @desc Sources with the same name are added as "name (1)" etc.
+   * @param {Object[]} sources Files and directories to add
+   * @param {Object} sources[].adapter Source adapter
+   * @param {Mountpoint} sources[].mount Source mountpoint
+   * @param {Object|String} sources[].path Source path
+   * @param {Object} dest Destination archive
+   * @param {Object} dest.adapter Destination adapter
+   * @param {Mountpoint} dest.mount Destination mountpoint
+   * @param {Object|String} dest.path Destination path
+   * @param {String} [format] Archive format 'zip', 'tar' or 'tar.gz' (default from filename)
+   * @return {Promise<Object, Error>} Path of the created archive (null if skipped) and number of files
+   */
+  compress(sources, dest, format) {
+    const _ = this.core.make('osjs/locale').translate;
+
+    dest = Object.assign({}, dest, {path: getPath(dest.path)});
+    format = format || getFormatFromPath(dest.path);
+
+    if (['zip', 'tar', 'tar.gz'].indexOf(format) === -1) {
+      return Promise.reject(new Error(_('ERR_VFS_ARCHIVE_FORMAT', format)));
+    }
+
+    const names = [];
+
+    // Sources from different directories can have the same name
+    const uniqueName = (name, index = 0) => {
+      const candidate = index > 0 ? createAlternativePath(name, index) : name;
+      return names.indexOf(candidate) === -1
+        ? candidate
+        : uniqueName(name, index + 1);
+    };
+
+    const walk = (index, result) => {
+      if (index >= sources.length) {
+        return Promise.resolve(result);
+      }
+
+      const src = Object.assign({}, sources[index], {
+        path: getPath(sources[index].path).replace(/([^:/])\/+$/, '$1')
+      });
+
+      const name = uniqueName(basename(toKey(src.path)) || src.mount.name);
+      names.push(name);
+
+      return this._walk(src, {path: name})
+        .then(items => items.map(item => Object.assign({src}, item)))
+        .then(items => walk(index + 1, result.concat(items)));
+    };
+
+    const read = (items, index, result) => {
+      if (index >= items.length) {
+        return Promise.resolve(result);
+      }
+
+      this._checkCancelled();
+
+      const item = items[index];
+      const file = {
+        name: item.destination + (item.isDirectory ? '/' : ''),
+        mtime: item.mtime ? new Date(item.mtime) : new Date()
+      };
+
+      if (item.isDirectory) {
+        return read(items, index + 1, result.concat([file]));
+      }
+
+      this._report(item, 0);
+
+      return this._read(item.src, item)
+        .then(data => {
+          this.progress = Object.assign({}, this.progress, {
+            files: this.progress.files + 1
+          });
+
+          this._report(item, item.size);
+
+          return read(items, index + 1, result.concat([Object.assign(file, {data})]));
+        });
+    };
+
+    const destination = () => VFS.exists(dest.adapter, dest.mount)(dest.path)
+      .then(exists => exists
+        ? this._resolve({source: dest.path, destination: dest.path, isDirectory: false})
+        : 'create')
+      .then(action => {
+        if (action === 'skip') {
+          return null;
+        }
+
+        return action === 'rename'
+          ? this._alternative(dest, dest.path)
+          : dest.path;
+      });
+
+    return destination()
+      .then(path => {
+        if (path === null) {
+          return {path, files: 0};
+        }
+
+        return walk(0, [])
+          .then(items => {
+            const files = items.filter(item => !item.isDirectory);
+            this.progress.total = files.reduce((total, item) => total + item.size, 0);
+            this.progress.totalFiles = files.length;
+
+            return read(items, 0, []);
+          })
+          .then(files => createArchive(files, format))
+          .then(ab => {
+            this._checkCancelled();
+
+            return VFS.writefile(dest.adapter, dest.mount)(path, ab, {
+              signal: this.options.signal
+            });
+          })
+          .then(() => ({path, files: this.progress.files}));
+      });
+  }
+
+  /**
+   * Extracts an archive
+   * @param {Object} src Source archive
+   * @param {Object} src.adapter Source adapter
+   * @param {Mountpoint} src.mount Source mountpoint
+   * @param {Object|String} src.path Source path
+   * @param {Object} dest Destination directory (created if it does not exist)
+   * @param {Object} dest.adapter Destination adapter
+   * @param {Mountpoint} dest.mount Destination mountpoint
+   * @param {Object|String} dest.path Destination path
+   * @param {String} [format] Archive format 'zip', 'tar' or 'tar.gz' (default from contents)
+   * @return {Promise<Object, Error>} Number of extracted and skipped items
+   */
+  extract(src, dest, format) {
+    const _ = this.core.make('osjs/locale').translate;
+    const path = getPath(src.path);
+    const destination = getPath(dest.path);
+
+    return VFS.readfile(src.adapter, src.mount)(path, 'arraybuffer', {signal: this.options.signal})
+      .then(ab => {
+        const found = format || getFormatFromData(ab);
+        if (!found) {
+          throw new Error(_('ERR_VFS_ARCHIVE_INVALID', path));
+        }
+
+        return createReader(ab, found)
+          .catch(error => {
+            console.warn(error);
+            throw new Error(_('ERR_VFS_ARCHIVE_INVALID', path));
+          });
+      })
+      .then(reader => {
+        this.reader = reader;
+
+        return VFS.exists(dest.adapter, dest.mount)(destination);
+      })
+      .then(exists => exists || VFS.mkdir(dest.adapter, dest.mount)(destination))
+      .then(() => this.run(src, dest))
+      .then(({transferred, skipped}) => ({extracted: transferred, skipped}));
+  }
+}
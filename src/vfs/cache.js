@@ -0,0 +1,223 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import {parentDirectory, isWithin} from '../utils/vfs';
+
+const MUTATING_METHODS = ['writefile', 'mkdir', 'unlink', 'rename', 'copy', 'touch'];
+
+/*
+ * Normalizes a path for use as cache key
+ */
+const normalizePath = path => String(path)
+  .replace(/\/+/g, '/')
+  .replace(/\/+$/, '')
+  .replace(/:$/, ':/');
+
+/**
+ * VFS Metadata Cache
+ *
+ * @desc Caches `readdir`, `stat` and `exists` results per path. Entries
+ * are removed when they expire, or when a path or its parent is changed.
+ */
+export default class Cache {
+
+  /**
+   * Create cache
+   * @param {Core} core Core reference
+   * @param {Object} [options] Options
+   * @param {Number|Object} [options.ttl=10000] Time to live (ms), or a map of ttl per method
+   * @param {Number} [options.maxEntries=1000] Maximum number of entries
+   * @param {String[]} [options.methods] Methods to cache
+   */
+  constructor(core, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      ttl: 10000,
+      maxEntries: 1000,
+      methods: ['readdir', 'stat', 'exists']
+    }, options);
+
+    /**
+     * Cached entries
+     * @type {Map<String, Object>}
+     */
+    this.entries = {};
+  }
+
+  /**
+   * Destroys the cache
+   */
+  destroy() {
+    this.clear();
+  }
+
+  /**
+   * Removes all entries
+   */
+  clear() {
+    this.entries = {};
+  }
+
+  /**
+   * Gets the time to live for a method
+   * @param {String} method VFS method
+   * @return {Number}
+   */
+  ttl(method) {
+    const {ttl} = this.options;
+
+    return typeof ttl === 'number'
+      ? ttl
+      : (ttl[method] || 0);
+  }
+
+  /**
+   * Gets a cached value
+   * @param {String} method VFS method
+   * @param {String} path The path
+   * @return {*} Undefined if not found
+   */
+  get(method, path) {
+    const key = `${method}:${normalizePath(path)}`;
+    const found = this.entries[key];
+
+    if (found) {
+      if (found.expires > Date.now()) {
+        return found.value;
+      }
+
+      delete this.entries[key];
+    }
+
+    return undefined;
+  }
+
+  /**
+   * Sets a cached value
+   * @param {String} method VFS method
+   * @param {String} path The path
+   * @param {*} value The value
+   */
+  set(method, path, value) {
+    const ttl = this.ttl(method);
+    if (ttl <= 0) {
+      return;
+    }
+
+    const key = `${method}:${normalizePath(path)}`;
+    delete this.entries[key];
+
+    this.entries[key] = {
+      path: normalizePath(path),
+      value,
+      expires: Date.now() + ttl
+    };
+
+    // Removes the oldest entries
+    const keys = Object.keys(this.entries);
+    keys.slice(0, Math.max(0, keys.length - this.options.maxEntries))
+      .forEach(k => delete this.entries[k]);
+  }
+
+  /**
+   * Removes entries for a path, its parent directory and everything inside it
+   * @param {String} path The path
+   */
+  invalidate(path) {
+    const target = normalizePath(path);
+    const parent = normalizePath(parentDirectory(target));
+
+    Object.keys(this.entries).forEach(key => {
+      const entry = this.entries[key];
+
+      if (entry.path === parent || isWithin(target, entry.path)) {
+        delete this.entries[key];
+      }
+    });
+  }
+
+  /**
+   * Wraps an adapter with caching
+   * @param {Object} adapter The adapter
+   * @return {Object} A new adapter
+   */
+  wrap(adapter) {
+    const cached = this.options.methods.reduce((result, method) => Object.assign(result, {
+      [method]: (...args) => {
+        const [{path}] = args;
+        const found = this.get(method, path);
+
+        if (typeof found !== 'undefined') {
+          return Promise.resolve(found);
+        }
+
+        return adapter[method](...args)
+          .then(result => {
+            this.set(method, path, result);
+            return result;
+          });
+      }
+    }), {});
+
+    const mutating = MUTATING_METHODS.reduce((result, method) => Object.assign(result, {
+      [method]: (...args) => {
+        const paths = ['rename', 'copy'].indexOf(method) !== -1
+          ? [args[0].path, args[1].path]
+          : [args[0].path];
+
+        const invalidate = () => paths.forEach(path => this.invalidate(path));
+
+        invalidate();
+
+        return adapter[method](...args)
+          .then(result => {
+            invalidate();
+            return result;
+          }, error => {
+            invalidate();
+            throw error;
+          });
+      }
+    }), {});
+
+    return Object.assign({}, adapter, cached, mutating, {
+      _uncached: adapter
+    });
+  }
+}
@@ -0,0 +1,319 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import {createStore, prefixRange} from '../utils/idb';
+import {basename, getMimeType, createSearchMatcher, sliceArrayBuffer, toKey, parentKey, toArrayBuffer, createStat} from '../utils/vfs';
+
+/*
+ * Range for all keys below given key
+ */
+const childRange = key => prefixRange(key === '/' ? '/' : `${key}/`);
+
+/*
+ * Creates a new entry
+ */
+const createEntry = (path, isDirectory, attributes = {}) => {
+  const now = new Date().toISOString();
+
+  return Object.assign({
+    path,
+    isDirectory,
+    mime: isDirectory ? null : getMimeType(path),
+    size: 0,
+    ctime: now,
+    mtime: now
+  }, attributes);
+};
+
+/**
+ * IndexedDB VFS Adapter
+ *
+ * @desc Stores files in the browser. Each mountpoint gets its own
+ * database, which can be changed with the `database` mountpoint attribute.
+ */
+const adapter = (core) => {
+  const databases = {};
+  const urls = {};
+  const _ = (...args) => core.make('osjs/locale').translate(...args);
+
+  const db = mount => {
+    const name = (mount.attributes && mount.attributes.database) ||
+      `osjs-vfs@${mount.name}`;
+
+    if (!databases[name]) {
+      databases[name] = createStore(name, {
+        files: {},
+        contents: {}
+      });
+    }
+
+    return databases[name];
+  };
+
+  const revokeUrl = (mount, key) => {
+    const id = `${mount.name}:${key}`;
+    if (urls[id]) {
+      window.URL.revokeObjectURL(urls[id]);
+      delete urls[id];
+    }
+  };
+
+  const getEntry = (mount, key) => key === '/'
+    ? Promise.resolve(createEntry('/', true))
+    : db(mount).get('files', key);
+
+  const findEntry = (mount, key) => getEntry(mount, key)
+    .then(entry => {
+      if (!entry) {
+        throw new Error(_('ERR_VFS_NOT_FOUND', `${mount.name}:${key}`));
+      }
+
+      return entry;
+    });
+
+  const findDirectory = (mount, key) => findEntry(mount, key)
+    .then(entry => {
+      if (!entry.isDirectory) {
+        throw new Error(_('ERR_VFS_NOT_DIRECTORY', `${mount.name}:${key}`));
+      }
+
+      return entry;
+    });
+
+  const findFile = (mount, key) => findEntry(mount, key)
+    .then(entry => {
+      if (entry.isDirectory) {
+        throw new Error(_('ERR_VFS_IS_DIRECTORY', `${mount.name}:${key}`));
+      }
+
+      return entry;
+    });
+
+  const assertNotExists = (mount, key) => getEntry(mount, key)
+    .then(entry => {
+      if (entry) {
+        throw new Error(_('ERR_VFS_EXISTS', `${mount.name}:${key}`));
+      }
+    });
+
+  // Gets an entry and all entries below it
+  const collect = (mount, key) => findEntry(mount, key)
+    .then(entry => entry.isDirectory
+      ? db(mount).values('files', childRange(key)).then(list => [entry].concat(list))
+      : [entry]);
+
+  const write = (mount, key, data, attributes = {}) => {
+    return toArrayBuffer(data)
+      .then(body => {
+        const type = data instanceof Blob && data.type !== 'application/octet-stream'
+          ? data.type
+          : null;
+
+        return getEntry(mount, key)
+          .then(existing => {
+            const entry = Object.assign(existing || createEntry(key, false), attributes, {
+              mime: attributes.mime || type || getMimeType(key),
+              size: body.byteLength,
+              mtime: new Date().toISOString()
+            });
+
+            revokeUrl(mount, key);
+
+            return db(mount).set('contents', key, body)
+              .then(() => db(mount).set('files', key, entry))
+              .then(() => body.byteLength);
+          });
+      });
+  };
+
+  const remove = (mount, key) => collect(mount, key)
+    .then(list => Promise.all(list
+      .filter(entry => entry.path !== '/')
+      .map(entry => {
+        revokeUrl(mount, entry.path);
+
+        return db(mount).remove('files', entry.path)
+          .then(() => db(mount).remove('contents', entry.path));
+      })))
+    .then(() => true);
+
+  const copy = (mount, from, to) => {
+    if (to === from || to.indexOf(`${from}/`) === 0) {
+      return Promise.reject(new Error(_('ERR_VFS_INVALID_DESTINATION', `${mount.name}:${to}`)));
+    }
+
+    return findDirectory(mount, parentKey(to))
+      .then(() => assertNotExists(mount, to))
+      .then(() => collect(mount, from))
+      .then(list => Promise.all(list.map(entry => {
+        const key = to + entry.path.substr(from.length);
+        const newEntry = Object.assign({}, entry, {
+          path: key,
+          mime: entry.isDirectory ? null : getMimeType(key, entry.mime),
+          mtime: new Date().toISOString()
+        });
+
+        const contents = entry.isDirectory
+          ? Promise.resolve()
+          : db(mount).get('contents', entry.path)
+            .then(body => db(mount).set('contents', key, body || new ArrayBuffer(0)));
+
+        return contents.then(() => db(mount).set('files', key, newEntry));
+      })))
+      .then(() => true);
+  };
+
+  return {
+    readdir: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return findDirectory(mount, key)
+        .then(() => db(mount).values('files', childRange(key)))
+        .then(list => list
+          .filter(entry => parentKey(entry.path) === key)
+          .map(entry => createStat(mount, entry.path, entry)));
+    },
+
+    readfile: ({path}, type, options, mount) => {
+      const key = toKey(path);
+
+      return findFile(mount, key)
+        .then(entry => db(mount).get('contents', key)
+          .then(body => ({
+            body: sliceArrayBuffer(body || new ArrayBuffer(0), options),
+            mime: entry.mime
+          })));
+    },
+
+    writefile: ({path}, data, options, mount) => {
+      const key = toKey(path);
+
+      return findDirectory(mount, parentKey(key))
+        .then(() => getEntry(mount, key))
+        .then(entry => {
+          if (entry && entry.isDirectory) {
+            throw new Error(_('ERR_VFS_IS_DIRECTORY', path));
+          }
+
+          return write(mount, key, data);
+        });
+    },
+
+    copy: (from, to, options, mount) =>
+      copy(mount, toKey(from.path), toKey(to.path)),
+
+    rename: (from, to, options, mount) => {
+      const fromKey = toKey(from.path);
+
+      return copy(mount, fromKey, toKey(to.path))
+        .then(() => remove(mount, fromKey));
+    },
+
+    mkdir: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return findDirectory(mount, parentKey(key))
+        .then(() => assertNotExists(mount, key))
+        .then(() => db(mount).set('files', key, createEntry(key, true)))
+        .then(() => true);
+    },
+
+    unlink: ({path}, options, mount) => {
+      const key = toKey(path);
+      if (key === '/') {
+        return Promise.reject(new Error(_('ERR_VFS_INVALID_DESTINATION', path)));
+      }
+
+      return remove(mount, key);
+    },
+
+    exists: ({path}, options, mount) =>
+      getEntry(mount, toKey(path)).then(entry => !!entry),
+
+    stat: ({path}, options, mount) =>
+      findEntry(mount, toKey(path)).then(entry => createStat(mount, entry.path, entry)),
+
+    url: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return findFile(mount, key)
+        .then(entry => db(mount).get('contents', key)
+          .then(body => {
+            const id = `${mount.name}:${key}`;
+            if (!urls[id]) {
+              const blob = new Blob([body || new ArrayBuffer(0)], {type: entry.mime});
+              urls[id] = window.URL.createObjectURL(blob);
+            }
+
+            return urls[id];
+          }));
+    },
+
+    search: ({path}, pattern, options, mount) => {
+      const key = toKey(path);
+      const matches = createSearchMatcher(pattern);
+
+      return findDirectory(mount, key)
+        .then(() => db(mount).values('files', childRange(key)))
+        .then(list => list
+          .filter(entry => matches(basename(entry.path)))
+          .map(entry => createStat(mount, entry.path, entry)));
+    },
+
+    touch: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return findDirectory(mount, parentKey(key))
+        .then(() => getEntry(mount, key))
+        .then(entry => entry
+          ? db(mount).set('files', key, Object.assign(entry, {mtime: new Date().toISOString()}))
+          : write(mount, key, new ArrayBuffer(0)))
+        .then(() => true);
+    },
+
+    mount: (options, mount) => {
+      // Makes sure the database can be opened
+      return db(mount).keys('files')
+        .then(() => true);
+    },
+
+    unmount: (options, mount) => {
+      Object.keys(urls)
+        .filter(id => id.indexOf(`${mount.name}:`) === 0)
+        .forEach(id => revokeUrl(mount, id.substr(mount.name.length + 1)));
+
+      db(mount).close();
+
+      return Promise.resolve(true);
+    }
+  };
+};
+
+export default adapter;
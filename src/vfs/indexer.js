@@ -0,0 +1,833 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import {createStore} from '../utils/idb';
+import {basename, createSearchMatcher, createAbortError, isWithin} from '../utils/vfs';
+
+const WORD_SEPARATOR = /[\s.,;:!?"'`()[\]{}<>=+\-*/\\|&^%$#@~_]+/;
+
+/*
+ * Gets path from a file object or string
+ */
+const getPath = file => typeof file === 'string' ? file : file.path;
+
+/*
+ * Normalizes a path for use as document key
+ */
+const normalizePath = path => String(path)
+  .replace(/\/+/g, '/')
+  .replace(/\/+$/, '')
+  .replace(/:$/, ':/');
+
+/*
+ * Splits text into lowercase words
+ */
+const tokenize = text => String(text)
+  .toLowerCase()
+  .split(WORD_SEPARATOR)
+  .filter(word => word.length > 1);
+
+/*
+ * Counts the words in a text, added to existing counts
+ */
+const countTerms = (text, terms = {}) => tokenize(text)
+  .reduce((result, word) => Object.assign(result, {
+    [word]: (result[word] || 0) + 1
+  }), Object.assign({}, terms));
+
+/*
+ * Finds the first index in a sorted list that is not below given value
+ */
+const lowerBound = (list, value) => {
+  let low = 0;
+  let high = list.length;
+
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (list[mid] < value) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+
+  return low;
+};
+
+/*
+ * Parses a relative or absolute date in a 'modified:' filter
+ */
+const parseDate = str => {
+  const relative = str.match(/^(\d+)([hdwmy])$/);
+  if (relative) {
+    const units = {h: 1, d: 24, w: 24 * 7, m: 24 * 30, y: 24 * 365};
+    return new Date(Date.now() - parseInt(relative[1], 10) * units[relative[2]] * 3600000);
+  }
+
+  const date = new Date(str);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/*
+ * Creates a test function for a 'modified:' filter
+ */
+const createDateFilter = value => {
+  const match = value.match(/^([<>]?)(.+)$/);
+  const date = parseDate(match[2]);
+
+  if (!date) {
+    return null;
+  }
+
+  const time = date.getTime();
+  const isRelative = /^\d+[hdwmy]$/.test(match[2]);
+
+  if (match[1] === '<') {
+    return mtime => mtime < time;
+  } else if (match[1] === '>' || isRelative) {
+    return mtime => mtime >= time;
+  }
+
+  // The same day
+  return mtime => mtime >= time && mtime < time + 86400000;
+};
+
+/**
+ * Parses a search query into terms, phrases and filters
+ *
+ * @example
+ * parseQuery('report "annual budget" mime:text/* path:home:/docs modified:>2018-01-01')
+ *
+ * @param {String} query The query
+ * @return {Object}
+ */
+export const parseQuery = query => {
+  const result = {terms: [], phrases: [], filters: []};
+  const re = /(\w+):("[^"]*"|\S+)|"([^"]*)"|(\S+)/g;
+  let match;
+
+  while ((match = re.exec(String(query))) !== null) {
+    const [, key, rawValue, phrase, word] = match;
+    const value = rawValue ? rawValue.replace(/^"|"$/g, '') : null;
+
+    if (key === 'mime') {
+      const matches = createSearchMatcher(value.indexOf('*') === -1 ? `${value}*` : value);
+      result.filters.push(doc => !!doc.mime && matches(doc.mime));
+    } else if (key === 'path') {
+      const root = normalizePath(value);
+      result.filters.push(doc => isWithin(root, doc.path));
+    } else if (key === 'modified' && createDateFilter(value)) {
+      const test = createDateFilter(value);
+      result.filters.push(doc => !!doc.mtime && test(new Date(doc.mtime).getTime()));
+    } else if (phrase) {
+      result.phrases.push(phrase.toLowerCase());
+      result.terms.push(...tokenize(phrase));
+    } else {
+      result.terms.push(...tokenize(key ? match[0] : word));
+    }
+  }
+
+  return result;
+};
+
+/**
+ * A search result
+ * @property {String} path Path
+ * @property {String} filename Filename
+ * @property {String} mime MIME type
+ * @property {Boolean} isDirectory If a directory
+ * @property {Boolean} isFile If a file
+ * @property {Number} size Size
+ * @property {Object} stat Stat
+ * @property {Number} score Relevance
+ * @property {String} [snippet] Text around the first match in the contents
+ * @property {Array[]} [highlights] Ranges of matches in snippet as `[start, end]`
+ * @typedef SearchIndexResult
+ */
+
+/**
+ * VFS Search Index
+ *
+ * @desc Indexes filenames and text contents of files on all searchable
+ * mountpoints in the background, and stores it in IndexedDB. The index is
+ * kept up to date with the events of successful VFS operations.
+ *
+ * Set the `index` mountpoint attribute to `false` to exclude a mountpoint.
+ * The index is stored per user, and removed on logout.
+ */
+export default class Indexer {
+
+  /**
+   * Create indexer
+   * @param {Core} core Core reference
+   * @param {Filesystem} fs Filesystem reference
+   * @param {Object} [options] Options
+   * @param {String[]} [options.mimeTypes] Patterns of MIME types to index contents of
+   * @param {Number} [options.maxFileSize] Maximum size of files to index contents of
+   * @param {Number} [options.maxContentLength] Length of content to keep for snippets
+   * @param {Number} [options.maxFiles] Maximum number of files and directories
+   * @param {Number} [options.delay] Delay (ms) before applying changes from events
+   */
+  constructor(core, fs, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Filesystem reference
+     * @type {Filesystem}
+     */
+    this.fs = fs;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      mimeTypes: ['^text/', '^application/(json|javascript|xml)'],
+      maxFileSize: 1024 * 1024,
+      maxContentLength: 16384,
+      maxFiles: 10000,
+      delay: 1000
+    }, options);
+
+    /**
+     * Database
+     * @type {Object}
+     */
+    this.db = null;
+
+    /**
+     * Indexed documents by path
+     * @type {Map<String, Object>}
+     */
+    this.documents = null;
+
+    /**
+     * Paths of documents and the counts by term
+     * @type {Map<String, Map<String, Number>>}
+     */
+    this.postings = {};
+
+    /**
+     * Sorted list of terms for prefix lookups (created on demand)
+     * @type {String[]}
+     */
+    this.vocabulary = null;
+
+    /**
+     * Loading of documents from database
+     * @type {Promise}
+     */
+    this.loading = null;
+
+    /**
+     * Current build
+     * @type {Promise}
+     */
+    this.building = null;
+
+    /**
+     * Current update from the queue
+     * @type {Promise}
+     */
+    this.updating = Promise.resolve();
+
+    /**
+     * Paths waiting to be updated
+     * @type {Object[]}
+     */
+    this.queue = [];
+
+    /**
+     * Timer for updates
+     * @type {Number}
+     */
+    this.timeout = null;
+
+    /**
+     * If destroyed
+     * @type {Boolean}
+     */
+    this.destroyed = false;
+
+    const queue = (...entries) => this._enqueue(entries);
+    const path = file => ({path: getPath(file)});
+    const removed = file => ({path: getPath(file), removed: true});
+
+    /**
+     * VFS event listeners
+     * @type {Map<String, Function>}
+     */
+    this.listeners = {
+      'osjs/vfs:writefile:done': file => queue(path(file)),
+      'osjs/vfs:mkdir:done': file => queue(path(file)),
+      'osjs/vfs:touch:done': file => queue(path(file)),
+      'osjs/vfs:unlink:done': file => queue(removed(file)),
+      'osjs/vfs:copy:done': (from, to) => queue(path(to)),
+      'osjs/vfs:rename:done': (from, to) => queue(removed(from), path(to)),
+      'osjs/vfs:move:done': (from, to) => queue(removed(from), path(to)),
+      'osjs/vfs:restore': (entry, destination) => queue(path(destination)),
+      'osjs/vfs:compress:done': (sources, dest, options, result) => result && result.path
+        ? queue(path(result.path))
+        : null,
+      'osjs/vfs:extract:done': (archive, dest) => queue(path(dest)),
+      'osjs/vfs:change': ev => ev.type === 'deleted'
+        ? queue(removed(ev.path))
+        : queue(...(ev.oldPath ? [removed(ev.oldPath)] : []), path(ev.path)),
+      'osjs/core:logout': () => this.clear()
+    };
+
+    Object.keys(this.listeners)
+      .forEach(name => this.core.on(name, this.listeners[name]));
+  }
+
+  /**
+   * Destroys indexer
+   */
+  destroy() {
+    this.destroyed = true;
+
+    Object.keys(this.listeners)
+      .forEach(name => this.core.off(name, this.listeners[name]));
+
+    clearTimeout(this.timeout);
+    this.queue = [];
+    this.documents = null;
+    this.postings = {};
+    this.vocabulary = null;
+
+    if (this.db) {
+      this.db.close();
+    }
+  }
+
+  /**
+   * Gets the database (for current user)
+   * @return {Object}
+   */
+  database() {
+    if (!this.db) {
+      const {username} = this.core.getUser() || {};
+
+      this.db = createStore(`osjs-search-index@${username || 'default'}`, {
+        documents: {}
+      });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Removes the index of the current user (ie. on logout).
+   * This also destroys the indexer.
+   * @return {Promise<Boolean, Error>}
+   */
+  clear() {
+    const db = this.database();
+
+    this.destroy();
+    this.db = null;
+
+    return db.destroy()
+      .then(() => true);
+  }
+
+  /**
+   * Loads the index from the database
+   * @return {Promise<Map<String, Object>, Error>}
+   */
+  load() {
+    if (!this.loading) {
+      this.loading = this.database().entries('documents')
+        .then(entries => {
+          this.documents = {};
+          this.postings = {};
+          this.vocabulary = null;
+
+          entries.forEach(([key, doc]) => this._set(key, doc));
+
+          return this.documents;
+        });
+    }
+
+    return this.loading;
+  }
+
+  /**
+   * Gets the mountpoints that are indexed
+   * @return {Object[]}
+   */
+  getMountpoints() {
+    return this.fs.getMounts()
+      .filter(m => m.attributes.searchable !== false && m.attributes.index !== false);
+  }
+
+  /**
+   * Checks if the contents of a file should be indexed
+   * @param {Object} file File
+   * @return {Boolean}
+   */
+  isIndexable(file) {
+    const {mimeTypes, maxFileSize} = this.options;
+
+    return file.isFile &&
+      !!file.mime &&
+      (file.size || 0) <= maxFileSize &&
+      mimeTypes.some(pattern => new RegExp(pattern).test(file.mime));
+  }
+
+  /**
+   * Builds (or updates) the index for all mountpoints
+   * @return {Promise<Number, Error>} Number of documents
+   */
+  build() {
+    if (!this.building) {
+      this.building = this.load()
+        .then(() => this.getMountpoints().reduce((promise, mount) => promise
+          .then(() => this._crawl(mount.root, true))
+          .catch(error => console.warn(`Failed to index '${mount.root}'`, error)), Promise.resolve()))
+        .then(() => {
+          // Remove what is no longer on a mountpoint
+          const roots = this.getMountpoints().map(m => m.root);
+          const removed = Object.keys(this.documents)
+            .filter(key => !roots.some(root => isWithin(normalizePath(root), key)));
+
+          return Promise.all(removed.map(key => this._remove(key)));
+        })
+        .then(() => {
+          this.building = null;
+          this.core.emit('osjs/vfs:index:ready', this.status());
+
+          return Object.keys(this.documents).length;
+        })
+        .catch(error => {
+          this.building = null;
+          throw error;
+        });
+    }
+
+    return this.building;
+  }
+
+  /**
+   * Removes everything from the index and builds it again
+   * @return {Promise<Number, Error>} Number of documents
+   */
+  rebuild() {
+    return (this.building || Promise.resolve())
+      .catch(() => false)
+      .then(() => this.load())
+      .then(() => this.database().clear('documents'))
+      .then(() => {
+        this.documents = {};
+        this.postings = {};
+        this.vocabulary = null;
+
+        return this.build();
+      });
+  }
+
+  /**
+   * Gets the index status
+   * @return {Object}
+   */
+  status() {
+    return {
+      building: !!this.building,
+      documents: this.documents ? Object.keys(this.documents).length : 0
+    };
+  }
+
+  /**
+   * Indexes a directory and everything below it
+   */
+  _crawl(root, isDirectory) {
+    const vfs = this.fs.request();
+    const seen = {[normalizePath(root)]: true};
+    const directories = [root];
+
+    const next = () => {
+      if (this.destroyed || directories.length === 0) {
+        return Promise.resolve();
+      }
+
+      const dir = directories.shift();
+
+      return vfs.readdir(dir, {showHiddenFiles: false})
+        .then(list => list
+          .filter(file => file.filename !== '..' && file.filename !== '.')
+          .reduce((promise, file) => promise.then(() => {
+            seen[normalizePath(file.path)] = true;
+
+            if (file.isDirectory) {
+              directories.push(file.path);
+            }
+
+            return this._index(file);
+          }), Promise.resolve()))
+        .catch(error => console.warn(`Failed to index '${dir}'`, error))
+        .then(next);
+    };
+
+    return next()
+      .then(() => {
+        // Remove what is no longer in the directory
+        const base = normalizePath(root);
+        const removed = Object.keys(this.documents)
+          .filter(key => key !== base && isWithin(base, key) && !seen[key]);
+
+        return Promise.all(removed.map(key => this._remove(key)));
+      });
+  }
+
+  /**
+   * Indexes a single file or directory
+   */
+  _index(file) {
+    const key = normalizePath(file.path);
+    const existing = this.documents[key];
+    const mtime = file.stat && file.stat.mtime ? new Date(file.stat.mtime).toISOString() : null;
+
+    if (existing && existing.mtime === mtime && existing.size === (file.size || 0)) {
+      return Promise.resolve(existing);
+    } else if (!existing && Object.keys(this.documents).length >= this.options.maxFiles) {
+      return Promise.resolve(null);
+    }
+
+    const doc = {
+      path: key,
+      filename: file.filename || basename(key),
+      mime: file.isDirectory ? null : file.mime || null,
+      isDirectory: !!file.isDirectory,
+      size: file.size || 0,
+      mtime,
+      terms: countTerms(file.filename || basename(key)),
+      content: null
+    };
+
+    const contents = this.isIndexable(file)
+      ? this.fs.request().readfile(file.path, 'string')
+        .catch(error => {
+          console.warn(`Failed to index contents of '${key}'`, error);
+          return null;
+        })
+      : Promise.resolve(null);
+
+    return contents
+      .then(text => {
+        if (this.destroyed) {
+          return null;
+        } else if (typeof text === 'string') {
+          doc.terms = countTerms(text, doc.terms);
+          doc.content = text.substr(0, this.options.maxContentLength);
+        }
+
+        this._set(key, doc);
+
+        return this.database().set('documents', key, doc);
+      })
+      .then(() => doc);
+  }
+
+  /**
+   * Removes a path and everything below it from the index
+   */
+  _remove(path) {
+    if (this.destroyed) {
+      return Promise.resolve();
+    }
+
+    const root = normalizePath(path);
+    const keys = Object.keys(this.documents)
+      .filter(key => isWithin(root, key));
+
+    keys.forEach(key => this._unset(key));
+
+    return Promise.all(keys.map(key => this.database().remove('documents', key)));
+  }
+
+  /**
+   * Adds (or replaces) a document in memory
+   */
+  _set(key, doc) {
+    this._unset(key);
+    this.documents[key] = doc;
+
+    Object.keys(doc.terms).forEach(term => {
+      if (!this.postings[term]) {
+        this.postings[term] = {};
+        this.vocabulary = null;
+      }
+
+      this.postings[term][key] = doc.terms[term];
+    });
+  }
+
+  /**
+   * Removes a document from memory
+   */
+  _unset(key) {
+    const doc = this.documents[key];
+    if (!doc) {
+      return;
+    }
+
+    Object.keys(doc.terms).forEach(term => {
+      const paths = this.postings[term];
+      if (paths) {
+        delete paths[key];
+
+        if (Object.keys(paths).length === 0) {
+          delete this.postings[term];
+          this.vocabulary = null;
+        }
+      }
+    });
+
+    delete this.documents[key];
+  }
+
+  /**
+   * Gets the indexed terms starting with given prefix
+   */
+  _lookup(prefix) {
+    if (!this.vocabulary) {
+      this.vocabulary = Object.keys(this.postings).sort();
+    }
+
+    const result = [];
+    for (let i = lowerBound(this.vocabulary, prefix); i < this.vocabulary.length; i++) {
+      if (this.vocabulary[i].indexOf(prefix) !== 0) {
+        break;
+      }
+
+      result.push(this.vocabulary[i]);
+    }
+
+    return result;
+  }
+
+  /**
+   * Queues a path for update
+   */
+  _enqueue(entries) {
+    if (this.destroyed) {
+      return;
+    }
+
+    this.queue.push(...entries.filter(entry => !!entry.path));
+
+    clearTimeout(this.timeout);
+    this.timeout = setTimeout(() => {
+      this._flush()
+        .catch(error => console.warn('Failed to update search index', error));
+    }, this.options.delay);
+  }
+
+  /**
+   * Applies queued updates
+   */
+  _flush() {
+    const entries = this.queue.splice(0, this.queue.length);
+    const vfs = this.fs.request();
+    const roots = this.getMountpoints().map(m => normalizePath(m.root));
+
+    const update = ({path, removed}) => {
+      const key = normalizePath(path);
+
+      if (!roots.some(root => isWithin(root, key))) {
+        return Promise.resolve();
+      } else if (removed) {
+        return this._remove(key);
+      }
+
+      return vfs.stat(path)
+        .then(stat => {
+          const file = Object.assign({}, stat, {path: key});
+
+          return this._index(file)
+            .then(() => file.isDirectory ? this._crawl(key) : null);
+        })
+        .catch(error => console.debug(`Could not update index for '${key}'`, error));
+    };
+
+    // Updates are applied in order, and after a build
+    this.updating = this.updating
+      .then(() => this.building)
+      .catch(() => false)
+      .then(() => this.load())
+      .then(() => entries.reduce((promise, entry) => promise
+        .then(() => update(entry)), Promise.resolve()));
+
+    return this.updating;
+  }
+
+  /**
+   * Searches the index
+   *
+   * @desc Words must match the beginning of a word in the filename or
+   * contents, and "quoted phrases" must be found as is. The query also
+   * supports the filters `mime:`, `path:` and `modified:`, ie.
+   * `mime:text/*`, `path:home:/Documents`, `modified:>2018-01-01` or `modified:7d`.
+   *
+   * @param {String} query The query
+   * @param {Object} [options] Options
+   * @param {Number} [options.limit=100] Maximum number of results
+   * @param {AbortSignal} [options.signal] Cancel the search with an AbortController
+   * @return {Promise<SearchIndexResult[], Error>}
+   */
+  search(query, options = {}) {
+    const {limit, signal} = Object.assign({limit: 100}, options);
+    const {terms, phrases, filters} = parseQuery(query);
+
+    const roots = this.getMountpoints().map(m => normalizePath(m.root));
+
+    return this.load()
+      .then(documents => {
+        if (signal && signal.aborted) {
+          throw createAbortError();
+        }
+
+        const candidates = Object.keys(documents)
+          .map(key => documents[key])
+          .filter(doc => roots.some(root => isWithin(root, doc.path)))
+          .filter(doc => filters.every(test => test(doc)));
+
+        const total = candidates.length;
+        const included = candidates.reduce((result, doc) => Object.assign(result, {
+          [doc.path]: true
+        }), {});
+
+        // Documents containing each word, and the counts
+        const matches = terms.map(term => this._lookup(term).reduce((result, t) => {
+          const paths = this.postings[t];
+
+          Object.keys(paths)
+            .filter(path => included[path])
+            .forEach(path => {
+              result[path] = (result[path] || 0) + (t === term ? paths[path] : paths[path] / 2);
+            });
+
+          return result;
+        }, {}));
+
+        const idf = matches.map(found => Math.log(1 + total / (1 + Object.keys(found).length)));
+
+        return candidates
+          .filter(doc => matches.every(found => !!found[doc.path]))
+          .filter(doc => phrases.every(phrase => this._contains(doc, phrase)))
+          .map(doc => {
+            const filename = doc.filename.toLowerCase();
+            const score = terms.reduce((sum, term, i) => sum +
+              (1 + Math.log(matches[i][doc.path])) * idf[i] +
+              (filename.indexOf(term) !== -1 ? 3 * idf[i] : 0), phrases.length * 2);
+
+            return {doc, score};
+          })
+          .sort((a, b) => terms.length > 0
+            ? b.score - a.score
+            : String(b.doc.mtime).localeCompare(String(a.doc.mtime)))
+          .slice(0, limit)
+          .map(({doc, score}) => this._createResult(doc, score, phrases.concat(terms)));
+      });
+  }
+
+  /**
+   * Checks if a document contains a phrase
+   */
+  _contains(doc, phrase) {
+    return doc.filename.toLowerCase().indexOf(phrase) !== -1 ||
+      (!!doc.content && doc.content.toLowerCase().indexOf(phrase) !== -1);
+  }
+
+  /**
+   * Creates a search result
+   */
+  _createResult(doc, score, words) {
+    const result = {
+      path: doc.path,
+      filename: doc.filename,
+      mime: doc.mime,
+      isDirectory: doc.isDirectory,
+      isFile: !doc.isDirectory,
+      size: doc.size,
+      stat: {size: doc.size, mtime: doc.mtime},
+      score,
+      snippet: null,
+      highlights: []
+    };
+
+    if (!doc.content || words.length === 0) {
+      return result;
+    }
+
+    const content = doc.content.toLowerCase();
+    const index = words
+      .map(word => content.indexOf(word))
+      .filter(i => i !== -1)
+      .sort((a, b) => a - b)[0];
+
+    if (typeof index === 'undefined') {
+      return result;
+    }
+
+    const start = Math.max(0, index - 60);
+    const end = Math.min(doc.content.length, index + 100);
+    const prefix = start > 0 ? '…' : '';
+    const snippet = prefix + doc.content.substring(start, end).replace(/\s+/g, ' ') +
+      (end < doc.content.length ? '…' : '');
+
+    const lower = snippet.toLowerCase();
+    const ranges = words.reduce((list, word) => {
+      for (let i = lower.indexOf(word); i !== -1; i = lower.indexOf(word, i + word.length)) {
+        list.push([i, i + word.length]);
+      }
+
+      return list;
+    }, []).sort((a, b) => a[0] - b[0] || b[1] - a[1]);
+
+    // Overlapping ranges are merged, ie. a phrase and the words in it
+    const highlights = ranges.reduce((list, [start, end]) => {
+      const last = list[list.length - 1];
+
+      if (last && start <= last[1]) {
+        last[1] = Math.max(last[1], end);
+      } else {
+        list.push([start, end]);
+      }
+
+      return list;
+    }, []);
+
+    return Object.assign(result, {snippet, highlights});
+  }
+}
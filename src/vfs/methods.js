@@ -31,7 +31,8 @@
 import {
   transformReaddir,
   transformArrayBuffer,
-  createFileIter
+  createFileIter,
+  createAbortError
 } from '../utils/vfs';
 
 // Makes sure our input paths are object(s)
@@ -39,6 +40,26 @@ const pathToObject = path => Object.assign({
   id: null,
 }, typeof path === 'string' ? {path} : path);
 
+// Rejects when the signal is aborted, like fetch() does
+const abortable = (signal, fn) => {
+  if (!signal) {
+    return fn();
+  } else if (signal.aborted) {
+    return Promise.reject(createAbortError());
+  }
+
+  return new Promise((resolve, reject) => {
+    const onabort = () => reject(createAbortError());
+    const done = () => signal.removeEventListener('abort', onabort);
+
+    signal.addEventListener('abort', onabort);
+
+    fn()
+      .then(resolve, reject)
+      .then(done);
+  });
+};
+
 // Handles directory listing result(s)
 const handleDirectoryList = (path, options) => result =>
   Promise.resolve(result.map(stat => createFileIter(stat)))
@@ -61,11 +82,16 @@ export const readdir = (adapter, mount) => (path, options = {}) =>
 /**
  * Reads a file
  *
- * Available types are 'arraybuffer', 'blob', 'uri' and 'string'
+ * Available types are 'arraybuffer', 'blob', 'uri', 'string' and 'stream'.
+ * A 'stream' is a ReadableStream that does not buffer the whole file
+ * (if supported by adapter).
  *
  * @param {Object|String} path The path to read
  * @param {String} [type=string] Return this content type
  * @param {Object} [options] Options
+ * @param {Number} [options.start] Read from this byte offset
+ * @param {Number} [options.end] Read to this byte offset (inclusive)
+ * @param {AbortSignal} [options.signal] Abort the request (if supported by adapter)
  * @return {ArrayBuffer}
  */
 export const readfile = (adapter, mount) => (path, type = 'string', options = {}) =>
@@ -77,6 +103,9 @@ export const readfile = (adapter, mount) => (path, type = 'string', options = {}
  * @param {Object|String} path The path to write
  * @param {ArrayBuffer|Blob|String} data The data
  * @param {Object} [options] Options
+ * @param {Function} [options.onProgress] Upload progress callback (if supported by adapter)
+ * @param {AbortSignal} [options.signal] Abort the upload with an AbortController (if supported by adapter)
+ * @param {Boolean} [options.retry=false] Also retry uploads sent in one request (if supported by adapter)
  * @return {Number} File size
  */
 export const writefile = (adapter, mount) => (path, data, options = {}) => {
@@ -89,10 +118,18 @@ export const writefile = (adapter, mount) => (path, data, options = {}) => {
 
 /**
  * Copies a file or directory (move)
+ *
+ * Copying between different mountpoints supports progress,
+ * conflict resolution and cancellation.
+ *
  * @param {Object|String} from The source (from)
  * @param {Object|String} to The destination (to)
  * @param {Object} [options] Options
- * @return {Boolean}
+ * @param {Function} [options.onProgress] Progress callback
+ * @param {Function} [options.onConflict] Called when destination exists
+ * @param {AbortSignal} [options.signal] Cancel the transfer
+ * @see Transfer
+ * @return {Promise<Boolean|Object, Error>} A Boolean, or the number of `transferred` and `skipped` items between mountpoints
  */
 export const copy = (adapter, mount) => (from, to, options = {}) =>
   adapter.copy(pathToObject(from), pathToObject(to), options, mount);
@@ -101,8 +138,8 @@ export const copy = (adapter, mount) => (from, to, options = {}) =>
  * Renames a file or directory (move)
  * @param {Object|String} from The source (from)
  * @param {Object|String} to The destination (to)
- * @param {Object} [options] Options
- * @return {Boolean}
+ * @param {Object} [options] Options (see copy)
+ * @return {Promise<Boolean|Object, Error>} A Boolean, or the number of `transferred` and `skipped` items between mountpoints
  */
 export const rename = (adapter, mount) => (from, to, options = {}) =>
   adapter.rename(pathToObject(from), pathToObject(to), options, mount);
@@ -112,7 +149,7 @@ export const rename = (adapter, mount) => (from, to, options = {}) =>
  * @param {Object|String} from The source (from)
  * @param {Object|String} to The destination (to)
  * @param {Object} [options] Options
- * @return {Boolean}
+ * @return {Promise<Boolean|Object, Error>} A Boolean, or the number of `transferred` and `skipped` items between mountpoints
  */
 export const move = rename;
 
@@ -127,8 +164,12 @@ export const mkdir = (adapter, mount) => (path, options = {}) =>
 
 /**
  * Removes a file or directory
+ *
+ * If the trash is enabled the file is moved there instead.
+ *
  * @param {Object|String} path The path to remove
  * @param {Object} [options] Options
+ * @param {Boolean} [options.permanent=false] Skip the trash
  * @return {Boolean}
  */
 export const unlink = (adapter, mount) => (path, options = {}) =>
@@ -171,7 +212,7 @@ export const url = (adapter, mount) => (path, options = {}) =>
 export const download = (adapter, mount) => (path, options = {}) =>
   typeof adapter.download === 'function' && options.readfile !== true
     ? adapter.download(pathToObject(path), options, mount)
-    : readfile(adapter)(path, 'blob')
+    : readfile(adapter, mount)(path, 'blob')
       .then(body => {
         const filename = pathToObject(path).path.split('/').splice(-1)[0];
         const url = window.URL.createObjectURL(body);
@@ -192,9 +233,14 @@ export const download = (adapter, mount) => (path, options = {}) =>
 
 /**
  * Searches for files and folders
+ *
+ * @desc Rejects with an `AbortError` as soon as the signal is aborted,
+ * even if the adapter does not support cancellation.
+ *
  * @param {Object|String} root The root
  * @param {String} pattern Search pattern
  * @param {Object} [options] Options
+ * @param {AbortSignal} [options.signal] Cancel the search with an AbortController
  * @return {Object[]} A list of files
  */
 export const search = (adapter, mount) => (root, pattern, options = {}) => {
@@ -202,7 +248,7 @@ export const search = (adapter, mount) => (root, pattern, options = {}) => {
     return Promise.resolve([]);
   }
 
-  return adapter.search(pathToObject(root), pattern, options, mount)
+  return abortable(options.signal, () => adapter.search(pathToObject(root), pattern, options, mount))
     .then(handleDirectoryList(root, options));
 };
 
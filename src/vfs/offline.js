@@ -0,0 +1,626 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import {createStore, prefixRange} from '../utils/idb';
+import {parentDirectory, hasRange, sliceArrayBuffer, toArrayBuffer, isWithin} from '../utils/vfs';
+
+const CACHED_METHODS = ['readdir', 'readfile', 'stat'];
+const QUEUED_METHODS = ['writefile', 'mkdir', 'unlink', 'rename'];
+
+/*
+ * Normalizes a path for use as cache key
+ */
+const normalizePath = path => String(path)
+  .replace(/\/+/g, '/')
+  .replace(/\/+$/, '')
+  .replace(/:$/, ':/');
+
+/*
+ * Gets the parent path
+ */
+const getParent = path => normalizePath(parentDirectory(normalizePath(path)));
+
+/*
+ * Gets the filename of a path
+ */
+const getFilename = path => normalizePath(path).split('/').pop();
+
+/*
+ * Gets the modification time from a stat result
+ */
+const getMtime = stat => stat
+  ? String(stat.mtime || (stat.stat || {}).mtime || '') || null
+  : null;
+
+/*
+ * Removes options that cannot be stored (ie. callbacks and abort signals)
+ */
+const storableOptions = (options = {}) => Object.keys(options)
+  .filter(k => typeof options[k] !== 'function' && k !== 'signal')
+  .reduce((result, k) => Object.assign(result, {[k]: options[k]}), {});
+
+/*
+ * Gets the paths affected by a queued operation
+ */
+const getEntryPaths = entry => (entry.method === 'rename'
+  ? [entry.path, entry.args[1].path]
+  : [entry.path]).map(normalizePath);
+
+/*
+ * Creates cache keys
+ */
+const cacheKey = (method, path) => `${method}:${normalizePath(path)}`;
+
+/**
+ * Offline VFS Layer
+ *
+ * @desc Wraps adapters so that reads are cached in IndexedDB and writes are
+ * queued while the core is disconnected. The queue is replayed on reconnection.
+ * If the remote file was modified while offline, the operation is kept as a
+ * conflict until resolved.
+ */
+export default class Offline {
+
+  /**
+   * Create offline layer
+   * @param {Core} core Core reference
+   * @param {Object} [options] Options
+   * @param {String[]} [options.adapters] Adapter names to apply to
+   * @param {Number} [options.maxFileSize] Maximum size of cached files
+   */
+  constructor(core, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      adapters: ['system'],
+      maxFileSize: 1024 * 1024 * 10
+    }, options);
+
+    /**
+     * The database
+     * @type {Object}
+     */
+    this.db = null;
+
+    /**
+     * If currently syncing
+     * @type {Boolean}
+     */
+    this.syncing = false;
+  }
+
+  /**
+   * Destroys the offline layer
+   */
+  destroy() {
+    if (this.db) {
+      this.db.close();
+    }
+
+    this.db = null;
+  }
+
+  /**
+   * Gets the database (for current user)
+   * @return {Object}
+   */
+  database() {
+    if (!this.db) {
+      const {username} = this.core.getUser();
+
+      this.db = createStore(`osjs-vfs-offline@${username || 'default'}`, {
+        cache: {},
+        queue: {autoIncrement: true}
+      });
+    }
+
+    return this.db;
+  }
+
+  /**
+   * Checks if the offline layer applies to given mountpoint
+   * @param {Mountpoint} mount The mountpoint
+   * @return {Boolean}
+   */
+  handles(mount) {
+    return this.options.adapters.indexOf(mount.adapter) !== -1 &&
+      !(mount.attributes && mount.attributes.offline === false);
+  }
+
+  /**
+   * Checks if we are offline
+   * @return {Boolean}
+   */
+  isOffline() {
+    return !this.core.connected;
+  }
+
+  /**
+   * Wraps an adapter with offline support
+   * @param {Object} adapter The adapter
+   * @param {Mountpoint} mount The mountpoint
+   * @return {Object} A new adapter
+   */
+  wrap(adapter, mount) {
+    const methods = CACHED_METHODS.concat(QUEUED_METHODS)
+      .reduce((result, method) => Object.assign(result, {
+        [method]: (...args) => this._call(adapter, mount, method, args)
+      }), {});
+
+    return Object.assign({}, adapter, methods, {
+      _offlineOriginal: adapter
+    });
+  }
+
+  /**
+   * Performs a wrapped adapter call
+   */
+  _call(adapter, mount, method, args) {
+    const _ = this.core.make('osjs/locale').translate;
+    const [file] = args;
+    const {path} = file;
+
+    if (CACHED_METHODS.indexOf(method) !== -1) {
+      // Partial reads and streams are never cached, but can be served from a cached file
+      const [, type, options] = args;
+      const partial = method === 'readfile' && (type === 'stream' || hasRange(options));
+
+      const fromCache = error => this._getCached(method, path)
+        .then(cached => {
+          if (typeof cached === 'undefined') {
+            console.warn(error);
+            throw new Error(_('ERR_VFS_OFFLINE', path));
+          }
+
+          return partial
+            ? Object.assign({}, cached, {body: sliceArrayBuffer(cached.body, options)})
+            : cached;
+        });
+
+      const store = result => partial
+        ? Promise.resolve(result)
+        : this._setCached(method, path, result).then(() => result);
+
+      // The server might still be reachable even if the socket is not
+      return adapter[method](...args)
+        .then(store)
+        .catch(error => this.isOffline() ? fromCache(error) : Promise.reject(error));
+    }
+
+    if (this.isOffline()) {
+      return this._enqueue(mount, method, args);
+    }
+
+    return adapter[method](...args)
+      .then(result => this._invalidate(method, args).then(() => result));
+  }
+
+  /**
+   * Gets a cached result
+   */
+  _getCached(method, path) {
+    return this.database()
+      .get('cache', cacheKey(method, path))
+      .catch(error => {
+        console.warn(error);
+        return undefined;
+      });
+  }
+
+  /**
+   * Stores a result in cache
+   */
+  _setCached(method, path, result) {
+    if (method === 'readfile') {
+      const {body} = result;
+      if (!(body instanceof ArrayBuffer) || body.byteLength > this.options.maxFileSize) {
+        return Promise.resolve();
+      }
+    }
+
+    return this.database()
+      .set('cache', cacheKey(method, path), result)
+      .catch(error => console.warn(error));
+  }
+
+  /**
+   * Removes all cached entries for a path
+   */
+  _removeCached(path) {
+    const db = this.database();
+
+    return Promise.all(CACHED_METHODS.map(method => db.remove('cache', cacheKey(method, path))))
+      .then(() => db.keys('cache', prefixRange(`readdir:${normalizePath(path)}/`)))
+      .then(keys => Promise.all(keys.map(key => db.remove('cache', key))))
+      .catch(error => console.warn(error));
+  }
+
+  /**
+   * Updates a cached directory listing
+   */
+  _updateListing(path, fn) {
+    const parent = getParent(path);
+
+    return this._getCached('readdir', parent)
+      .then(list => list
+        ? this._setCached('readdir', parent, fn(list.filter(iter => normalizePath(iter.path) !== normalizePath(path))))
+        : undefined);
+  }
+
+  /**
+   * Invalidates cache after a successful remote operation
+   */
+  _invalidate(method, args) {
+    const paths = method === 'rename'
+      ? [args[0].path, args[1].path]
+      : [args[0].path];
+
+    return Promise.all(paths.map(path => Promise.all([
+      this._removeCached(path),
+      this._removeCached(getParent(path))
+    ])));
+  }
+
+  /**
+   * Applies an offline operation to the cache so that reads reflect it
+   */
+  _applyLocal(method, args) {
+    const [file] = args;
+    const {path} = file;
+    const filename = getFilename(path);
+
+    if (method === 'writefile') {
+      const [, data] = args;
+
+      return toArrayBuffer(data)
+        .then(body => {
+          const mime = (data && data.type) || 'application/octet-stream';
+          const stat = {
+            isDirectory: false,
+            isFile: true,
+            filename,
+            path,
+            mime,
+            size: body.byteLength,
+            mtime: new Date().toISOString()
+          };
+
+          return Promise.all([
+            this._setCached('readfile', path, {body, mime}),
+            this._setCached('stat', path, stat),
+            this._updateListing(path, list => list.concat([stat]))
+          ]).then(() => body.byteLength);
+        });
+    } else if (method === 'mkdir') {
+      const stat = {
+        isDirectory: true,
+        isFile: false,
+        filename,
+        path,
+        mime: null,
+        size: 0
+      };
+
+      return Promise.all([
+        this._setCached('stat', path, stat),
+        this._setCached('readdir', path, []),
+        this._updateListing(path, list => list.concat([stat]))
+      ]).then(() => true);
+    } else if (method === 'unlink') {
+      return Promise.all([
+        this._removeCached(path),
+        this._updateListing(path, list => list)
+      ]).then(() => true);
+    } else if (method === 'rename') {
+      const [from, to] = args;
+      const toFilename = getFilename(to.path);
+
+      return Promise.all(CACHED_METHODS.map(m => this._getCached(m, from.path)))
+        .then(([readdir, readfile, stat]) => {
+          const newStat = stat ? Object.assign({}, stat, {path: to.path, filename: toFilename}) : null;
+
+          return Promise.all([
+            this._removeCached(from.path),
+            this._updateListing(from.path, list => list),
+            readdir ? this._setCached('readdir', to.path, readdir) : null,
+            readfile ? this._setCached('readfile', to.path, readfile) : null,
+            newStat ? this._setCached('stat', to.path, newStat) : null,
+            newStat ? this._updateListing(to.path, list => list.concat([newStat])) : null
+          ]);
+        })
+        .then(() => true);
+    }
+
+    return Promise.resolve(true);
+  }
+
+  /**
+   * Queues an operation while offline
+   */
+  _enqueue(mount, method, args) {
+    const [file] = args;
+    const path = normalizePath(file.path);
+
+    return Promise.all([
+      this._getCached('stat', file.path),
+      this.database().entries('queue')
+    ])
+      .then(([cachedStat, queued]) => {
+        const [, second, options] = args;
+
+        // Compare with the remote state from before the first queued
+        // change, not the local state from the previous one
+        const previous = queued
+          .map(([, entry]) => entry)
+          .find(entry => normalizePath(entry.path) === path);
+
+        const stat = previous
+          ? (previous.existed ? {mtime: previous.mtime} : null)
+          : cachedStat;
+
+        const entry = {
+          mount: mount.name,
+          method,
+          path: file.path,
+          args: method === 'rename'
+            ? [{path: file.path}, {path: second.path}, storableOptions(options)]
+            : method === 'writefile'
+              ? [{path: file.path}, second, storableOptions(options)]
+              : [{path: file.path}, storableOptions(second)],
+          mtime: getMtime(stat),
+          existed: !!stat,
+          conflict: null,
+          created: new Date().toISOString()
+        };
+
+        return this.database().add('queue', entry);
+      })
+      .then(() => {
+        this.core.emit('osjs/vfs:offline:queue', method, file.path);
+
+        return this._applyLocal(method, args);
+      });
+  }
+
+  /**
+   * Gets the list of queued operations
+   * @return {Promise<Object[], Error>}
+   */
+  list() {
+    return this.database()
+      .entries('queue')
+      .then(entries => entries.map(([id, entry]) => Object.assign({id}, entry, {
+        args: undefined
+      })));
+  }
+
+  /**
+   * Checks if a queued operation conflicts with the remote
+   */
+  _checkConflict(adapter, mount, entry) {
+    if (entry.method === 'mkdir') {
+      return Promise.resolve(null);
+    }
+
+    return adapter.exists({path: entry.path}, {}, mount)
+      .then(exists => {
+        if (!exists) {
+          // Removed remotely, but changed locally
+          return entry.existed && entry.method !== 'unlink'
+            ? {exists: false}
+            : null;
+        }
+
+        return adapter.stat({path: entry.path}, {}, mount)
+          .then(stat => {
+            const mtime = getMtime(stat);
+            const changed = !entry.existed || (entry.mtime && mtime && mtime !== entry.mtime);
+
+            return changed ? {exists: true, stat} : null;
+          });
+      });
+  }
+
+  /**
+   * Updates the remote state that later queued operations
+   * on the same paths are compared against
+   */
+  _updateBaseline(adapter, mount, id, entry) {
+    const getState = path => adapter.exists({path}, {}, mount)
+      .then(exists => exists
+        ? adapter.stat({path}, {}, mount).then(stat => ({path, existed: true, mtime: getMtime(stat)}))
+        : {path, existed: false, mtime: null});
+
+    return Promise.all(getEntryPaths(entry).map(getState))
+      .then(states => this.database()
+        .entries('queue')
+        .then(entries => Promise.all(entries
+          .filter(([key, found]) => key > id && !found.conflict)
+          .map(([key, found]) => {
+            const state = states.find(s => s.path === normalizePath(found.path));
+
+            return state
+              ? this.database().set('queue', key, Object.assign({}, found, {
+                mtime: state.mtime,
+                existed: state.existed
+              }))
+              : null;
+          }))))
+      .catch(error => console.warn('Failed to update offline queue', error));
+  }
+
+  /**
+   * Replays a single queued operation
+   */
+  _replay(mounts, id, entry, force = false) {
+    const mount = mounts.find(m => m.name === entry.mount);
+    if (!mount) {
+      return this.database().remove('queue', id);
+    }
+
+    const adapter = mount._adapter._offlineOriginal || mount._adapter;
+    const run = () => adapter[entry.method](...entry.args, mount)
+      .then(() => this._invalidate(entry.method, entry.args))
+      .then(() => this._updateBaseline(adapter, mount, id, entry))
+      .then(() => this.database().remove('queue', id))
+      .then(() => this.core.emit(`osjs/vfs:${entry.method}`, ...entry.args));
+
+    if (force) {
+      return run();
+    }
+
+    return this._checkConflict(adapter, mount, entry)
+      .then(conflict => {
+        if (conflict) {
+          const updated = Object.assign({}, entry, {conflict});
+
+          return this.database()
+            .set('queue', id, updated)
+            .then(() => this.core.emit('osjs/vfs:offline:conflict', Object.assign({id}, updated, {
+              args: undefined
+            })));
+        }
+
+        return run();
+      });
+  }
+
+  /**
+   * Replays all queued operations
+   *
+   * @desc Operations on a path (or below it) that has a conflict
+   * are held back until the conflict is resolved.
+   * @param {Mountpoint[]} mounts Mountpoints
+   * @return {Promise<Object, Error>} Number of synced, conflicting and held operations
+   */
+  sync(mounts) {
+    if (this.syncing || this.isOffline()) {
+      return Promise.resolve({synced: 0, conflicts: 0, held: 0});
+    }
+
+    this.syncing = true;
+
+    let synced = 0;
+    let conflicts = 0;
+    let held = 0;
+    let blocked = [];
+
+    const isBlocked = entry => getEntryPaths(entry)
+      .some(path => blocked.some(root => isWithin(root, path)));
+
+    const block = entry => (blocked = blocked.concat(getEntryPaths(entry)));
+
+    const next = entries => {
+      if (!entries.length || this.isOffline()) {
+        return Promise.resolve();
+      }
+
+      const [id, ...rest] = entries;
+
+      // Replaying might have updated the entry
+      return this.database()
+        .get('queue', id)
+        .then(entry => {
+          if (!entry) {
+            return next(rest);
+          } else if (entry.conflict) {
+            conflicts++;
+            block(entry);
+            return next(rest);
+          } else if (isBlocked(entry)) {
+            held++;
+            block(entry);
+            return next(rest);
+          }
+
+          return this._replay(mounts, id, entry)
+            .then(() => this.database().get('queue', id))
+            .then(found => {
+              if (found && found.conflict) {
+                conflicts++;
+                block(entry);
+              } else {
+                synced++;
+              }
+
+              return next(rest);
+            });
+        });
+    };
+
+    return this.database()
+      .keys('queue')
+      .then(next)
+      .then(() => {
+        this.syncing = false;
+        this.core.emit('osjs/vfs:offline:sync', synced, conflicts, held);
+
+        return {synced, conflicts, held};
+      })
+      .catch(error => {
+        this.syncing = false;
+        throw error;
+      });
+  }
+
+  /**
+   * Resolves a conflict
+   * @param {Mountpoint[]} mounts Mountpoints
+   * @param {Number} id Queue entry ID
+   * @param {String} strategy 'local' to overwrite remote, 'remote' to discard local change
+   * @return {Promise<Boolean, Error>}
+   */
+  resolve(mounts, id, strategy) {
+    return this.database()
+      .get('queue', id)
+      .then(entry => {
+        if (!entry) {
+          return false;
+        }
+
+        if (strategy === 'local') {
+          return this._replay(mounts, id, entry, true).then(() => true);
+        }
+
+        return this.database()
+          .remove('queue', id)
+          .then(() => this._invalidate(entry.method, entry.args))
+          .then(() => true);
+      });
+  }
+}
@@ -0,0 +1,538 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import {basename, getMimeType, createSearchMatcher, hasRange, sliceArrayBuffer, toKey, parentKey, toArrayBuffer, createStat, createUpload} from '../utils/vfs';
+import {signRequest, presignUrl, hashPayload, encodePath, encodeQuery} from '../utils/sigv4';
+
+/*
+ * Gets the text of the first element with given name
+ */
+const getText = (el, name) => {
+  const found = el.getElementsByTagName(name)[0];
+  return found ? found.textContent : null;
+};
+
+/*
+ * Parses a XML response
+ */
+const parseXml = text => new window.DOMParser()
+  .parseFromString(text, 'application/xml');
+
+/**
+ * S3 VFS Adapter
+ *
+ * @desc Accesses an Amazon S3 (or compatible) bucket directly from the browser.
+ * Directories are emulated with key prefixes, and empty directories are
+ * stored as zero-byte objects ending with '/'. The bucket needs a CORS
+ * configuration that allows the methods used and exposes the `ETag` header.
+ *
+ * The mountpoint `connection` property takes the following options:
+ * - `bucket` The bucket name
+ * - `region` The region (default 'us-east-1')
+ * - `endpoint` The address of a compatible service (default is AWS)
+ * - `pathStyle` Use path-style addressing (default when an endpoint is set)
+ * - `prefix` Only use keys below this prefix
+ * - `accessKeyId`, `secretAccessKey` and `sessionToken` Credentials
+ * - `partSize` Size of parts in multipart uploads (minimum and default 5MB)
+ * - `expires` Expiration of presigned URLs in seconds (default 3600)
+ *
+ * For development, `scripts/s3-standin.js` runs a local server to mount.
+ *
+ * @example
+ * {
+ *   name: 's3',
+ *   label: 'Storage',
+ *   adapter: 's3',
+ *   connection: {
+ *     endpoint: 'http://localhost:9000',
+ *     bucket: 'osjs',
+ *     accessKeyId: 'minioadmin',
+ *     secretAccessKey: 'minioadmin'
+ *   }
+ * }
+ */
+const adapter = (core) => {
+  const _ = (...args) => core.make('osjs/locale').translate(...args);
+  const minPartSize = 5 * 1024 * 1024;
+
+  const connection = mount => {
+    const options = Object.assign({
+      region: 'us-east-1',
+      prefix: '',
+      partSize: minPartSize,
+      expires: 3600
+    }, mount.connection || {});
+
+    return Object.assign(options, {
+      endpoint: (options.endpoint || `https://s3.${options.region}.amazonaws.com`).replace(/\/$/, ''),
+      pathStyle: typeof options.pathStyle === 'boolean' ? options.pathStyle : !!options.endpoint,
+      prefix: options.prefix.replace(/^\/+|\/+$/g, '') + (options.prefix ? '/' : ''),
+      partSize: Math.max(minPartSize, options.partSize)
+    });
+  };
+
+  const credentials = mount => {
+    const {accessKeyId, secretAccessKey, sessionToken, region} = connection(mount);
+    return {accessKeyId, secretAccessKey, sessionToken, region, service: 's3'};
+  };
+
+  // Gets the object key, ie. '/foo/bar.txt' => 'prefix/foo/bar.txt'
+  const objectKey = (mount, key) => connection(mount).prefix + key.substr(1);
+
+  // Gets the prefix of the objects in a directory
+  const directoryPrefix = (mount, key) => key === '/'
+    ? connection(mount).prefix
+    : `${objectKey(mount, key)}/`;
+
+  // Gets the key from an object key
+  const fromObjectKey = (mount, name) =>
+    toKey(name.substr(connection(mount).prefix.length));
+
+  const createUrl = (mount, name) => {
+    const {endpoint, bucket, pathStyle} = connection(mount);
+    const path = encodePath(name);
+
+    if (pathStyle) {
+      return `${endpoint}/${bucket}/${path}`;
+    }
+
+    const url = new URL(endpoint);
+    return `${url.protocol}//${bucket}.${url.host}/${path}`;
+  };
+
+  const createError = (mount, key, response) => response.text()
+    .then(text => {
+      const code = text ? getText(parseXml(text), 'Code') : null;
+      const path = `${mount.name}:${key}`;
+
+      let error;
+      if (response.status === 404) {
+        error = new Error(_('ERR_VFS_NOT_FOUND', path));
+      } else if (response.status === 403) {
+        error = new Error(_('ERR_VFS_PERMISSION_DENIED', mount.name));
+      } else {
+        error = new Error(_('ERR_REQUEST_NOT_OK', code || `${response.status} (${response.statusText})`));
+      }
+
+      error.status = response.status;
+      return error;
+    });
+
+  // Performs a signed request. Options `name` is the object key if not the key
+  const request = (mount, method, key, options = {}) => {
+    const name = typeof options.name === 'string' ? options.name : objectKey(mount, key);
+    const url = createUrl(mount, name);
+    const query = options.query || {};
+    const body = options.body;
+
+    return hashPayload(body)
+      .then(payloadHash => signRequest({
+        method,
+        url,
+        query,
+        payloadHash,
+        headers: options.headers || {}
+      }, credentials(mount)))
+      .then(headers => window.fetch(Object.keys(query).length ? `${url}?${encodeQuery(query)}` : url, {
+        method,
+        headers,
+        body,
+        signal: options.signal
+      }))
+      .then(response => {
+        if (options.optional && response.status === 404) {
+          return null;
+        } else if (!response.ok) {
+          return createError(mount, key, response)
+            .then(error => {
+              throw error;
+            });
+        }
+
+        return response;
+      });
+  };
+
+  // Lists all objects with given prefix
+  const list = (mount, prefix, delimiter, maxKeys, signal) => {
+    const next = (token, result) => request(mount, 'GET', '/', {
+      name: '',
+      signal,
+      query: Object.assign({
+        'list-type': '2',
+        prefix
+      }, delimiter ? {delimiter} : {}, maxKeys ? {'max-keys': String(maxKeys)} : {}, token ? {
+        'continuation-token': token
+      } : {})
+    })
+      .then(response => response.text())
+      .then(text => {
+        const doc = parseXml(text);
+
+        const files = Array.from(doc.getElementsByTagName('Contents'))
+          .map(el => ({
+            name: getText(el, 'Key'),
+            size: parseInt(getText(el, 'Size') || '0', 10),
+            mtime: getText(el, 'LastModified')
+          }));
+
+        const prefixes = Array.from(doc.getElementsByTagName('CommonPrefixes'))
+          .map(el => getText(el, 'Prefix'));
+
+        const merged = {
+          files: result.files.concat(files),
+          prefixes: result.prefixes.concat(prefixes)
+        };
+
+        const truncated = getText(doc, 'IsTruncated') === 'true';
+
+        return truncated && !maxKeys
+          ? next(getText(doc, 'NextContinuationToken'), merged)
+          : merged;
+      });
+
+    return next(null, {files: [], prefixes: []});
+  };
+
+  // Gets the stat of a file or directory, or null if not found
+  const find = (mount, key) => {
+    if (key === '/') {
+      return Promise.resolve(createStat(mount, key, {isDirectory: true}));
+    }
+
+    return request(mount, 'HEAD', key, {optional: true})
+      .then(response => {
+        if (response) {
+          return createStat(mount, key, {
+            isDirectory: false,
+            mime: response.headers.get('content-type'),
+            size: parseInt(response.headers.get('content-length') || '0', 10),
+            mtime: new Date(response.headers.get('last-modified')).toISOString()
+          });
+        }
+
+        return list(mount, directoryPrefix(mount, key), null, 1)
+          .then(({files}) => files.length > 0
+            ? createStat(mount, key, {isDirectory: true})
+            : null);
+      });
+  };
+
+  const stat = (mount, key) => find(mount, key)
+    .then(found => {
+      if (!found) {
+        throw new Error(_('ERR_VFS_NOT_FOUND', `${mount.name}:${key}`));
+      }
+
+      return found;
+    });
+
+  const exists = (mount, key) => find(mount, key)
+    .then(found => found !== null);
+
+  const assertNotExists = (mount, key) => exists(mount, key)
+    .then(found => {
+      if (found) {
+        throw new Error(_('ERR_VFS_EXISTS', `${mount.name}:${key}`));
+      }
+    });
+
+  // Copies an object on the server
+  const copyObject = (mount, from, to, headers = {}) => {
+    const {bucket} = connection(mount);
+
+    return request(mount, 'PUT', to, {
+      name: to,
+      headers: Object.assign({
+        'x-amz-copy-source': `/${bucket}/${encodePath(from)}`
+      }, headers)
+    });
+  };
+
+  // Gets all objects of a file or directory
+  const collect = (mount, key) => stat(mount, key)
+    .then(({isDirectory}) => isDirectory
+      ? list(mount, directoryPrefix(mount, key)).then(({files}) => files.map(f => f.name))
+      : [objectKey(mount, key)]);
+
+  const remove = (mount, key) => collect(mount, key)
+    .then(names => names.reduce((promise, name) => promise
+      .then(() => request(mount, 'DELETE', key, {name})), Promise.resolve()))
+    .then(() => true);
+
+  const copy = (mount, from, to) => {
+    if (to === from || to.indexOf(`${from}/`) === 0) {
+      return Promise.reject(new Error(_('ERR_VFS_INVALID_DESTINATION', `${mount.name}:${to}`)));
+    }
+
+    const source = objectKey(mount, from);
+    const destination = objectKey(mount, to);
+
+    return assertNotExists(mount, to)
+      .then(() => collect(mount, from))
+      .then(names => names.reduce((promise, name) => promise
+        .then(() => copyObject(mount, name, destination + name.substr(source.length))), Promise.resolve()))
+      .then(() => true);
+  };
+
+  /*
+   * Uploads a file. Large files are sent in parts, and a failed
+   * part is retried without restarting the upload. Files sent in one
+   * request are only retried with the `retry` option.
+   */
+  const upload = (mount, key, data, options = {}) => {
+    const {partSize} = connection(mount);
+    const {signal} = options;
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const type = blob.type && blob.type !== 'application/octet-stream'
+      ? blob.type
+      : getMimeType(key, 'application/octet-stream');
+
+    const total = blob.size;
+    const {progress, checkAborted, retry, run} = createUpload(core, `${mount.name}:${key}`, total, options);
+
+    const single = () => toArrayBuffer(blob)
+      .then(body => retry(() => request(mount, 'PUT', key, {
+        body,
+        signal,
+        headers: {'Content-Type': type}
+      }), options.retry === true));
+
+    const multipart = () => retry(() => request(mount, 'POST', key, {
+      signal,
+      query: {uploads: ''},
+      headers: {'Content-Type': type}
+    }))
+      .then(response => response.text())
+      .then(text => getText(parseXml(text), 'UploadId'))
+      .then(uploadId => {
+        const parts = [];
+
+        const send = offset => {
+          if (offset >= total) {
+            return Promise.resolve();
+          }
+
+          checkAborted();
+
+          const partNumber = parts.length + 1;
+
+          return toArrayBuffer(blob.slice(offset, offset + partSize))
+            .then(body => retry(() => request(mount, 'PUT', key, {
+              body,
+              signal,
+              query: {partNumber: String(partNumber), uploadId}
+            })))
+            .then(response => {
+              parts.push({partNumber, etag: response.headers.get('etag')});
+              progress(Math.min(total, offset + partSize), false);
+
+              return send(offset + partSize);
+            });
+        };
+
+        const complete = () => '<CompleteMultipartUpload>' + parts
+          .map(p => `<Part><PartNumber>${p.partNumber}</PartNumber><ETag>${p.etag}</ETag></Part>`)
+          .join('') + '</CompleteMultipartUpload>';
+
+        return send(0)
+          .then(() => retry(() => request(mount, 'POST', key, {
+            signal,
+            query: {uploadId},
+            body: complete(),
+            headers: {'Content-Type': 'application/xml'}
+          })))
+          .catch(error => request(mount, 'DELETE', key, {query: {uploadId}})
+            .catch(err => console.warn('Failed to abort upload', err))
+            .then(() => {
+              throw error;
+            }));
+      });
+
+    return run(() => total > partSize ? multipart() : single())
+      .then(() => total);
+  };
+
+  return {
+    readdir: ({path}, options, mount) => {
+      const key = toKey(path);
+      const prefix = directoryPrefix(mount, key);
+
+      return list(mount, prefix, '/')
+        .then(({files, prefixes}) => {
+          if (key !== '/' && files.length === 0 && prefixes.length === 0) {
+            throw new Error(_('ERR_VFS_NOT_FOUND', `${mount.name}:${key}`));
+          }
+
+          const directories = prefixes
+            .map(name => createStat(mount, fromObjectKey(mount, name), {isDirectory: true}));
+
+          return directories.concat(files
+            .filter(f => f.name !== prefix)
+            .map(f => createStat(mount, fromObjectKey(mount, f.name), {
+              isDirectory: false,
+              size: f.size,
+              mtime: f.mtime
+            })));
+        });
+    },
+
+    readfile: ({path}, type, options = {}, mount) => {
+      const {start, end, signal} = options;
+      const headers = hasRange(options)
+        ? {Range: `bytes=${start || 0}-${typeof end === 'number' ? end : ''}`}
+        : {};
+
+      return request(mount, 'GET', toKey(path), {headers, signal})
+        .then(response => {
+          const mime = response.headers.get('content-type') || getMimeType(path);
+
+          // In case the server does not support ranges
+          const slice = hasRange(options) && response.status === 200;
+
+          if (type === 'stream' && response.body && !slice) {
+            return {mime, body: response.body};
+          }
+
+          return response.arrayBuffer()
+            .then(body => ({
+              mime,
+              body: slice ? sliceArrayBuffer(body, options) : body
+            }));
+        });
+    },
+
+    writefile: ({path}, data, options, mount) =>
+      upload(mount, toKey(path), data, options),
+
+    copy: (from, to, options, mount) =>
+      copy(mount, toKey(from.path), toKey(to.path)),
+
+    rename: (from, to, options, mount) =>
+      copy(mount, toKey(from.path), toKey(to.path))
+        .then(() => remove(mount, toKey(from.path))),
+
+    mkdir: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return assertNotExists(mount, key)
+        .then(() => request(mount, 'PUT', key, {
+          name: directoryPrefix(mount, key),
+          body: new ArrayBuffer(0)
+        }))
+        .then(() => true);
+    },
+
+    unlink: ({path}, options, mount) => {
+      const key = toKey(path);
+      if (key === '/') {
+        return Promise.reject(new Error(_('ERR_VFS_INVALID_DESTINATION', path)));
+      }
+
+      return remove(mount, key);
+    },
+
+    exists: ({path}, options, mount) =>
+      exists(mount, toKey(path)),
+
+    stat: ({path}, options, mount) =>
+      stat(mount, toKey(path)),
+
+    url: ({path}, options, mount) => presignUrl({
+      url: createUrl(mount, objectKey(mount, toKey(path))),
+      expires: connection(mount).expires
+    }, credentials(mount)),
+
+    download: ({path}, options = {}, mount) => {
+      const key = toKey(path);
+      const filename = basename(key).replace(/"/g, '');
+
+      return presignUrl({
+        url: createUrl(mount, objectKey(mount, key)),
+        expires: connection(mount).expires,
+        query: {'response-content-disposition': `attachment; filename="${filename}"`}
+      }, credentials(mount))
+        .then(url => (options.target || window).open(url));
+    },
+
+    search: ({path}, pattern, options, mount) => {
+      const key = toKey(path);
+      const matches = createSearchMatcher(pattern);
+
+      return list(mount, directoryPrefix(mount, key), null, null, options.signal)
+        .then(({files}) => {
+          const found = {};
+
+          // Directories only exists as parts of the object keys
+          files.forEach(f => {
+            const fileKey = fromObjectKey(mount, f.name);
+            const isDirectory = f.name.substr(-1) === '/';
+
+            for (let parent = parentKey(fileKey); parent.length > key.length; parent = parentKey(parent)) {
+              found[parent] = found[parent] || createStat(mount, parent, {isDirectory: true});
+            }
+
+            if (fileKey !== key) {
+              found[fileKey] = createStat(mount, fileKey, {
+                isDirectory,
+                size: isDirectory ? 0 : f.size,
+                mtime: f.mtime
+              });
+            }
+          });
+
+          return Object.keys(found)
+            .map(k => found[k])
+            .filter(stat => matches(stat.filename));
+        });
+    },
+
+    touch: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return find(mount, key)
+        .then(found => {
+          if (!found) {
+            return upload(mount, key, new ArrayBuffer(0));
+          } else if (found.isDirectory) {
+            return true;
+          }
+
+          // Copying an object onto itself updates the modification time
+          return copyObject(mount, objectKey(mount, key), objectKey(mount, key), {
+            'x-amz-metadata-directive': 'REPLACE',
+            'Content-Type': found.mime
+          });
+        })
+        .then(() => true);
+    }
+  };
+};
+
+export default adapter;
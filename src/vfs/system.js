@@ -28,15 +28,24 @@
  * @licence Simplified BSD License
  */
 
+import {hasRange, sliceArrayBuffer, toArrayBuffer, createUpload} from '../utils/vfs';
+
+/*
+ * Removes options that cannot be sent to the server
+ */
+const serializeOptions = options => Object.keys(options)
+  .filter(k => ['onProgress', 'signal', 'retry'].indexOf(k) === -1)
+  .reduce((result, k) => Object.assign(result, {[k]: options[k]}), {});
+
 const adapter = (core) => {
 
   const getters = ['exists', 'stat', 'readdir', 'readfile'];
 
-  const request = (fn, body, type) =>
-    core.request(core.url(`/vfs/${fn}`), {
+  const request = (fn, body, type, options = {}) =>
+    core.request(core.url(`/vfs/${fn}`), Object.assign({
       body,
       method: getters.indexOf(fn) !== -1 ? 'get' : 'post'
-    }, type)
+    }, options), type === 'stream' ? null : type)
       .then(response => {
         if (type === 'json') {
           return {mime: 'application/json', body: response};
@@ -44,30 +53,134 @@ const adapter = (core) => {
 
         const contentType = response.headers.get('content-type') || 'application/octet-stream';
 
+        if (type === 'stream' && response.body) {
+          return {mime: contentType, body: response.body, status: response.status};
+        }
+
         return response.arrayBuffer().then(result => ({
           mime: contentType,
-          body: result
+          body: result,
+          status: response.status
         }));
       });
 
+  /*
+   * Uploads a file, in chunks if enabled. A chunk that fails because of
+   * the network or the server being unavailable is retried from the same
+   * offset, so the upload does not restart from zero. Uploads sent in one
+   * request are only retried with the `retry` option.
+   * Chunked uploads are sent with `uploadId`, `offset`, `total` and
+   * `final` fields, which the server has to support.
+   */
+  const upload = (path, data, options = {}) => {
+    const {chunkSize} = Object.assign({
+      chunkSize: 0
+    }, core.config('vfs.upload', {}));
+
+    const blob = data instanceof Blob ? data : new Blob([data]);
+    const total = blob.size;
+    const chunked = chunkSize > 0 && total > chunkSize;
+    const retryable = chunked || options.retry === true;
+    const {id, progress, retry, run} = createUpload(core, path, total, options);
+
+    const send = offset => {
+      const chunk = chunked ? blob.slice(offset, offset + chunkSize) : blob;
+      const final = offset + chunk.size >= total;
+
+      const formData = new FormData();
+      formData.append('upload', chunk);
+      formData.append('path', path);
+      formData.append('options', JSON.stringify(serializeOptions(options)));
+
+      if (chunked) {
+        formData.append('uploadId', id);
+        formData.append('offset', String(offset));
+        formData.append('total', String(total));
+        formData.append('final', String(final));
+      }
+
+      return retry(() => request('writefile', formData, undefined, {signal: options.signal}), retryable)
+        .then(({body}) => {
+          if (final) {
+            return body;
+          }
+
+          progress(offset + chunk.size, false);
+          return send(offset + chunk.size);
+        });
+    };
+
+    return run(() => send(0));
+  };
+
+  /*
+   * Subscribes to changes pushed by the server. Gives up quickly
+   * so that the watcher can fall back to polling if not supported.
+   */
+  const watch = (path, callback, options) => {
+    if (!core.rpc || !core.connected) {
+      return Promise.reject(new Error('No connection'));
+    }
+
+    const {timeout} = Object.assign({
+      timeout: 5000
+    }, core.config('vfs.watch', {}));
+
+    const subscription = core.rpc.subscribe('vfs.watch', callback, {
+      path,
+      recursive: !!options.recursive
+    });
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('Watch subscription timed out'));
+
+        subscription
+          .then(unsubscribe => unsubscribe())
+          .catch(() => {});
+      }, timeout);
+
+      subscription
+        .then(unsubscribe => {
+          clearTimeout(timer);
+          resolve(unsubscribe);
+        })
+        .catch(error => {
+          clearTimeout(timer);
+          reject(error);
+        });
+    });
+  };
+
   return {
     readdir: ({path}, options) => request('readdir', {
       path,
       options: {}
     }, 'json').then(({body}) => body),
 
-    readfile: ({path}, type, options) =>
-      request('readfile', {path, options}),
-
-    writefile: ({path}, data, options) => {
-      const formData = new FormData();
-      formData.append('upload', data);
-      formData.append('path', path);
-      formData.append('options', options);
+    readfile: ({path}, type, options = {}) => {
+      const {start, end, signal} = options;
+      const headers = hasRange(options)
+        ? {Range: `bytes=${start || 0}-${typeof end === 'number' ? end : ''}`}
+        : {};
+
+      return request('readfile', {path, options}, type === 'stream' ? 'stream' : null, {
+        headers,
+        signal
+      }).then(result => {
+        // In case the server does not support ranges
+        if (hasRange(options) && result.status === 200) {
+          return toArrayBuffer(result.body)
+            .then(body => Object.assign(result, {body: sliceArrayBuffer(body, options)}));
+        }
 
-      return request('writefile', formData).then(({body}) => body);
+        return result;
+      });
     },
 
+    writefile: ({path}, data, options) =>
+      upload(path, data, options),
+
     copy: (from, to, options) =>
       request('copy', {from: from.path, to: to.path, options}, 'json').then(({body}) => body),
 
@@ -89,13 +202,18 @@ const adapter = (core) => {
     url: ({path}, options) =>
       Promise.resolve(core.url(`/vfs/readfile?path=${encodeURIComponent(path)}`)),
 
-    search: ({path}, pattern, options) =>
-      request('search', {root: path, pattern, options}, 'json')
+    search: ({path}, pattern, options = {}) =>
+      request('search', {root: path, pattern, options: serializeOptions(options)}, 'json', {
+        signal: options.signal
+      })
         .then(({body}) => body),
 
     touch: ({path}, options) =>
       request('touch', {path, options}, 'json').then(({body}) => body),
 
+    watch: ({path}, callback, options = {}) =>
+      watch(path, callback, options),
+
     download: ({path}, options = {}) => {
       const json = encodeURIComponent(JSON.stringify({download: true}));
 
@@ -0,0 +1,318 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import {basename, getMimeType, createSearchMatcher, humanFileSize, sliceArrayBuffer, toKey, parentKey, isWithin, toArrayBuffer, createStat} from '../utils/vfs';
+
+/*
+ * Creates a new entry
+ */
+const createEntry = (path, isDirectory, attributes = {}) => {
+  const now = new Date().toISOString();
+
+  return Object.assign({
+    path,
+    isDirectory,
+    mime: isDirectory ? null : getMimeType(path),
+    size: 0,
+    ctime: now,
+    mtime: now,
+    body: null,
+    url: null
+  }, attributes);
+};
+
+/**
+ * Temporary (in-memory) VFS Adapter
+ *
+ * @desc Files are kept in memory and removed when the user logs out.
+ * The `quota` mountpoint attribute sets the maximum total size in bytes.
+ */
+const adapter = (core) => {
+  const filesystems = {};
+  const _ = (...args) => core.make('osjs/locale').translate(...args);
+
+  const revoke = entry => {
+    if (entry.url) {
+      window.URL.revokeObjectURL(entry.url);
+      entry.url = null;
+    }
+  };
+
+  const clear = name => {
+    if (filesystems[name]) {
+      Object.keys(filesystems[name]).forEach(key => revoke(filesystems[name][key]));
+      delete filesystems[name];
+    }
+  };
+
+  core.on('osjs/core:destroy', () => Object.keys(filesystems).forEach(clear));
+
+  const fs = mount => {
+    if (!filesystems[mount.name]) {
+      filesystems[mount.name] = {'/': createEntry('/', true)};
+    }
+
+    return filesystems[mount.name];
+  };
+
+  const entries = mount => {
+    const files = fs(mount);
+    return Object.keys(files).map(key => files[key]);
+  };
+
+  const usage = mount => entries(mount)
+    .reduce((total, entry) => total + entry.size, 0);
+
+  const find = (mount, key) => {
+    const entry = fs(mount)[key];
+    if (!entry) {
+      throw new Error(_('ERR_VFS_NOT_FOUND', `${mount.name}:${key}`));
+    }
+
+    return entry;
+  };
+
+  const findDirectory = (mount, key) => {
+    const entry = find(mount, key);
+    if (!entry.isDirectory) {
+      throw new Error(_('ERR_VFS_NOT_DIRECTORY', `${mount.name}:${key}`));
+    }
+
+    return entry;
+  };
+
+  const findFile = (mount, key) => {
+    const entry = find(mount, key);
+    if (entry.isDirectory) {
+      throw new Error(_('ERR_VFS_IS_DIRECTORY', `${mount.name}:${key}`));
+    }
+
+    return entry;
+  };
+
+  const assertNotExists = (mount, key) => {
+    if (fs(mount)[key]) {
+      throw new Error(_('ERR_VFS_EXISTS', `${mount.name}:${key}`));
+    }
+  };
+
+  const assertQuota = (mount, added) => {
+    const quota = mount.attributes && mount.attributes.quota;
+
+    if (quota > 0 && usage(mount) + added > quota) {
+      throw new Error(_('ERR_VFS_QUOTA_EXCEEDED', mount.name, humanFileSize(quota)));
+    }
+  };
+
+  // Gets an entry and all entries below it
+  const collect = (mount, key) => {
+    find(mount, key);
+
+    return entries(mount)
+      .filter(entry => isWithin(key, entry.path));
+  };
+
+  const remove = (mount, key) => {
+    collect(mount, key)
+      .filter(entry => entry.path !== '/')
+      .forEach(entry => {
+        revoke(entry);
+        delete fs(mount)[entry.path];
+      });
+
+    return true;
+  };
+
+  const copy = (mount, from, to, move = false) => {
+    if (to === from || isWithin(from, to)) {
+      throw new Error(_('ERR_VFS_INVALID_DESTINATION', `${mount.name}:${to}`));
+    }
+
+    findDirectory(mount, parentKey(to));
+    assertNotExists(mount, to);
+
+    const list = collect(mount, from);
+    if (!move) {
+      assertQuota(mount, list.reduce((total, entry) => total + entry.size, 0));
+    }
+
+    list.forEach(entry => {
+      const key = to + entry.path.substr(from.length);
+
+      fs(mount)[key] = Object.assign({}, entry, {
+        path: key,
+        mime: entry.isDirectory ? null : getMimeType(key, entry.mime),
+        mtime: new Date().toISOString(),
+        url: null
+      });
+    });
+
+    return true;
+  };
+
+  const write = (mount, key, data) => toArrayBuffer(data)
+    .then(body => {
+      findDirectory(mount, parentKey(key));
+
+      const existing = fs(mount)[key];
+      if (existing && existing.isDirectory) {
+        throw new Error(_('ERR_VFS_IS_DIRECTORY', `${mount.name}:${key}`));
+      }
+
+      assertQuota(mount, body.byteLength - (existing ? existing.size : 0));
+
+      const type = data instanceof Blob && data.type !== 'application/octet-stream'
+        ? data.type
+        : null;
+
+      if (existing) {
+        revoke(existing);
+      }
+
+      fs(mount)[key] = Object.assign(existing || createEntry(key, false), {
+        mime: type || getMimeType(key),
+        size: body.byteLength,
+        mtime: new Date().toISOString(),
+        body
+      });
+
+      return body.byteLength;
+    });
+
+  // Makes sure exceptions from synchronous code becomes rejections
+  const run = fn => new Promise(resolve => resolve(fn()));
+
+  return {
+    readdir: ({path}, options, mount) => run(() => {
+      const key = toKey(path);
+      findDirectory(mount, key);
+
+      return entries(mount)
+        .filter(entry => entry.path !== '/' && parentKey(entry.path) === key)
+        .map(entry => createStat(mount, entry.path, entry));
+    }),
+
+    readfile: ({path}, type, options, mount) => run(() => {
+      const entry = findFile(mount, toKey(path));
+
+      return {
+        body: entry.body
+          ? sliceArrayBuffer(entry.body, options).slice(0)
+          : new ArrayBuffer(0),
+        mime: entry.mime
+      };
+    }),
+
+    writefile: ({path}, data, options, mount) =>
+      write(mount, toKey(path), data),
+
+    copy: (from, to, options, mount) => run(() =>
+      copy(mount, toKey(from.path), toKey(to.path))),
+
+    rename: (from, to, options, mount) => run(() => {
+      const fromKey = toKey(from.path);
+      copy(mount, fromKey, toKey(to.path), true);
+
+      return remove(mount, fromKey);
+    }),
+
+    mkdir: ({path}, options, mount) => run(() => {
+      const key = toKey(path);
+      findDirectory(mount, parentKey(key));
+      assertNotExists(mount, key);
+      fs(mount)[key] = createEntry(key, true);
+
+      return true;
+    }),
+
+    unlink: ({path}, options, mount) => run(() => {
+      const key = toKey(path);
+      if (key === '/') {
+        throw new Error(_('ERR_VFS_INVALID_DESTINATION', path));
+      }
+
+      return remove(mount, key);
+    }),
+
+    exists: ({path}, options, mount) => run(() =>
+      !!fs(mount)[toKey(path)]),
+
+    stat: ({path}, options, mount) => run(() => {
+      const key = toKey(path);
+      return createStat(mount, key, find(mount, key));
+    }),
+
+    url: ({path}, options, mount) => run(() => {
+      const entry = findFile(mount, toKey(path));
+      if (!entry.url) {
+        const blob = new Blob([entry.body || new ArrayBuffer(0)], {type: entry.mime});
+        entry.url = window.URL.createObjectURL(blob);
+      }
+
+      return entry.url;
+    }),
+
+    search: ({path}, pattern, options, mount) => run(() => {
+      const key = toKey(path);
+      const matches = createSearchMatcher(pattern);
+      findDirectory(mount, key);
+
+      return entries(mount)
+        .filter(entry => entry.path !== key && isWithin(key, entry.path))
+        .filter(entry => matches(basename(entry.path)))
+        .map(entry => createStat(mount, entry.path, entry));
+    }),
+
+    touch: ({path}, options, mount) => {
+      const key = toKey(path);
+      const entry = fs(mount)[key];
+
+      if (entry) {
+        entry.mtime = new Date().toISOString();
+        return Promise.resolve(true);
+      }
+
+      return write(mount, key, new ArrayBuffer(0))
+        .then(() => true);
+    },
+
+    mount: (options, mount) => run(() => {
+      fs(mount);
+      return true;
+    }),
+
+    unmount: (options, mount) => run(() => {
+      clear(mount.name);
+      return true;
+    })
+  };
+};
+
+export default adapter;
@@ -0,0 +1,425 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import * as VFS from './methods';
+import {pathJoin, isWithin, createAlternativePath} from '../utils/vfs';
+
+/*
+ * Gets path from a file object or string
+ */
+const getPath = file => typeof file === 'string' ? file : file.path;
+
+/*
+ * Normalizes a conflict callback result
+ */
+const toResolution = result => typeof result === 'string'
+  ? {action: result, applyToAll: false}
+  : Object.assign({action: 'skip', applyToAll: false}, result || {});
+
+/**
+ * A transfer conflict
+ * @property {String} source Source path
+ * @property {String} destination Destination path
+ * @property {Boolean} isDirectory If source is a directory
+ * @typedef TransferConflict
+ */
+
+/**
+ * Transfer progress
+ * @property {Object} file Current file
+ * @property {String} file.source Source path
+ * @property {String} file.destination Destination path
+ * @property {Number} file.loaded Bytes transferred for this file
+ * @property {Number} file.total Size of this file
+ * @property {Number} loaded Total bytes transferred
+ * @property {Number} total Total bytes
+ * @property {Number} files Number of files transferred
+ * @property {Number} totalFiles Total number of files
+ * @typedef TransferProgress
+ */
+
+/**
+ * Transfer
+ *
+ * @desc Copies or moves files and directories between mountpoints
+ * when the adapter cannot do it by itself.
+ *
+ * If the destination exists, the `onConflict` callback is called with a
+ * `TransferConflict` and should return (or resolve) one of 'skip', 'overwrite'
+ * or 'rename', or an object `{action, applyToAll}`. Without a callback
+ * existing files are overwritten.
+ */
+export default class Transfer {
+
+  /**
+   * Creates a new transfer
+   * @param {Core} core Core reference
+   * @param {Object} [options] Options
+   * @param {Function} [options.onProgress] Progress callback with `TransferProgress`
+   * @param {Function} [options.onConflict] Conflict callback with `TransferConflict`
+   * @param {AbortSignal} [options.signal] Cancel the transfer with an AbortController
+   */
+  constructor(core, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = options;
+
+    /**
+     * Conflict resolution applied to all remaining conflicts
+     * @type {String}
+     */
+    this.resolution = null;
+
+    /**
+     * Name of the progress event
+     * @type {String}
+     */
+    this.progressEvent = 'osjs/vfs:transfer:progress';
+
+    /**
+     * Progress state
+     * @type {TransferProgress}
+     */
+    this.progress = {
+      file: null,
+      loaded: 0,
+      total: 0,
+      files: 0,
+      totalFiles: 0
+    };
+  }
+
+  /**
+   * Checks if the transfer was cancelled
+   * @throws {Error}
+   */
+  _checkCancelled() {
+    const {signal} = this.options;
+
+    if (signal && signal.aborted) {
+      const _ = this.core.make('osjs/locale').translate;
+      throw new Error(_('ERR_VFS_TRANSFER_CANCELLED'));
+    }
+  }
+
+  /**
+   * Reports progress
+   */
+  _report(file, loaded) {
+    const {onProgress} = this.options;
+    const previous = this.progress.file && this.progress.file.source === file.source
+      ? this.progress.file.loaded
+      : 0;
+
+    this.progress = Object.assign({}, this.progress, {
+      file: {
+        source: file.source,
+        destination: file.destination,
+        loaded,
+        total: file.size
+      },
+      loaded: this.progress.loaded + (loaded - previous)
+    });
+
+    if (typeof onProgress === 'function') {
+      onProgress(this.progress);
+    }
+
+    this.core.emit(this.progressEvent, this.progress);
+  }
+
+  /**
+   * Creates a list of everything that should be transferred
+   */
+  _walk(src, dest) {
+    const {adapter, mount} = src;
+
+    return VFS.stat(adapter, mount)(src.path)
+      .then(stat => {
+        const item = {
+          source: src.path,
+          destination: dest.path,
+          isDirectory: stat.isDirectory,
+          size: stat.isDirectory ? 0 : Math.max(0, stat.size || 0),
+          mtime: stat.stat && stat.stat.mtime
+        };
+
+        if (!stat.isDirectory) {
+          return [item];
+        }
+
+        return VFS.readdir(adapter, mount)(src.path, {showHiddenFiles: true})
+          .then(list => list.filter(iter => iter.filename !== '..'))
+          .then(list => {
+            const walk = (index, result) => index >= list.length
+              ? Promise.resolve(result)
+              : this._walk(
+                Object.assign({}, src, {path: pathJoin(src.path, list[index].filename)}),
+                Object.assign({}, dest, {path: pathJoin(dest.path, list[index].filename)})
+              ).then(items => walk(index + 1, result.concat(items)));
+
+            return walk(0, [item]);
+          });
+      });
+  }
+
+  /**
+   * Resolves a conflict
+   */
+  _resolve(item) {
+    if (this.resolution) {
+      return Promise.resolve(this.resolution);
+    }
+
+    const {onConflict} = this.options;
+    if (typeof onConflict !== 'function') {
+      return Promise.resolve('overwrite');
+    }
+
+    return Promise.resolve(onConflict({
+      source: item.source,
+      destination: item.destination,
+      isDirectory: item.isDirectory
+    }))
+      .then(toResolution)
+      .then(({action, applyToAll}) => {
+        if (applyToAll) {
+          this.resolution = action;
+        }
+
+        return action;
+      });
+  }
+
+  /**
+   * Finds a destination that does not exist
+   */
+  _alternative(dest, path, index = 1) {
+    const candidate = createAlternativePath(path, index);
+
+    return VFS.exists(dest.adapter, dest.mount)(candidate)
+      .then(exists => exists
+        ? this._alternative(dest, path, index + 1)
+        : candidate);
+  }
+
+  /**
+   * Reads the contents of a source file
+   */
+  _read(src, item) {
+    const {signal} = this.options;
+
+    return VFS.readfile(src.adapter, src.mount)(item.source, 'arraybuffer', {signal});
+  }
+
+  /**
+   * Transfers a single file
+   */
+  _copyFile(src, dest, item) {
+    const {signal} = this.options;
+
+    this._report(item, 0);
+
+    return this._read(src, item)
+      .then(ab => {
+        this._checkCancelled();
+
+        return VFS.writefile(dest.adapter, dest.mount)(item.destination, ab, {
+          signal,
+          onProgress: ev => this._report(item, ev.loaded)
+        });
+      })
+      .then(() => {
+        this.progress = Object.assign({}, this.progress, {
+          files: this.progress.files + 1
+        });
+
+        this._report(item, item.size);
+      });
+  }
+
+  /**
+   * Transfers a single item
+   * @return {Promise<Boolean, Error>} If transferred (not skipped)
+   */
+  _transfer(src, dest, item, renamed) {
+    this._checkCancelled();
+
+    // Items inside renamed directories follow their parent
+    const parent = Object.keys(renamed)
+      .find(p => item.destination.indexOf(`${p}/`) === 0);
+
+    if (parent) {
+      item = Object.assign({}, item, {
+        destination: renamed[parent] + item.destination.substr(parent.length)
+      });
+    }
+
+    return VFS.exists(dest.adapter, dest.mount)(item.destination)
+      .then(exists => {
+        if (!exists) {
+          return 'create';
+        }
+
+        return VFS.stat(dest.adapter, dest.mount)(item.destination)
+          .then(stat => {
+            // Existing directories are merged instead of overwritten,
+            // and a file cannot overwrite a directory (or the other way around)
+            if (item.isDirectory && stat.isDirectory) {
+              return this._resolve(item).then(action => action === 'overwrite' ? 'merge' : action);
+            } else if (item.isDirectory !== stat.isDirectory) {
+              return this._resolve(item).then(action => action === 'overwrite' ? 'replace' : action);
+            }
+
+            return this._resolve(item);
+          });
+      })
+      .then(action => {
+        if (action === 'skip') {
+          return false;
+        } else if (action === 'merge') {
+          return true;
+        } else if (action === 'replace') {
+          return VFS.unlink(dest.adapter, dest.mount)(item.destination)
+            .then(() => this._create(src, dest, item));
+        } else if (action === 'rename') {
+          return this._alternative(dest, item.destination)
+            .then(destination => {
+              if (item.isDirectory) {
+                renamed[item.destination] = destination;
+              }
+
+              return this._create(src, dest, Object.assign({}, item, {destination}));
+            });
+        }
+
+        return this._create(src, dest, item);
+      });
+  }
+
+  /**
+   * Creates the destination item
+   */
+  _create(src, dest, item) {
+    return item.isDirectory
+      ? VFS.mkdir(dest.adapter, dest.mount)(item.destination).then(() => true)
+      : this._copyFile(src, dest, item).then(() => true);
+  }
+
+  /**
+   * Runs the transfer
+   * @param {Object} src Source
+   * @param {Object} src.adapter Source adapter
+   * @param {Mountpoint} src.mount Source mountpoint
+   * @param {Object|String} src.path Source path
+   * @param {Object} dest Destination
+   * @param {Object} dest.adapter Destination adapter
+   * @param {Mountpoint} dest.mount Destination mountpoint
+   * @param {Object|String} dest.path Destination path
+   * @param {Boolean} [move=false] Remove source when done
+   * @return {Promise<Object, Error>} Number of transferred and skipped items
+   */
+  run(src, dest, move = false) {
+    src = Object.assign({}, src, {path: getPath(src.path)});
+    dest = Object.assign({}, dest, {path: getPath(dest.path)});
+
+    const renamed = {};
+    const skipped = [];
+    let transferred = 0;
+    let items = [];
+
+    return this._walk(src, dest)
+      .then(result => {
+        items = result;
+
+        const files = items.filter(item => !item.isDirectory);
+
+        this.progress.total = files.reduce((total, item) => total + item.size, 0);
+        this.progress.totalFiles = files.length;
+
+        const next = index => {
+          if (index >= items.length) {
+            return Promise.resolve();
+          }
+
+          const item = items[index];
+          const isSkipped = skipped.some(s => item.source.indexOf(`${s}/`) === 0);
+
+          if (isSkipped) {
+            skipped.push(item.source);
+            return next(index + 1);
+          }
+
+          return this._transfer(src, dest, item, renamed)
+            .then(result => {
+              if (result) {
+                transferred++;
+              } else {
+                skipped.push(item.source);
+              }
+
+              return next(index + 1);
+            });
+        };
+
+        return next(0);
+      })
+      .then(() => {
+        if (!move) {
+          return undefined;
+        }
+
+        this._checkCancelled();
+
+        // Only remove what was actually moved. Directories without
+        // skipped items are removed as a whole.
+        const unlink = VFS.unlink(src.adapter, src.mount);
+        if (skipped.length === 0) {
+          return unlink(src.path);
+        }
+
+        return items
+          .filter(item => !skipped.some(s => isWithin(item.source, s)))
+          .reduce((list, item) => list.some(p => isWithin(p, item.source))
+            ? list
+            : list.concat([item.source]), [])
+          .reduce((promise, path) => promise.then(() => unlink(path)), Promise.resolve());
+      })
+      .then(() => ({transferred, skipped: skipped.length}));
+  }
+}
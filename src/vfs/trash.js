@@ -0,0 +1,353 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import * as VFS from './methods';
+import {basename} from '../utils/vfs';
+
+const INDEX_FILE = '.index.json';
+
+/*
+ * Creates an unique ID for trash entries
+ */
+const createId = () => Date.now().toString(36) +
+  Math.random().toString(36).substr(2, 6);
+
+/**
+ * A trash entry
+ * @property {String} id Entry ID
+ * @property {String} path Original path
+ * @property {String} filename Original filename
+ * @property {Boolean} isDirectory If a directory
+ * @property {Number} size Size in bytes
+ * @property {String} deleted Time of deletion
+ * @typedef TrashEntry
+ */
+
+/**
+ * Trash
+ *
+ * @desc Moves removed files into a trash mountpoint so they can be restored.
+ * Each item is stored in its own directory, and the original paths
+ * are recorded in an index file in the root of the trash.
+ */
+export default class Trash {
+
+  /**
+   * Create trash
+   * @param {Core} core Core reference
+   * @param {Filesystem} fs Filesystem reference
+   * @param {Object} [options] Options
+   * @param {Object} [options.mountpoint] The trash mountpoint
+   * @param {Number} [options.maxAge] Remove items older than this (ms)
+   * @param {Number} [options.maxItems] Maximum number of items to keep
+   */
+  constructor(core, fs, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Filesystem reference
+     * @type {Filesystem}
+     */
+    this.fs = fs;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      mountpoint: {name: 'trash'},
+      maxAge: -1,
+      maxItems: -1
+    }, options);
+
+    /**
+     * Queue of index operations
+     * @type {Promise}
+     */
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Gets the trash mountpoint name
+   * @return {String}
+   */
+  get name() {
+    return this.options.mountpoint.name;
+  }
+
+  /**
+   * Creates the trash mountpoint configuration. Unless set, the
+   * database is named after the current user so that the trash
+   * of a user is not shared with others in the same browser.
+   * @return {Object}
+   */
+  createMountpoint() {
+    const {username} = this.core.getUser() || {};
+    const mountpoint = this.options.mountpoint;
+
+    return Object.assign({}, mountpoint, {
+      attributes: Object.assign({
+        database: `osjs-vfs-trash@${username || 'default'}`
+      }, mountpoint.attributes || {})
+    });
+  }
+
+  /**
+   * Gets the trash mountpoint
+   * @throws {Error}
+   * @return {Mountpoint}
+   */
+  getMountpoint() {
+    const found = this.fs.mounts.find(m => m.name === this.name);
+    if (!found) {
+      const _ = this.core.make('osjs/locale').translate;
+      throw new Error(_('ERR_VFS_MOUNT_NOT_FOUND', this.name));
+    }
+
+    return found;
+  }
+
+  /**
+   * Checks if removed files in given mountpoint goes to trash
+   * @param {Mountpoint} mount The mountpoint
+   * @return {Boolean}
+   */
+  handles(mount) {
+    return mount.name !== this.name &&
+      !(mount.attributes && mount.attributes.trash === false) &&
+      !!this.fs.mounts.find(m => m.name === this.name && m.mounted);
+  }
+
+  /**
+   * Runs an operation that modifies the index (one at a time)
+   */
+  _enqueue(fn) {
+    const result = this.queue.then(fn);
+    this.queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * Gets a VFS method for the trash mountpoint
+   */
+  _vfs(method) {
+    const mount = this.getMountpoint();
+
+    return VFS[method](mount._adapter, mount);
+  }
+
+  /**
+   * Reads the index
+   * @return {Promise<TrashEntry[], Error>}
+   */
+  _readIndex() {
+    const path = `${this.name}:/${INDEX_FILE}`;
+
+    // Errors are not ignored, as writing a new index would lose all entries
+    return this._vfs('exists')(path)
+      .then(exists => exists
+        ? this._vfs('readfile')(path, 'string').then(str => JSON.parse(str))
+        : []);
+  }
+
+  /**
+   * Writes the index
+   * @param {TrashEntry[]} list Entries
+   * @return {Promise<Boolean, Error>}
+   */
+  _writeIndex(list) {
+    const path = `${this.name}:/${INDEX_FILE}`;
+    const data = new Blob([JSON.stringify(list)], {type: 'application/json'});
+
+    return this._vfs('writefile')(path, data)
+      .then(() => true);
+  }
+
+  /**
+   * Permanently removes entries from the trash
+   */
+  _remove(entries) {
+    return entries.reduce((promise, entry) => promise
+      .then(() => this._vfs('unlink')(`${this.name}:/${entry.id}`))
+      .catch(error => console.warn('Failed to remove trash entry', entry, error)), Promise.resolve());
+  }
+
+  /**
+   * Applies the retention policy to a list of entries
+   */
+  _expire(list) {
+    const {maxAge, maxItems} = this.options;
+    const now = Date.now();
+
+    const sorted = list.slice(0)
+      .sort((a, b) => new Date(b.deleted) - new Date(a.deleted));
+
+    const keep = sorted
+      .filter(entry => maxAge < 0 || now - new Date(entry.deleted).getTime() <= maxAge)
+      .filter((entry, index) => maxItems < 0 || index < maxItems);
+
+    const expired = sorted.filter(entry => keep.indexOf(entry) === -1);
+
+    return this._remove(expired)
+      .then(() => keep);
+  }
+
+  /**
+   * Moves a file into the trash
+   *
+   * @desc If this fails the original is left alone, and the directory in
+   * the trash is removed unless something was already copied into it.
+   * @return {Promise<Boolean, Error>}
+   */
+  _move(path, id, filename) {
+    const directory = `${this.name}:/${id}`;
+    const target = `${directory}/${filename}`;
+
+    return this._vfs('mkdir')(directory)
+      .then(() => this.fs._request('rename', {path}, {path: target}))
+      .then(() => true)
+      .catch(error => this._vfs('exists')(target)
+        .then(exists => exists
+          ? console.warn('Failed to move to trash, a partial copy is in', directory)
+          : this._vfs('unlink')(directory))
+        .catch(e => console.warn(e))
+        .then(() => {
+          throw error;
+        }));
+  }
+
+  /**
+   * Moves a file or directory to the trash
+   * @param {Object} file The file
+   * @param {Mountpoint} mount The mountpoint of the file
+   * @return {Promise<TrashEntry, Error>}
+   */
+  trash(file, mount) {
+    const id = createId();
+    const path = typeof file === 'string' ? file : file.path;
+    const filename = basename(path);
+
+    return this._enqueue(() => this._readIndex()
+      .then(list => VFS.stat(mount._adapter, mount)(path)
+        .then(stat => this._move(path, id, filename)
+          .then(() => ({
+            id,
+            path,
+            filename,
+            isDirectory: stat.isDirectory,
+            size: stat.size,
+            deleted: new Date().toISOString()
+          })))
+        .then(entry => this._expire(list.concat([entry]))
+          .then(keep => this._writeIndex(keep))
+          .then(() => entry))))
+      .then(entry => {
+        this.core.emit('osjs/vfs:trash', entry);
+
+        return entry;
+      });
+  }
+
+  /**
+   * Gets a list of items in the trash
+   * @return {Promise<TrashEntry[], Error>}
+   */
+  list() {
+    return this._enqueue(() => this._readIndex());
+  }
+
+  /**
+   * Restores an item from the trash
+   * @param {String} id Entry ID
+   * @param {Object} [options] Options
+   * @param {String} [options.path] Restore to this path instead of the original
+   * @return {Promise<Boolean, Error>}
+   */
+  restore(id, options = {}) {
+    const _ = this.core.make('osjs/locale').translate;
+
+    return this._enqueue(() => this._readIndex()
+      .then(list => {
+        const entry = list.find(e => e.id === id);
+        if (!entry) {
+          throw new Error(_('ERR_VFS_TRASH_NOT_FOUND', id));
+        }
+
+        const destination = options.path || entry.path;
+        const source = `${this.name}:/${entry.id}/${entry.filename}`;
+
+        return this.fs._request('exists', destination)
+          .then(exists => {
+            if (exists) {
+              throw new Error(_('ERR_VFS_EXISTS', destination));
+            }
+
+            return this.fs._request('rename', {path: source}, {path: destination});
+          })
+          .then(() => this._vfs('unlink')(`${this.name}:/${entry.id}`))
+          .then(() => this._writeIndex(list.filter(e => e !== entry)))
+          .then(() => {
+            this.core.emit('osjs/vfs:restore', entry, destination);
+            return true;
+          });
+      }));
+  }
+
+  /**
+   * Permanently removes everything in the trash
+   * @return {Promise<Boolean, Error>}
+   */
+  empty() {
+    return this._enqueue(() => this._readIndex()
+      .then(list => this._remove(list))
+      .then(() => this._writeIndex([]))
+      .then(() => {
+        this.core.emit('osjs/vfs:empty-trash');
+        return true;
+      }));
+  }
+
+  /**
+   * Applies the retention policy
+   * @return {Promise<Boolean, Error>}
+   */
+  expire() {
+    return this._enqueue(() => this._readIndex()
+      .then(list => this._expire(list)
+        .then(keep => keep.length !== list.length
+          ? this._writeIndex(keep)
+          : true)));
+  }
+}
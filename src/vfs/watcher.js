@@ -0,0 +1,365 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+
+import * as VFS from './methods';
+
+/*
+ * Maps change types from adapters to normalized ones
+ */
+const typeMap = {
+  add: 'created',
+  addDir: 'created',
+  create: 'created',
+  created: 'created',
+  change: 'changed',
+  changed: 'changed',
+  modify: 'changed',
+  unlink: 'deleted',
+  unlinkDir: 'deleted',
+  delete: 'deleted',
+  deleted: 'deleted',
+  rename: 'renamed',
+  renamed: 'renamed',
+  move: 'renamed'
+};
+
+/*
+ * Removes trailing slashes from a path (except root)
+ */
+const normalizePath = path => String(path)
+  .replace(/\/+$/, '')
+  .replace(/:$/, ':/');
+
+/*
+ * Checks if a path is the watched path or inside it
+ */
+const isWatched = (watcher, path) => {
+  const root = normalizePath(watcher.path);
+  const target = normalizePath(path);
+  const prefix = root.substr(-1) === '/' ? root : `${root}/`;
+
+  if (target === root) {
+    return true;
+  } else if (target.indexOf(prefix) !== 0) {
+    return false;
+  }
+
+  return watcher.options.recursive || target.substr(prefix.length).indexOf('/') === -1;
+};
+
+/*
+ * Creates a snapshot of a stat result used for comparison when polling
+ */
+const createSnapshot = stat => ({
+  isDirectory: stat.isDirectory,
+  size: stat.size,
+  mtime: stat.mtime || (stat.stat || {}).mtime || null
+});
+
+/*
+ * Checks if a snapshot differs
+ */
+const isModified = (a, b) => a.size !== b.size ||
+  String(a.mtime) !== String(b.mtime) ||
+  a.isDirectory !== b.isDirectory;
+
+/**
+ * A VFS change event
+ * @property {String} type 'created', 'changed', 'deleted' or 'renamed'
+ * @property {String} path The path
+ * @property {String} [oldPath] The previous path (when renamed)
+ * @property {Boolean} [isDirectory] If a directory
+ * @typedef VFSChangeEvent
+ */
+
+/**
+ * VFS Watcher
+ *
+ * @desc Watches for changes in files and directories. Adapters can push changes
+ * by implementing a `watch(path, callback, options, mount)` method that resolves
+ * with a function to stop watching. If not supported (or it fails)
+ * the path is polled with `readdir`/`stat` instead. When the connection
+ * is restored, polled paths try to subscribe to changes again.
+ */
+export default class Watcher {
+
+  /**
+   * Create watcher
+   * @param {Core} core Core reference
+   * @param {Function} getMountpoint Resolves mountpoint from a path
+   * @param {Object} [options] Options
+   * @param {Number} [options.interval=5000] Polling interval
+   */
+  constructor(core, getMountpoint, options = {}) {
+    /**
+     * Core instance reference
+     * @type {Core}
+     */
+    this.core = core;
+
+    /**
+     * Resolves mountpoint from a path
+     * @type {Function}
+     */
+    this.getMountpoint = getMountpoint;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      interval: 5000
+    }, options);
+
+    /**
+     * Active watchers
+     * @type {Object[]}
+     */
+    this.watchers = [];
+
+    /**
+     * Subscribes polled watchers again when connected
+     * @type {Function}
+     */
+    this.onConnect = () => this.watchers
+      .filter(w => w.polling && typeof w.mount._adapter.watch === 'function')
+      .forEach(w => this._subscribe(w));
+
+    this.core.on('osjs/core:connect', this.onConnect);
+  }
+
+  /**
+   * Stops all watchers
+   */
+  destroy() {
+    this.core.off('osjs/core:connect', this.onConnect);
+    this.watchers.slice(0).forEach(w => this._stop(w));
+    this.watchers = [];
+  }
+
+  /**
+   * Watches a path for changes
+   * @param {String|Object} path The path (file or directory)
+   * @param {Function} callback Called with a `VFSChangeEvent`
+   * @param {Object} [options] Options
+   * @param {Boolean} [options.recursive=false] Also watch subdirectories
+   * @param {Number} [options.interval] Polling interval (when polled)
+   * @throws {Error} On invalid path
+   * @return {Function} Call to stop watching
+   */
+  watch(path, callback, options = {}) {
+    path = typeof path === 'string' ? path : path.path;
+
+    const mount = this.getMountpoint(path);
+    const watcher = {
+      path,
+      mount,
+      callback,
+      options: Object.assign({
+        recursive: false,
+        interval: this.options.interval
+      }, options),
+      stopped: false,
+      polling: false,
+      stop: null
+    };
+
+    this.watchers.push(watcher);
+    this._subscribe(watcher);
+
+    return () => this._stop(watcher);
+  }
+
+  /**
+   * Subscribes to changes from the adapter, or polls if that fails
+   */
+  _subscribe(watcher) {
+    const {path, mount} = watcher;
+    const push = typeof mount._adapter.watch === 'function'
+      ? mount._adapter.watch({path}, ev => this._dispatch(watcher, ev), watcher.options, mount)
+      : Promise.reject(new Error('Not supported'));
+
+    return Promise.resolve(push)
+      .then(stop => {
+        // Stops polling if it was started before
+        if (typeof watcher.stop === 'function') {
+          watcher.stop();
+        }
+
+        watcher.polling = false;
+        watcher.stop = stop;
+
+        // Was stopped before the watcher was started
+        if (watcher.stopped) {
+          this._stop(watcher);
+        }
+      })
+      .catch(error => {
+        if (!watcher.polling && !watcher.stopped) {
+          console.debug('Watcher::watch()', 'Polling', path, error);
+          this._poll(watcher);
+        }
+      });
+  }
+
+  /**
+   * Stops a watcher
+   */
+  _stop(watcher) {
+    watcher.stopped = true;
+
+    if (typeof watcher.stop === 'function') {
+      try {
+        watcher.stop();
+      } catch (e) {
+        console.warn(e);
+      }
+
+      watcher.stop = null;
+    }
+
+    const foundIndex = this.watchers.indexOf(watcher);
+    if (foundIndex !== -1) {
+      this.watchers.splice(foundIndex, 1);
+    }
+  }
+
+  /**
+   * Emits a normalized change event
+   */
+  _dispatch(watcher, ev) {
+    const type = typeMap[ev.type || ev.event];
+    if (!type || watcher.stopped) {
+      return;
+    }
+
+    const event = Object.assign({}, ev, {type});
+    const watched = isWatched(watcher, event.path) ||
+      (event.oldPath && isWatched(watcher, event.oldPath));
+
+    if (watched) {
+      try {
+        watcher.callback(event);
+      } catch (e) {
+        console.warn(e);
+      }
+
+      this.core.emit('osjs/vfs:change', event);
+    }
+  }
+
+  /**
+   * Creates a snapshot of a watched path
+   */
+  _snapshot(watcher) {
+    const {mount, path} = watcher;
+
+    // Make sure changes are not hidden by the metadata cache
+    const adapter = mount._adapter._uncached || mount._adapter;
+
+    const scan = dir => VFS.readdir(adapter, mount)(dir, {showHiddenFiles: true})
+      .then(list => list.filter(iter => iter.filename !== '..'))
+      .then(list => {
+        const result = list.reduce((result, iter) => Object.assign(result, {
+          [iter.path]: createSnapshot(iter)
+        }), {});
+
+        const subdirectories = watcher.options.recursive
+          ? list.filter(iter => iter.isDirectory)
+          : [];
+
+        return subdirectories.reduce((promise, iter) => promise
+          .then(all => scan(iter.path).then(sub => Object.assign(all, sub))), Promise.resolve(result));
+      });
+
+    return VFS.exists(adapter, mount)(path)
+      .then(exists => exists
+        ? VFS.stat(adapter, mount)(path)
+          .then(stat => {
+            const self = {[normalizePath(path)]: createSnapshot(stat)};
+
+            return stat.isDirectory
+              ? scan(path).then(result => Object.assign(self, result))
+              : self;
+          })
+        : {});
+  }
+
+  /**
+   * Compares snapshots and emits changes
+   */
+  _compare(watcher, previous, current) {
+    Object.keys(current).forEach(path => {
+      if (!previous[path]) {
+        this._dispatch(watcher, {type: 'created', path, isDirectory: current[path].isDirectory});
+      } else if (!current[path].isDirectory && isModified(previous[path], current[path])) {
+        this._dispatch(watcher, {type: 'changed', path, isDirectory: false});
+      }
+    });
+
+    Object.keys(previous).forEach(path => {
+      if (!current[path]) {
+        this._dispatch(watcher, {type: 'deleted', path, isDirectory: previous[path].isDirectory});
+      }
+    });
+  }
+
+  /**
+   * Polls a path for changes
+   */
+  _poll(watcher) {
+    let timeout;
+    let previous = null;
+
+    const active = () => watcher.polling && !watcher.stopped;
+
+    const next = () => {
+      if (active()) {
+        timeout = setTimeout(tick, watcher.options.interval);
+      }
+    };
+
+    const tick = () => this._snapshot(watcher)
+      .then(current => {
+        if (previous && active()) {
+          this._compare(watcher, previous, current);
+        }
+
+        previous = current;
+      })
+      .catch(error => console.warn('Watcher::_poll()', error))
+      .then(next);
+
+    watcher.polling = true;
+    watcher.stop = () => clearTimeout(timeout);
+
+    tick();
+  }
+}
@@ -0,0 +1,435 @@
+/*
+ * OS.js - JavaScript Cloud/Web Desktop Platform
+ *
+ * Copyright (c) 2011-2018, Anders Evenrud <andersevenrud@gmail.com>
+ * All rights reserved.
+ *
+ * Redistribution and use in source and binary forms, with or without
+ * modification, are permitted provided that the following conditions are met:
+ *
+ * 1. Redistributions of source code must retain the above copyright notice, this
+ *    list of conditions and the following disclaimer
+ * 2. Redistributions in binary form must reproduce the above copyright notice,
+ *    this list of conditions and the following disclaimer in the documentation
+ *    and/or other materials provided with the distribution
+ *
+ * THIS SOFTWARE IS PROVIDED BY THE COPYRIGHT HOLDERS AND CONTRIBUTORS "AS IS" AND
+ * ANY EXPRESS OR IMPLIED WARRANTIES, INCLUDING, BUT NOT LIMITED TO, THE IMPLIED
+ * WARRANTIES OF MERCHANTABILITY AND FITNESS FOR A PARTICULAR PURPOSE ARE
+ * DISCLAIMED. IN NO EVENT SHALL THE COPYRIGHT OWNER OR CONTRIBUTORS BE LIABLE FOR
+ * ANY DIRECT, INDIRECT, INCIDENTAL, SPECIAL, EXEMPLARY, OR CONSEQUENTIAL DAMAGES
+ * (INCLUDING, BUT NOT LIMITED TO, PROCUREMENT OF SUBSTITUTE GOODS OR SERVICES;
+ * LOSS OF USE, DATA, OR PROFITS; OR BUSINESS INTERRUPTION) HOWEVER CAUSED AND
+ * ON ANY THEORY OF LIABILITY, WHETHER IN CONTRACT, STRICT LIABILITY, OR TORT
+ * (INCLUDING NEGLIGENCE OR OTHERWISE) ARISING IN ANY WAY OUT OF THE USE OF THIS
+ * SOFTWARE, EVEN IF ADVISED OF THE POSSIBILITY OF SUCH DAMAGE.
+ *
+ * @author  Anders Evenrud <andersevenrud@gmail.com>
+ * @licence Simplified BSD License
+ */
+import {getMimeType, createSearchMatcher, hasRange, sliceArrayBuffer, toKey, createStat, createAlternativePath} from '../utils/vfs';
+
+const DAV = 'DAV:';
+
+const PROPFIND_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:">
+  <d:prop>
+    <d:resourcetype/>
+    <d:getcontentlength/>
+    <d:getcontenttype/>
+    <d:getlastmodified/>
+    <d:creationdate/>
+  </d:prop>
+</d:propfind>`;
+
+/*
+ * Gets the text of the first DAV element with given name
+ */
+const getText = (el, name) => {
+  const found = el.getElementsByTagNameNS(DAV, name)[0];
+  return found ? found.textContent : null;
+};
+
+/*
+ * Creates the Authorization header for basic authentication
+ */
+const basicAuth = (username, password) => {
+  const bytes = new TextEncoder().encode(`${username}:${password || ''}`);
+  return 'Basic ' + window.btoa(String.fromCharCode(...bytes));
+};
+
+/**
+ * WebDAV VFS Adapter
+ *
+ * @desc Accesses a WebDAV share directly from the browser. The server
+ * must allow cross-origin requests if it is not on the same origin.
+ *
+ * The mountpoint `connection` property takes the following options:
+ * - `url` The address of the share
+ * - `username` and `password` For basic authentication
+ * - `headers` Additional headers, ie. for token authentication
+ * - `credentials` The fetch() credentials mode (default 'same-origin')
+ * - `concurrency` Number of parallel requests when searching (default 4)
+ *
+ * Copying and moving within the share supports the `onConflict` option
+ * (see `Transfer`), except that an existing directory is replaced
+ * instead of merged.
+ *
+ * For development, `scripts/webdav-standin.js` runs a local server to mount.
+ *
+ * @example
+ * {
+ *   name: 'dav',
+ *   label: 'WebDAV',
+ *   adapter: 'webdav',
+ *   connection: {
+ *     url: 'https://example.com/remote.php/dav/files/demo/',
+ *     username: 'demo',
+ *     password: 'demo'
+ *   }
+ * }
+ */
+const adapter = (core) => {
+  const urls = {};
+  const _ = (...args) => core.make('osjs/locale').translate(...args);
+
+  const connection = mount => Object.assign({
+    url: '/',
+    credentials: 'same-origin',
+    headers: {},
+    concurrency: 4
+  }, mount.connection || {});
+
+  const revokeUrl = id => {
+    if (urls[id]) {
+      window.URL.revokeObjectURL(urls[id]);
+      delete urls[id];
+    }
+  };
+
+  core.on('osjs/core:destroy', () => Object.keys(urls).forEach(revokeUrl));
+
+  const hasAuthorization = mount => {
+    const {username, headers} = connection(mount);
+    return !!username || Object.keys(headers).length > 0;
+  };
+
+  // The base URL without trailing slash
+  const baseUrl = mount => new URL(connection(mount).url, window.location.href)
+    .href
+    .replace(/\/$/, '');
+
+  const createUrl = (mount, key, isDirectory) => baseUrl(mount) +
+    key.split('/').map(encodeURIComponent).join('/') +
+    (isDirectory && key !== '/' ? '/' : '');
+
+  // Gets the key from an URL in a multistatus response
+  const fromHref = (mount, href) => {
+    const base = new URL(baseUrl(mount)).pathname.replace(/\/$/, '');
+    const pathname = new URL(href, baseUrl(mount) + '/').pathname;
+    const relative = pathname.indexOf(base) === 0
+      ? pathname.substr(base.length)
+      : pathname;
+
+    return toKey(decodeURIComponent(relative));
+  };
+
+  const createError = (mount, key, response, destination) => {
+    const path = `${mount.name}:${key}`;
+
+    if (response.status === 404 || response.status === 409) {
+      return new Error(_('ERR_VFS_NOT_FOUND', path));
+    } else if (response.status === 412 || response.status === 405) {
+      return new Error(_('ERR_VFS_EXISTS', destination ? `${mount.name}:${destination}` : path));
+    } else if (response.status === 401 || response.status === 403) {
+      return new Error(_('ERR_VFS_PERMISSION_DENIED', mount.name));
+    }
+
+    return new Error(_('ERR_REQUEST_NOT_OK', `${response.status} (${response.statusText})`));
+  };
+
+  const request = (mount, method, key, options = {}) => {
+    const {username, password, headers, credentials} = connection(mount);
+    const auth = username ? {Authorization: basicAuth(username, password)} : {};
+
+    return window.fetch(options.url || createUrl(mount, key, options.isDirectory), {
+      method,
+      credentials,
+      body: options.body,
+      signal: options.signal,
+      headers: Object.assign({}, auth, headers, options.headers || {})
+    })
+      .then(response => {
+        if (options.optional && response.status === 404) {
+          return null;
+        } else if (!response.ok) {
+          throw createError(mount, key, response, options.destination);
+        }
+
+        return response;
+      });
+  };
+
+  const propfind = (mount, key, depth, signal) => request(mount, 'PROPFIND', key, {
+    isDirectory: depth > 0,
+    signal,
+    body: PROPFIND_BODY,
+    headers: {
+      Depth: String(depth),
+      'Content-Type': 'application/xml; charset=utf-8'
+    }
+  })
+    .then(response => response.text())
+    .then(text => {
+      const doc = new window.DOMParser().parseFromString(text, 'application/xml');
+
+      return Array.from(doc.getElementsByTagNameNS(DAV, 'response'))
+        .map(el => {
+          const found = Array.from(el.getElementsByTagNameNS(DAV, 'propstat'))
+            .find(ps => /\s2\d\d\s/.test(getText(ps, 'status') || ''));
+
+          const prop = found || el;
+          const resourcetype = prop.getElementsByTagNameNS(DAV, 'resourcetype')[0];
+          const isDirectory = !!resourcetype &&
+            resourcetype.getElementsByTagNameNS(DAV, 'collection').length > 0;
+
+          const modified = getText(prop, 'getlastmodified');
+          const created = getText(prop, 'creationdate');
+          const mtime = modified ? new Date(modified).toISOString() : null;
+          const itemKey = fromHref(mount, getText(el, 'href'));
+
+          return {
+            key: itemKey,
+            stat: createStat(mount, itemKey, {
+              isDirectory,
+              mime: getText(prop, 'getcontenttype'),
+              size: isDirectory ? 0 : parseInt(getText(prop, 'getcontentlength') || '0', 10),
+              ctime: created ? new Date(created).toISOString() : mtime,
+              mtime
+            })
+          };
+        });
+    });
+
+  const exists = (mount, key) => request(mount, 'PROPFIND', key, {
+    optional: true,
+    headers: {Depth: '0'}
+  })
+    .then(response => response !== null);
+
+  const stat = (mount, key) => propfind(mount, key, 0)
+    .then(list => {
+      if (list.length === 0) {
+        throw new Error(_('ERR_VFS_NOT_FOUND', `${mount.name}:${key}`));
+      }
+
+      return list[0].stat;
+    });
+
+  const readdir = (mount, key, signal) => propfind(mount, key, 1, signal)
+    .then(list => list
+      .filter(item => item.key !== key)
+      .map(item => item.stat));
+
+  // Finds a destination that does not exist
+  const alternative = (mount, path, index = 1) => {
+    const candidate = createAlternativePath(path, index);
+
+    return exists(mount, toKey(candidate))
+      .then(found => found ? alternative(mount, path, index + 1) : candidate);
+  };
+
+  // Resolves the destination if it exists, or null if skipped
+  const resolveConflict = (mount, from, to, isDirectory, options) => {
+    const key = toKey(to.path);
+    if (typeof options.onConflict !== 'function') {
+      return Promise.resolve({key, overwrite: false});
+    }
+
+    return exists(mount, key)
+      .then(found => found
+        ? Promise.resolve(options.onConflict({source: from.path, destination: to.path, isDirectory}))
+          .then(result => typeof result === 'string' ? result : (result || {}).action || 'skip')
+          .then(action => {
+            if (action === 'overwrite') {
+              return {key, overwrite: true};
+            } else if (action === 'rename') {
+              return alternative(mount, to.path)
+                .then(path => ({key: toKey(path), overwrite: false}));
+            }
+
+            return null;
+          })
+        : {key, overwrite: false});
+  };
+
+  const transfer = (method, from, to, options, mount) => stat(mount, toKey(from.path))
+    .then(({isDirectory}) => resolveConflict(mount, from, to, isDirectory, options)
+      .then(destination => destination
+        ? request(mount, method, toKey(from.path), {
+          isDirectory,
+          destination: destination.key,
+          headers: {
+            Destination: createUrl(mount, destination.key, isDirectory),
+            Overwrite: destination.overwrite ? 'T' : 'F',
+            Depth: 'infinity'
+          }
+        }).then(() => true)
+        : false));
+
+  // Directories are read a few at a time so that the server is not flooded
+  const search = (mount, root, matches, signal) => new Promise((resolve, reject) => {
+    const {concurrency} = connection(mount);
+    const queue = [root];
+    const found = [];
+    let active = 0;
+    let failed = false;
+
+    const next = () => {
+      if (failed) {
+        return;
+      } else if (queue.length === 0 && active === 0) {
+        resolve(found);
+        return;
+      }
+
+      while (active < concurrency && queue.length > 0) {
+        active++;
+
+        readdir(mount, queue.shift(), signal)
+          .then(list => {
+            active--;
+
+            list.forEach(item => {
+              if (matches(item.filename)) {
+                found.push(item);
+              }
+
+              if (item.isDirectory) {
+                queue.push(toKey(item.path));
+              }
+            });
+
+            next();
+          })
+          .catch(error => {
+            failed = true;
+            reject(error);
+          });
+      }
+    };
+
+    next();
+  });
+
+  return {
+    readdir: ({path}, options, mount) =>
+      readdir(mount, toKey(path)),
+
+    readfile: ({path}, type, options = {}, mount) => {
+      const {start, end, signal} = options;
+      const headers = hasRange(options)
+        ? {Range: `bytes=${start || 0}-${typeof end === 'number' ? end : ''}`}
+        : {};
+
+      return request(mount, 'GET', toKey(path), {headers, signal})
+        .then(response => {
+          const mime = response.headers.get('content-type') || getMimeType(path);
+
+          // In case the server does not support ranges
+          const slice = hasRange(options) && response.status === 200;
+
+          if (type === 'stream' && response.body && !slice) {
+            return {mime, body: response.body};
+          }
+
+          return response.arrayBuffer()
+            .then(body => ({
+              mime,
+              body: slice ? sliceArrayBuffer(body, options) : body
+            }));
+        });
+    },
+
+    writefile: ({path}, data, options = {}, mount) => {
+      const size = data instanceof Blob ? data.size : data.byteLength;
+      const type = data instanceof Blob && data.type && data.type !== 'application/octet-stream'
+        ? data.type
+        : getMimeType(path, 'application/octet-stream');
+
+      return request(mount, 'PUT', toKey(path), {
+        body: data,
+        signal: options.signal,
+        headers: {'Content-Type': type}
+      })
+        .then(() => size);
+    },
+
+    copy: (from, to, options = {}, mount) =>
+      transfer('COPY', from, to, options, mount),
+
+    rename: (from, to, options = {}, mount) =>
+      transfer('MOVE', from, to, options, mount),
+
+    mkdir: ({path}, options, mount) =>
+      request(mount, 'MKCOL', toKey(path), {isDirectory: true})
+        .then(() => true),
+
+    unlink: ({path}, options, mount) => {
+      const key = toKey(path);
+      if (key === '/') {
+        return Promise.reject(new Error(_('ERR_VFS_INVALID_DESTINATION', path)));
+      }
+
+      return request(mount, 'DELETE', key)
+        .then(() => true);
+    },
+
+    exists: ({path}, options, mount) =>
+      exists(mount, toKey(path)),
+
+    stat: ({path}, options, mount) =>
+      stat(mount, toKey(path)),
+
+    // Authenticated files cannot be opened by URL, so a blob is used instead.
+    // The previous blob for the same file is released.
+    url: ({path}, options, mount) => {
+      const key = toKey(path);
+      if (!hasAuthorization(mount)) {
+        return Promise.resolve(createUrl(mount, key));
+      }
+
+      return request(mount, 'GET', key)
+        .then(response => response.blob())
+        .then(blob => {
+          const id = `${mount.name}:${key}`;
+          revokeUrl(id);
+          urls[id] = window.URL.createObjectURL(blob);
+
+          return urls[id];
+        });
+    },
+
+    // Not all servers support SEARCH (RFC 5323), so the tree is traversed
+    search: ({path}, pattern, options, mount) =>
+      search(mount, toKey(path), createSearchMatcher(pattern), options.signal),
+
+    touch: ({path}, options, mount) => {
+      const key = toKey(path);
+
+      return exists(mount, key)
+        .then(found => found || request(mount, 'PUT', key, {body: new ArrayBuffer(0)}))
+        .then(() => true);
+    },
+
+    unmount: (options, mount) => {
+      Object.keys(urls)
+        .filter(id => id.indexOf(`${mount.name}:`) === 0)
+        .forEach(revokeUrl);
+
+      return Promise.resolve(true);
+    }
+  };
+};
+
+export default adapter;
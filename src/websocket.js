@@ -30,49 +30,330 @@
 
 import {EventEmitter} from '@osjs/event-emitter';
 
+/*
+ * Calculates the next reconnect delay with exponential backoff and jitter
+ */
+const getBackoffDelay = (options, attempt) => {
+  const {interval, maxInterval, factor, jitter} = options;
+  const delay = Math.min(maxInterval, interval * Math.pow(factor, attempt));
+  const spread = delay * jitter * (Math.random() * 2 - 1);
+
+  return Math.max(0, Math.round(delay + spread));
+};
+
+/**
+ * Websocket reconnect options
+ * @property {Boolean} [enabled=true] Reconnect when connection is lost
+ * @property {Number} [interval=1000] The initial delay
+ * @property {Number} [maxInterval=30000] The maximum delay
+ * @property {Number} [factor=2] Multiplier for each attempt
+ * @property {Number} [jitter=0.25] Randomize the delay by this fraction
+ * @property {Number} [maxAttempts=-1] Give up after this many attempts (-1 = never)
+ * @typedef WebsocketReconnectOptions
+ */
+
+/**
+ * Websocket heartbeat options
+ * @property {Boolean} [enabled=false] Send heartbeats
+ * @property {Number} [interval=30000] Send a ping every n ms
+ * @property {Number} [timeout=10000] Consider connection dead if no message received within n ms of ping
+ * @property {String|Function} [message='ping'] The ping message
+ * @property {Function} [isPong] Checks if an incoming message is a reply to a ping (which is not emitted)
+ * @typedef WebsocketHeartbeatOptions
+ */
+
 /**
  * Application Socket
  *
- * @desc This is just an abstraction above the standard browser provided `WebSocket` class.
+ * @desc This is an abstraction above the standard browser provided `WebSocket` class
+ * that adds reconnection, queueing of outgoing messages and a heartbeat.
  * Since this class implements the EventHandler, use the `.on('event')` pattern instead of `.onevent`.
  *
+ * Emits 'open', 'close', 'message' and 'error' like a WebSocket, as well as
+ * 'reconnecting' (with attempt number and delay) and 'reconnect-failed'.
  */
 export default class Websocket extends EventEmitter {
 
   /**
    * Create a new Websocket
+   * @param {String} name Socket name
    * @param {String} uri Connection URI
-   * @param {Object} options Websocket options
+   * @param {Object} [options] Websocket options
+   * @param {String|String[]} [options.protocols] WebSocket protocols
+   * @param {Boolean} [options.queue=true] Queue messages sent while disconnected
+   * @param {Number} [options.maxQueue=1000] Maximum number of messages to queue
+   * @param {WebsocketReconnectOptions|Boolean} [options.reconnect] Reconnect options
+   * @param {WebsocketHeartbeatOptions|Boolean} [options.heartbeat] Heartbeat options
    */
   constructor(name, uri, options = {}) {
     console.debug('Websocket::constructor()', name, uri);
 
     super('Websocket@' + name);
 
+    const toOptions = (value, defaults) => Object.assign(defaults, typeof value === 'boolean'
+      ? {enabled: value}
+      : value || {});
+
+    /**
+     * Connection URI
+     * @type {String}
+     */
+    this.uri = uri;
+
+    /**
+     * Options
+     * @type {Object}
+     */
+    this.options = Object.assign({
+      protocols: undefined,
+      queue: true,
+      maxQueue: 1000
+    }, options, {
+      reconnect: toOptions(options.reconnect, {
+        enabled: true,
+        interval: 1000,
+        maxInterval: 30000,
+        factor: 2,
+        jitter: 0.25,
+        maxAttempts: -1
+      }),
+      heartbeat: toOptions(options.heartbeat, {
+        enabled: false,
+        interval: 30000,
+        timeout: 10000,
+        message: 'ping',
+        isPong: () => false
+      })
+    });
+
     /**
      * The Websocket
      * @type {WebSocket}
      */
-    this.connection = new WebSocket(uri);
+    this.connection = null;
+
+    /**
+     * If connection is open
+     * @type {Boolean}
+     */
+    this.connected = false;
+
+    /**
+     * If the socket was closed by the user
+     * @type {Boolean}
+     */
+    this.closed = false;
+
+    /**
+     * If the socket has been open at least once
+     * @type {Boolean}
+     */
+    this.opened = false;
+
+    /**
+     * Number of reconnection attempts since last open
+     * @type {Number}
+     */
+    this.attempts = 0;
+
+    /**
+     * Messages waiting to be sent
+     * @type {Array}
+     */
+    this.queue = [];
+
+    /**
+     * Internal timers
+     * @type {Object}
+     */
+    this.timers = {
+      reconnect: null,
+      heartbeat: null,
+      timeout: null
+    };
+
+    this._connect();
+  }
+
+  /**
+   * Creates the connection
+   */
+  _connect() {
+    const connection = new WebSocket(this.uri, this.options.protocols);
+
+    connection.onopen = ev => {
+      const reconnected = this.opened;
+
+      this.connected = true;
+      this.opened = true;
+      this.attempts = 0;
+
+      this._flush();
+      this._startHeartbeat();
+      this.emit('open', ev, reconnected);
+    };
+
+    connection.onclose = ev => this._disconnected(ev);
 
-    this.connection.onopen = (...args) => this.emit('open', ...args);
-    this.connection.onclose = (...args) => this.emit('close', ...args);
-    this.connection.onmessage = (...args) => this.emit('message', ...args);
-    this.connection.onerror = (...args) => this.emit('error', ...args);
+    connection.onmessage = ev => {
+      clearTimeout(this.timers.timeout);
+
+      if (!this.options.heartbeat.isPong(ev.data)) {
+        this.emit('message', ev);
+      }
+    };
+
+    connection.onerror = ev => this.emit('error', ev);
+
+    this.connection = connection;
+  }
+
+  /**
+   * Handles a lost connection
+   * @param {Event} ev Close event
+   */
+  _disconnected(ev) {
+    const {reconnect} = this.options;
+    const connection = this.connection;
+
+    if (connection) {
+      connection.onopen = null;
+      connection.onclose = null;
+      connection.onmessage = null;
+      connection.onerror = null;
+    }
+
+    this.connected = false;
+    this._stopHeartbeat();
+    this.emit('close', ev);
+
+    if (this.closed || !reconnect.enabled) {
+      return;
+    }
+
+    if (reconnect.maxAttempts !== -1 && this.attempts >= reconnect.maxAttempts) {
+      this.emit('reconnect-failed', this.attempts);
+      return;
+    }
+
+    const delay = getBackoffDelay(reconnect, this.attempts);
+    this.attempts++;
+
+    this.emit('reconnecting', this.attempts, delay);
+
+    clearTimeout(this.timers.reconnect);
+    this.timers.reconnect = setTimeout(() => this._connect(), delay);
+  }
+
+  /**
+   * Sends all queued messages
+   */
+  _flush() {
+    const queue = this.queue;
+    this.queue = [];
+
+    queue.forEach(args => this.connection.send(...args));
+  }
+
+  /**
+   * Starts sending heartbeats
+   */
+  _startHeartbeat() {
+    const {heartbeat} = this.options;
+    if (!heartbeat.enabled) {
+      return;
+    }
+
+    this._stopHeartbeat();
+
+    this.timers.heartbeat = setInterval(() => {
+      const message = typeof heartbeat.message === 'function'
+        ? heartbeat.message()
+        : heartbeat.message;
+
+      this.connection.send(message);
+
+      clearTimeout(this.timers.timeout);
+      this.timers.timeout = setTimeout(() => {
+        console.warn('Websocket heartbeat timed out', this.uri);
+
+        // The connection is half-open, so close events might never arrive
+        try {
+          this.connection.close();
+        } catch (e) {
+          console.warn(e);
+        }
+
+        this._disconnected({type: 'close', code: 4000, reason: 'Heartbeat timeout'});
+      }, heartbeat.timeout);
+    }, heartbeat.interval);
+  }
+
+  /**
+   * Stops sending heartbeats
+   */
+  _stopHeartbeat() {
+    clearInterval(this.timers.heartbeat);
+    clearTimeout(this.timers.timeout);
   }
 
   /**
    * Wrapper for sending data
+   *
+   * @desc If the connection is not open the message is queued
+   * and sent once connected.
+   * @return {Boolean} If sent immediately
    */
   send(...args) {
-    return this.connection.send(...args);
+    if (this.connected) {
+      this.connection.send(...args);
+      return true;
+    }
+
+    if (this.options.queue && !this.closed) {
+      this.queue.push(args);
+
+      if (this.queue.length > this.options.maxQueue) {
+        console.warn('Websocket queue full, dropping message', this.uri);
+        this.queue.shift();
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * Removes a message from the queue
+   * @param {*} data The data given to send()
+   * @return {Boolean} If the message was queued
+   */
+  unqueue(data) {
+    const foundIndex = this.queue.findIndex(args => args[0] === data);
+    if (foundIndex !== -1) {
+      this.queue.splice(foundIndex, 1);
+      return true;
+    }
+
+    return false;
   }
 
   /**
    * Wrapper for closing
+   *
+   * @desc This also prevents reconnection
    */
   close(...args) {
-    return this.connection.close(...args);
+    this.closed = true;
+    this.queue = [];
+
+    clearTimeout(this.timers.reconnect);
+    this._stopHeartbeat();
+
+    if (this.connection) {
+      return this.connection.close(...args);
+    }
+
+    return undefined;
   }
 
 }
@@ -28,7 +28,7 @@
  * @licence Simplified BSD License
  */
 
-import {supportsPassive} from './utils/dom.js';
+import {supportsPassive, createCssText} from './utils/dom.js';
 import * as mediaQuery from 'css-mediaquery';
 
 const CASCADE_DISTANCE = 10;
@@ -105,6 +105,71 @@ const mover = (win, rect) => {
   };
 };
 
+/*
+ * Gets the snap target (edge or corner) for a pointer position
+ */
+const getSnapTarget = (rect, distance, x, y) => {
+  const right = rect.left + rect.width;
+  const bottom = rect.top + rect.height;
+  const horizontal = x <= rect.left + distance
+    ? 'left'
+    : (x >= right - distance ? 'right' : null);
+
+  if (!horizontal) {
+    return null;
+  }
+
+  const vertical = y <= rect.top + distance
+    ? 'top'
+    : (y >= bottom - distance ? 'bottom' : null);
+
+  return vertical ? `${vertical}-${horizontal}` : horizontal;
+};
+
+/*
+ * Calculates the position and dimension for a snap target
+ */
+const getSnapRect = (rect, target) => {
+  const halfWidth = Math.round(rect.width / 2);
+  const halfHeight = Math.round(rect.height / 2);
+  const quadrant = target.indexOf('-') !== -1;
+
+  return {
+    left: target.match(/right$/) ? rect.left + halfWidth : rect.left,
+    top: target.match(/^bottom/) ? rect.top + halfHeight : rect.top,
+    width: halfWidth,
+    height: quadrant ? halfHeight : rect.height
+  };
+};
+
+/*
+ * Creates (or updates) the snap preview element
+ */
+const updateSnapPreview = (root, el, snapRect) => {
+  if (!snapRect) {
+    if (el) {
+      el.remove();
+    }
+
+    return null;
+  }
+
+  if (!el) {
+    el = document.createElement('div');
+    el.className = 'osjs-window-snap-preview';
+    root.appendChild(el);
+  }
+
+  el.style.cssText = createCssText({
+    top: snapRect.top + 'px',
+    left: snapRect.left + 'px',
+    width: snapRect.width + 'px',
+    height: snapRect.height + 'px'
+  });
+
+  return el;
+};
+
 /*
  * Calculates a new initial position for window
  */
@@ -269,6 +334,9 @@ export default class WindowBehavior {
    */
   mousedown(ev, win) {
     let attributeSet = false;
+    let snapTarget = null;
+    let $snapPreview = null;
+    let restored = false;
 
     const {clientX, clientY, touch, target} = getEvent(ev);
 
@@ -280,14 +348,46 @@ export default class WindowBehavior {
       ? this.core.make('osjs/desktop').getRect()
       : {top: 0, left: 0};
 
+    const startPosition = Object.assign({}, win.state.position);
+    const startDimension = Object.assign({}, win.state.dimension);
+
     const resize = target.classList.contains('osjs-window-resize')
       ? resizer(win, target)
       : null;
 
-    const move = checkMove
+    let move = checkMove
       ? mover(win, rect)
       : null;
 
+    const snapOptions = Object.assign({
+      enabled: true,
+      distance: 10
+    }, this.core.config('windows.snap', {}));
+
+    // Snapping needs the desktop dimensions
+    const canSnap = move &&
+      snapOptions.enabled &&
+      typeof rect.width === 'number' &&
+      win.attributes.resizable &&
+      !win.state.maximized;
+
+    // Restores the size from before the window was snapped, keeping
+    // the pointer at the same relative position in the header.
+    const unsnap = () => {
+      const {position, dimension} = win.state;
+      const previous = win._snapRestore.dimension;
+      const ratio = (clientX - position.left) / dimension.width;
+
+      win._setState('dimension', Object.assign({}, previous), false);
+      win._setState('position', {
+        top: position.top,
+        left: clientX - Math.round(previous.width * ratio)
+      }, false);
+
+      move = mover(win, rect);
+      restored = true;
+    };
+
     const mousemove = (ev) => {
       if (!isPassive) {
         ev.preventDefault();
@@ -307,10 +407,24 @@ export default class WindowBehavior {
 
         this.lastAction = 'resize';
       } else if (move) {
+        if (win._snapRestore && !restored) {
+          unsnap();
+        }
+
         const position = move(diffX, diffY);
 
         win._setState('position', position, false);
 
+        if (canSnap) {
+          snapTarget = getSnapTarget(rect, snapOptions.distance, posX, posY);
+
+          $snapPreview = updateSnapPreview(
+            this.core.$root,
+            $snapPreview,
+            snapTarget ? getSnapRect(rect, snapTarget) : null
+          );
+        }
+
         this.lastAction = 'move';
       }
 
@@ -333,10 +447,33 @@ export default class WindowBehavior {
         document.removeEventListener('mouseup', mouseup);
       }
 
+      $snapPreview = updateSnapPreview(this.core.$root, $snapPreview, null);
+
+      if (this.lastAction === 'move' && snapTarget) {
+        const {top, left, width, height} = getSnapRect(rect, snapTarget);
+
+        if (!win._snapRestore) {
+          win._snapRestore = {
+            position: Object.assign({}, startPosition),
+            dimension: Object.assign({}, startDimension)
+          };
+        }
+
+        win._setState('dimension', {width, height}, false);
+        win._setState('position', {top, left}, false);
+      } else if (restored || this.lastAction === 'resize') {
+        win._snapRestore = null;
+      }
+
       win._setState('media', getMediaQueryName(win), false);
 
       if (this.lastAction === 'move') {
         win.emit('moved', Object.assign({}, win.state.position), win);
+
+        if (restored || snapTarget) {
+          win.emit('resized', Object.assign({}, win.state.dimension), win);
+        }
+
         win._setState('moving', false);
       } else if (this.lastAction === 'resize') {
         win.emit('resized', Object.assign({}, win.state.dimension), win);
@@ -83,6 +83,7 @@ import {escapeHtml, createCssText, getActiveElement} from './utils/dom';
  * @property {Boolean} [mimimized=false] If mimimized
  * @property {Boolean} [modal=false] If modal to the parent
  * @property {number} [zIndex=1] The z-index (auto calculated)
+ * @property {number} [workspace] The workspace index (defaults to current)
  * @property {WindowPosition} [position] Position
  * @property {WindowDimension} [dimension] Dimension
  * @typedef WindowState
@@ -96,6 +97,7 @@ let windows = [];
 let windowCount = 0;
 let nextZindex = 1;
 let lastWindow = null;
+let focusCount = 0;
 
 /*
  * Creates window attributes from an object
@@ -144,6 +146,7 @@ const createState = (state, options, attrs) => Object.assign({
   maximized: false,
   minimized: false,
   zIndex: 1,
+  workspace: null,
   styles: {},
   position: Object.assign({}, {
     left: null,
@@ -369,6 +372,20 @@ export default class Window extends EventEmitter {
      */
     this._loadingDebounce = null;
 
+    /**
+     * Internal counter used for sorting windows by the
+     * time they were last focused.
+     * @type {Number}
+     */
+    this._focusCount = 0;
+
+    /**
+     * Internal variable holding the position and dimension
+     * from before the window was snapped to an edge
+     * @type {Object}
+     */
+    this._snapRestore = null;
+
     /**
      * The window template
      * @type {String|Function}
@@ -434,6 +451,15 @@ export default class Window extends EventEmitter {
       this.parent.children.push(this);
     }
 
+    // Place the window on the parent or current workspace
+    if (typeof this.state.workspace !== 'number') {
+      this.state.workspace = this.parent
+        ? this.parent.state.workspace
+        : (this.core.has('osjs/desktop')
+          ? this.core.make('osjs/desktop').getCurrentWorkspace()
+          : 0);
+    }
+
     // Insert template
     const tpl = this.core.config('windows.template') || TEMPLATE;
     if (this._template) {
@@ -602,6 +628,8 @@ export default class Window extends EventEmitter {
         this.setNextZindex();
 
         lastWindow = this;
+        focusCount++;
+        this._focusCount = focusCount;
 
         return true;
       }
@@ -798,6 +826,21 @@ export default class Window extends EventEmitter {
     set();
   }
 
+  /**
+   * Moves the window to another workspace
+   * @param {Number} index Workspace index
+   */
+  setWorkspace(index) {
+    if (this.state.workspace === index) {
+      return;
+    }
+
+    this._setState('workspace', index);
+    this.children.forEach(w => w.setWorkspace(index));
+
+    this.core.emit('osjs/window:change', this, 'workspace', index);
+  }
+
   /**
    * Gravitates window towards a certain area
    * @param {String} gravity Gravity
@@ -850,7 +893,8 @@ export default class Window extends EventEmitter {
     return this.attributes.sessionable === false ? null : {
       id: this.id,
       position: Object.assign({}, this.state.position),
-      dimension: Object.assign({}, this.state.dimension)
+      dimension: Object.assign({}, this.state.dimension),
+      workspace: this.state.workspace
     };
   }
 
@@ -863,6 +907,17 @@ export default class Window extends EventEmitter {
     return windows;
   }
 
+  /**
+   * Get a list of all windows, most recently focused first
+   *
+   * @return {Window[]}
+   */
+  static getRecentWindows() {
+    return windows
+      .slice(0)
+      .sort((a, b) => b._focusCount - a._focusCount);
+  }
+
   /**
    * Gets the lastly focused Window
    * @return {Window}
@@ -937,6 +992,7 @@ export default class Window extends EventEmitter {
       focused: state.focused,
       maximized: state.maximized,
       minimized: state.minimized,
+      workspace: state.workspace,
       modal: attributes.modal,
       ontop: attributes.ontop,
       resizable: attributes.resizable,